@@ -0,0 +1,72 @@
+// HTTP calls to the root CLI endpoint (management token) and the admin API (admin token)
+
+class ApiError extends Error {
+  constructor(message, status, body) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+const request = async (url, options) => {
+  let response;
+  try {
+    response = await fetch(url, options);
+  } catch (error) {
+    throw new ApiError(`Could not reach ${url}: ${error.cause?.message || error.message}`, 0);
+  }
+
+  const text = await response.text();
+  let body;
+  try {
+    body = text ? JSON.parse(text) : {};
+  } catch (error) {
+    body = { error: text };
+  }
+
+  if (!response.ok || body.success === false) {
+    throw new ApiError(body.error_description || body.error || `Request failed with status ${response.status}`, response.status, body);
+  }
+
+  return body;
+};
+
+// Root endpoint commands: {"command": "...", ...} with the owner management token
+const rootCommand = async (profile, payload, { authenticated = true } = {}) => {
+  const headers = { 'Content-Type': 'application/json' };
+  if (authenticated) {
+    if (!profile.management_token) {
+      throw new ApiError('Not logged in. Run "apiblaze login --token <management token>" or create a project first', 401);
+    }
+    headers.Authorization = `Bearer ${profile.management_token}`;
+  } else if (profile.management_token) {
+    headers.Authorization = `Bearer ${profile.management_token}`;
+  }
+
+  return request(`${profile.endpoint}/`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(payload)
+  });
+};
+
+const adminRequest = async (profile, method, path, body) => {
+  if (!profile.admin_url) {
+    throw new ApiError('No admin API URL configured. Run "apiblaze login --admin-url <url> --admin-token <token>"', 400);
+  }
+  if (!profile.admin_token) {
+    throw new ApiError('No admin token configured. Run "apiblaze login --admin-token <token>"', 401);
+  }
+
+  return request(`${profile.admin_url}${path}`, {
+    method,
+    headers: {
+      'Authorization': `Bearer ${profile.admin_token}`,
+      'Content-Type': 'application/json'
+    },
+    ...(body && { body: JSON.stringify(body) })
+  });
+};
+
+module.exports = { ApiError, rootCommand, adminRequest };
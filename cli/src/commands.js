@@ -0,0 +1,314 @@
+// Command handlers. Each returns what output.print() needs; errors are thrown
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { rootCommand, adminRequest } = require('./client');
+const { configPath, loadConfig, updateProfile, removeProfile, useProfile } = require('./config');
+
+const PROJECT_COLUMNS = ['project_id', 'target_url', 'auth_type', 'active', 'endpoint'];
+const REQUEST_COLUMNS = ['timestamp', 'method', 'path', 'status', 'duration_ms', 'cache', 'ip', 'country'];
+
+const usageError = (message) => {
+  const error = new Error(message);
+  error.usage = true;
+  return error;
+};
+
+const requireArg = (value, name) => {
+  if (!value) throw usageError(`Missing ${name}`);
+  return value;
+};
+
+const parseOnOff = (value, name) => {
+  if (value === undefined) return undefined;
+  if (['on', 'true', 'yes'].includes(value)) return true;
+  if (['off', 'false', 'no'].includes(value)) return false;
+  throw usageError(`${name} must be "on" or "off"`);
+};
+
+const keyReference = (args, flags) => {
+  if (flags.hash) return { api_key_hash: flags.hash };
+  return { api_key: requireArg(args[1], '<api_key> or --hash') };
+};
+
+const maskToken = (token) => (token ? `${token.slice(0, 19)}...${token.slice(-4)}` : undefined);
+
+// login / logout / profile
+
+const login = async (profile, args, flags) => {
+  const changes = {
+    endpoint: flags.endpoint,
+    admin_url: flags['admin-url'],
+    management_token: flags.token,
+    admin_token: flags['admin-token'],
+    output: flags.output
+  };
+
+  // Check the management token before saving it
+  if (flags.token) {
+    const result = await rootCommand({ ...profile, management_token: flags.token }, { command: 'list' });
+    changes.owner_id = result.owner_id;
+  }
+
+  const saved = updateProfile(profile.name, changes);
+  return {
+    data: { success: true, profile: profile.name, config: configPath(), owner_id: saved.owner_id },
+    message: `Saved profile "${profile.name}" to ${configPath()}`
+  };
+};
+
+const logout = async (profile) => {
+  removeProfile(profile.name);
+  return { data: { success: true, profile: profile.name }, message: `Removed profile "${profile.name}"` };
+};
+
+const profileCommand = async (profile, args) => {
+  const action = args[0] || 'show';
+
+  if (action === 'list') {
+    const config = loadConfig();
+    const rows = Object.entries(config.profiles).map(([name, stored]) => ({
+      name,
+      current: name === config.current_profile ? '*' : '',
+      endpoint: stored.endpoint,
+      admin_url: stored.admin_url,
+      owner_id: stored.owner_id
+    }));
+    return { data: { current_profile: config.current_profile, profiles: rows }, rows, columns: ['current', 'name', 'endpoint', 'admin_url', 'owner_id'] };
+  }
+
+  if (action === 'use') {
+    const name = requireArg(args[1], '<profile>');
+    useProfile(name);
+    return { data: { success: true, current_profile: name }, message: `Now using profile "${name}"` };
+  }
+
+  if (action === 'show') {
+    const record = {
+      profile: profile.name,
+      endpoint: profile.endpoint,
+      admin_url: profile.admin_url || undefined,
+      management_token: maskToken(profile.management_token),
+      admin_token: profile.admin_token ? 'set' : undefined,
+      config: configPath()
+    };
+    return { data: record, record };
+  }
+
+  throw usageError(`Unknown profile action "${action}"`);
+};
+
+// projects
+
+const projectCreate = async (profile, args, flags) => {
+  const payload = { target: requireArg(flags.target, '--target') };
+  if (flags['auth-type']) payload.auth_type = flags['auth-type'];
+
+  const result = await rootCommand(profile, payload, { authenticated: false });
+
+  // The first project issues the owner's management token; keep it so later commands work
+  if (result.management_token && !profile.management_token) {
+    updateProfile(profile.name, { endpoint: profile.endpoint, management_token: result.management_token, owner_id: result.owner_id });
+  }
+
+  const record = {
+    project_id: result.project_id,
+    endpoint: result.endpoint,
+    api_key: result.api_key,
+    owner_id: result.owner_id,
+    management_token: result.management_token,
+    warning: result.warning
+  };
+  return {
+    data: result,
+    record,
+    message: result.management_token
+      ? 'Project created. The API key and management token are only shown once.'
+      : 'Project created. The API key is only shown once.'
+  };
+};
+
+const projectList = async (profile) => {
+  const result = await rootCommand(profile, { command: 'list' });
+  return { data: result, rows: result.projects, columns: PROJECT_COLUMNS };
+};
+
+const projectShow = async (profile, args) => {
+  const result = await rootCommand(profile, { command: 'info', project_id: requireArg(args[0], '<project_id>') });
+  return { data: result, record: result.project };
+};
+
+const projectUpdate = async (profile, args, flags) => {
+  const payload = { command: 'update', project_id: requireArg(args[0], '<project_id>') };
+  if (flags.target) payload.target = flags.target;
+  if (flags['auth-type']) payload.auth_type = flags['auth-type'];
+
+  const requestLog = parseOnOff(flags['request-log'], '--request-log');
+  if (requestLog !== undefined) payload.request_log = { enabled: requestLog };
+
+  if (Object.keys(payload).length === 2) {
+    throw usageError('Nothing to update. Pass --target, --auth-type or --request-log');
+  }
+
+  const result = await rootCommand(profile, payload);
+  return { data: result, record: { ...result.project, warning: result.warning } };
+};
+
+const projectDelete = async (profile, args, flags) => {
+  const projectId = requireArg(args[0], '<project_id>');
+  if (!flags.yes) {
+    throw usageError(`Deleting ${projectId} cannot be undone. Re-run with --yes to confirm`);
+  }
+
+  const result = await rootCommand(profile, { command: 'delete', project_id: projectId });
+  return { data: result, message: `Deleted project ${projectId}${result.warning ? ` (${result.warning})` : ''}` };
+};
+
+// keys
+
+const keyCreate = async (profile, args, flags) => {
+  const result = await rootCommand(profile, {
+    command: 'create-key',
+    project_id: requireArg(args[0], '<project_id>'),
+    ...(flags.name && { name: flags.name })
+  });
+  const { success, command, ...record } = result;
+  return { data: result, record, message: 'API key created. It is only shown once.' };
+};
+
+const keyRevoke = async (profile, args, flags) => {
+  const result = await rootCommand(profile, {
+    command: 'revoke-key',
+    project_id: requireArg(args[0], '<project_id>'),
+    ...keyReference(args, flags)
+  });
+  return { data: result, message: `Revoked key ${result.api_key_hash}` };
+};
+
+const keyRotate = async (profile, args, flags) => {
+  const payload = {
+    command: 'rotate-key',
+    project_id: requireArg(args[0], '<project_id>'),
+    ...keyReference(args, flags)
+  };
+  if (flags.grace !== undefined) {
+    const grace = Number(flags.grace);
+    if (!Number.isInteger(grace) || grace < 0) throw usageError('--grace must be a number of seconds');
+    payload.grace_period_seconds = grace;
+  }
+
+  const result = await rootCommand(profile, payload);
+  const record = {
+    api_key: result.api_key,
+    hmac_secret: result.hmac_secret,
+    new_key_hash: result.successor?.api_key_hash,
+    previous_key_hash: result.previous?.api_key_hash,
+    previous_valid_until: result.previous?.grace_until
+  };
+  return { data: result, record, message: 'Key rotated. The new key is only shown once.' };
+};
+
+const keyShow = async (profile, args, flags) => {
+  const projectId = requireArg(args[0], '<project_id>');
+  const hash = requireArg(flags.hash, '--hash');
+  const result = await adminRequest(profile, 'GET', `/api-keys/${encodeURIComponent(hash)}/${encodeURIComponent(projectId)}`);
+  return { data: result, record: result };
+};
+
+const keyLineage = async (profile, args, flags) => {
+  const projectId = requireArg(args[0], '<project_id>');
+  const hash = requireArg(flags.hash, '--hash');
+  const result = await adminRequest(profile, 'GET', `/api-keys/${encodeURIComponent(hash)}/${encodeURIComponent(projectId)}/lineage`);
+  return { data: result, rows: result.lineage, columns: ['api_key_hash', 'name', 'active', 'created_at', 'rotated_at', 'grace_until'] };
+};
+
+// specs
+
+const readSpec = (file) => {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    throw usageError(`Could not read ${file}: ${error.message}`);
+  }
+
+  let spec;
+  try {
+    spec = ['.yaml', '.yml'].includes(path.extname(file).toLowerCase()) ? yaml.load(text) : JSON.parse(text);
+  } catch (error) {
+    throw usageError(`${file} is not valid ${path.extname(file) === '.json' ? 'JSON' : 'YAML'}: ${error.message}`);
+  }
+
+  if (!spec || typeof spec !== 'object' || !spec.paths) {
+    throw usageError(`${file} is not an OpenAPI document (no paths)`);
+  }
+  return spec;
+};
+
+const specUpload = async (profile, args) => {
+  const projectId = requireArg(args[0], '<project_id>');
+  const spec = readSpec(requireArg(args[1], '<file>'));
+
+  const result = await rootCommand(profile, { command: 'update', project_id: projectId, openapi_spec: spec });
+  const title = [spec.info?.title || 'spec', spec.info?.version].filter(Boolean).join(' ');
+  return {
+    data: result,
+    message: `Uploaded ${title} (${Object.keys(spec.paths).length} paths) to ${projectId}`
+  };
+};
+
+// request tailing
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const requestsTail = async (profile, args, flags, format) => {
+  const projectId = requireArg(args[0], '<project_id>');
+  const limit = flags.limit ? Number(flags.limit) : 50;
+  const interval = Math.max(Number(flags.interval) || 2, 1) * 1000;
+
+  const fetchSince = (since) => rootCommand(profile, { command: 'requests', project_id: projectId, since, limit });
+
+  let result = await fetchSince(0);
+  if (!result.request_log_enabled) {
+    process.stderr.write(`Request logging is off for ${projectId}. Enable it with: apiblaze project update ${projectId} --request-log on\n`);
+  }
+
+  if (!flags.follow) {
+    return { data: result, rows: result.entries, columns: REQUEST_COLUMNS };
+  }
+
+  // Follow mode streams entries as they arrive: one JSON object or one log line per request
+  const emit = (entries) => entries.forEach(entry => {
+    process.stdout.write(format === 'json'
+      ? `${JSON.stringify(entry)}\n`
+      : `${new Date(entry.timestamp).toISOString()}  ${entry.method.padEnd(7)} ${entry.status}  ${String(entry.duration_ms).padStart(5)}ms  ${entry.path}\n`);
+  });
+
+  emit(result.entries);
+  let since = result.entries.length ? result.entries[result.entries.length - 1].timestamp : Date.now() - 1;
+
+  for (;;) {
+    await sleep(interval);
+    result = await fetchSince(since);
+    emit(result.entries);
+    if (result.entries.length) since = result.entries[result.entries.length - 1].timestamp;
+  }
+};
+
+module.exports = {
+  login,
+  logout,
+  profileCommand,
+  projectCreate,
+  projectList,
+  projectShow,
+  projectUpdate,
+  projectDelete,
+  keyCreate,
+  keyRevoke,
+  keyRotate,
+  keyShow,
+  keyLineage,
+  specUpload,
+  requestsTail
+};
@@ -0,0 +1,85 @@
+// Profile storage: ~/.apiblaze/config.json (or $APIBLAZE_CONFIG), one entry per named profile
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_ENDPOINT = 'https://apiblaze.com';
+const DEFAULT_PROFILE = 'default';
+
+const configPath = () => process.env.APIBLAZE_CONFIG || path.join(os.homedir(), '.apiblaze', 'config.json');
+
+const loadConfig = () => {
+  try {
+    const config = JSON.parse(fs.readFileSync(configPath(), 'utf8'));
+    return { current_profile: config.current_profile || DEFAULT_PROFILE, profiles: config.profiles || {} };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { current_profile: DEFAULT_PROFILE, profiles: {} };
+    }
+    throw new Error(`Could not read ${configPath()}: ${error.message}`);
+  }
+};
+
+// Tokens live in this file, so it is only readable by the current user
+const saveConfig = (config) => {
+  const file = configPath();
+  fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(file, `${JSON.stringify(config, null, 2)}\n`, { mode: 0o600 });
+  fs.chmodSync(file, 0o600);
+};
+
+/**
+ * Resolve the active profile. Precedence: command-line flags, then APIBLAZE_* environment
+ * variables, then the stored profile, then defaults.
+ */
+const resolveProfile = (flags = {}) => {
+  const config = loadConfig();
+  const name = flags.profile || process.env.APIBLAZE_PROFILE || config.current_profile;
+  const stored = config.profiles[name] || {};
+
+  return {
+    name,
+    endpoint: (flags.endpoint || process.env.APIBLAZE_ENDPOINT || stored.endpoint || DEFAULT_ENDPOINT).replace(/\/+$/, ''),
+    admin_url: (flags['admin-url'] || process.env.APIBLAZE_ADMIN_URL || stored.admin_url || '').replace(/\/+$/, ''),
+    management_token: process.env.APIBLAZE_TOKEN || stored.management_token,
+    admin_token: process.env.APIBLAZE_ADMIN_TOKEN || stored.admin_token,
+    output: stored.output
+  };
+};
+
+const updateProfile = (name, changes) => {
+  const config = loadConfig();
+  const profile = { ...(config.profiles[name] || {}), ...changes };
+  Object.keys(profile).forEach(key => profile[key] === undefined && delete profile[key]);
+  config.profiles[name] = profile;
+  saveConfig(config);
+  return profile;
+};
+
+const removeProfile = (name) => {
+  const config = loadConfig();
+  delete config.profiles[name];
+  if (config.current_profile === name) {
+    config.current_profile = DEFAULT_PROFILE;
+  }
+  saveConfig(config);
+};
+
+const useProfile = (name) => {
+  const config = loadConfig();
+  if (!config.profiles[name]) {
+    throw new Error(`Profile "${name}" does not exist`);
+  }
+  config.current_profile = name;
+  saveConfig(config);
+};
+
+module.exports = {
+  DEFAULT_ENDPOINT,
+  configPath,
+  loadConfig,
+  resolveProfile,
+  updateProfile,
+  removeProfile,
+  useProfile
+};
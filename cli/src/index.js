@@ -0,0 +1,132 @@
+// apiblaze command-line client: argument parsing, dispatch and help
+const { parseArgs } = require('util');
+const { resolveProfile } = require('./config');
+const { print, printError } = require('./output');
+const commands = require('./commands');
+
+const HELP = `Usage: apiblaze <command> [options]
+
+Account
+  login [--token <management token>] [--admin-token <token>]   Save credentials and endpoints to a profile
+  logout                                                        Remove the active profile
+  profile [show | list | use <name>]                            Inspect or switch profiles
+
+Projects
+  project create --target <url> [--auth-type <type>]
+  project list
+  project show <project_id>
+  project update <project_id> [--target <url>] [--auth-type <type>] [--request-log on|off]
+  project delete <project_id> --yes
+
+API keys
+  key create <project_id> [--name <name>]
+  key revoke <project_id> <api_key> | --hash <api_key_hash>
+  key rotate <project_id> <api_key> | --hash <api_key_hash> [--grace <seconds>]
+  key show <project_id> --hash <api_key_hash>                   (admin API)
+  key lineage <project_id> --hash <api_key_hash>                (admin API)
+
+Specs
+  spec upload <project_id> <openapi.json | openapi.yaml>
+
+Traffic
+  requests <project_id> [--limit <n>] [--follow] [--interval <seconds>]
+
+Global options
+  -o, --output json|table   Output format (default: table, or the profile's setting)
+  --profile <name>          Profile to use (default: the current profile, or $APIBLAZE_PROFILE)
+  --endpoint <url>          Root endpoint (default: https://apiblaze.com, or $APIBLAZE_ENDPOINT)
+  --admin-url <url>         Admin API base URL ($APIBLAZE_ADMIN_URL)
+  -h, --help                Show this help
+
+$APIBLAZE_TOKEN and $APIBLAZE_ADMIN_TOKEN override the stored tokens; $APIBLAZE_CONFIG moves the config file.`;
+
+const OPTIONS = {
+  output: { type: 'string', short: 'o' },
+  profile: { type: 'string' },
+  endpoint: { type: 'string' },
+  'admin-url': { type: 'string' },
+  token: { type: 'string' },
+  'admin-token': { type: 'string' },
+  target: { type: 'string' },
+  'auth-type': { type: 'string' },
+  'request-log': { type: 'string' },
+  name: { type: 'string' },
+  hash: { type: 'string' },
+  grace: { type: 'string' },
+  limit: { type: 'string' },
+  interval: { type: 'string' },
+  follow: { type: 'boolean', short: 'f' },
+  yes: { type: 'boolean', short: 'y' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+// "<group> <action>" pairs, plus single-word commands
+const ROUTES = {
+  login: commands.login,
+  logout: commands.logout,
+  profile: commands.profileCommand,
+  'project create': commands.projectCreate,
+  'project list': commands.projectList,
+  'project show': commands.projectShow,
+  'project update': commands.projectUpdate,
+  'project delete': commands.projectDelete,
+  'key create': commands.keyCreate,
+  'key revoke': commands.keyRevoke,
+  'key rotate': commands.keyRotate,
+  'key show': commands.keyShow,
+  'key lineage': commands.keyLineage,
+  'spec upload': commands.specUpload,
+  requests: commands.requestsTail
+};
+
+const resolveRoute = (positionals) => {
+  const [group, action, ...rest] = positionals;
+  if (ROUTES[`${group} ${action}`]) {
+    return { handler: ROUTES[`${group} ${action}`], args: rest };
+  }
+  if (ROUTES[group]) {
+    return { handler: ROUTES[group], args: positionals.slice(1) };
+  }
+  return null;
+};
+
+const run = async (argv) => {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    process.stderr.write(`Error: ${error.message}\n\n${HELP}\n`);
+    return 2;
+  }
+
+  const { values: flags, positionals } = parsed;
+  if (flags.help || positionals.length === 0) {
+    process.stdout.write(`${HELP}\n`);
+    return 0;
+  }
+
+  let format = flags.output || 'table';
+  try {
+    const profile = resolveProfile(flags);
+    format = flags.output || profile.output || 'table';
+    if (!['json', 'table'].includes(format)) {
+      process.stderr.write('Error: --output must be "json" or "table"\n');
+      return 2;
+    }
+
+    const route = resolveRoute(positionals);
+    if (!route) {
+      process.stderr.write(`Error: Unknown command "${positionals.join(' ')}"\n\n${HELP}\n`);
+      return 2;
+    }
+
+    const result = await route.handler(profile, route.args, flags, format);
+    print(format, result);
+    return 0;
+  } catch (error) {
+    printError(format, error);
+    return error.usage ? 2 : 1;
+  }
+};
+
+module.exports = { run };
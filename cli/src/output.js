@@ -0,0 +1,50 @@
+// JSON output for scripts, aligned tables for people
+
+const formatValue = (value) => {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'number' && value > 1e12 && value < 1e14) return new Date(value).toISOString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const renderTable = (rows, columns) => {
+  if (rows.length === 0) return '(none)';
+
+  const cells = rows.map(row => columns.map(column => formatValue(row[column])));
+  const widths = columns.map((column, i) => Math.max(column.length, ...cells.map(line => line[i].length)));
+  const line = (values) => values.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd();
+
+  return [line(columns.map(c => c.toUpperCase())), ...cells.map(line)].join('\n');
+};
+
+// Single records print as "key: value" lines
+const renderRecord = (record) => {
+  const entries = Object.entries(record).filter(([, value]) => value !== undefined);
+  const width = Math.max(...entries.map(([key]) => key.length));
+  return entries.map(([key, value]) => `${key.padEnd(width)}  ${formatValue(value)}`).join('\n');
+};
+
+/**
+ * Print a command result. `data` is printed as-is in JSON mode; in table mode `rows` + `columns`
+ * render a table and `record` renders key/value lines.
+ */
+const print = (format, { data, rows, columns, record, message }) => {
+  if (format === 'json') {
+    process.stdout.write(`${JSON.stringify(data, null, 2)}\n`);
+    return;
+  }
+
+  if (message) process.stdout.write(`${message}\n`);
+  if (rows) process.stdout.write(`${renderTable(rows, columns)}\n`);
+  if (record) process.stdout.write(`${renderRecord(record)}\n`);
+};
+
+const printError = (format, error) => {
+  if (format === 'json') {
+    process.stderr.write(`${JSON.stringify({ success: false, error: error.message, status: error.status }, null, 2)}\n`);
+  } else {
+    process.stderr.write(`Error: ${error.message}\n`);
+  }
+};
+
+module.exports = { renderTable, renderRecord, print, printError };
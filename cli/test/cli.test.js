@@ -0,0 +1,191 @@
+// Runs bin/apiblaze.js against a local stand-in for the root endpoint and the admin API
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const BIN = path.join(__dirname, '..', 'bin', 'apiblaze.js');
+const MANAGEMENT_TOKEN = 'apiblaze_owner_0123456789abcdef';
+const ADMIN_TOKEN = 'admin-token';
+
+const PROJECT = { project_id: 'abc123def456', target_url: 'https://api.example.com', auth_type: 'api_key', active: true };
+
+// Root commands are answered by `command`; project creation has none. Every request is recorded
+const startServer = async () => {
+  const requests = [];
+  const reply = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  const server = http.createServer((req, res) => {
+    let text = '';
+    req.on('data', chunk => { text += chunk; });
+    req.on('end', () => {
+      const body = text ? JSON.parse(text) : undefined;
+      requests.push({ method: req.method, url: req.url, authorization: req.headers.authorization, body });
+
+      if (req.url.startsWith('/admin/')) {
+        if (req.headers.authorization !== `Bearer ${ADMIN_TOKEN}`) return reply(res, 401, { error: 'Unauthorized' });
+        return reply(res, 200, { api_key_hash: 'hash1', project_id: PROJECT.project_id, active: true });
+      }
+      if (!body.command) {
+        return reply(res, 200, { success: true, project_id: PROJECT.project_id, api_key: 'apiblaze_key', owner_id: 'owner1', management_token: MANAGEMENT_TOKEN });
+      }
+      if (req.headers.authorization !== `Bearer ${MANAGEMENT_TOKEN}`) {
+        return reply(res, 401, { success: false, error: 'Invalid management token' });
+      }
+      if (body.project_id && body.project_id !== PROJECT.project_id) {
+        return reply(res, 404, { success: false, error: 'Project not found' });
+      }
+      if (body.command === 'list') return reply(res, 200, { success: true, owner_id: 'owner1', projects: [PROJECT] });
+      return reply(res, 200, { success: true, project: PROJECT });
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, requests, url: `http://127.0.0.1:${server.address().port}` };
+};
+
+// The server shares this process, so the CLI runs asynchronously
+const runCli = (args, env) => new Promise((resolve, reject) => {
+  const child = spawn(process.execPath, [BIN, ...args], { env: { PATH: process.env.PATH, ...env } });
+  let stdout = '';
+  let stderr = '';
+  child.stdout.on('data', chunk => { stdout += chunk; });
+  child.stderr.on('data', chunk => { stderr += chunk; });
+  child.on('error', reject);
+  child.on('close', code => resolve({ code, stdout, stderr }));
+});
+
+let stub;
+let home;
+let env;
+
+test.beforeEach(async () => {
+  stub = await startServer();
+  home = fs.mkdtempSync(path.join(os.tmpdir(), 'apiblaze-cli-'));
+  env = { HOME: home, APIBLAZE_CONFIG: path.join(home, '.apiblaze', 'config.json'), APIBLAZE_ENDPOINT: stub.url };
+});
+
+test.afterEach(async () => {
+  await new Promise(resolve => stub.server.close(resolve));
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+const readConfig = () => JSON.parse(fs.readFileSync(env.APIBLAZE_CONFIG, 'utf8'));
+
+test('project create keeps the management token in a file only the user can read', async () => {
+  const result = await runCli(['project', 'create', '--target', 'https://api.example.com'], env);
+
+  assert.strictEqual(result.code, 0, result.stderr);
+  assert.match(result.stdout, /management token are only shown once/);
+  assert.deepStrictEqual(stub.requests[0].body, { target: 'https://api.example.com' });
+  assert.strictEqual(stub.requests[0].authorization, undefined);
+  assert.strictEqual(readConfig().profiles.default.management_token, MANAGEMENT_TOKEN);
+  assert.strictEqual(fs.statSync(env.APIBLAZE_CONFIG).mode & 0o777, 0o600);
+  assert.strictEqual(fs.statSync(path.dirname(env.APIBLAZE_CONFIG)).mode & 0o777, 0o700);
+});
+
+test('login checks the token before saving it', async () => {
+  const rejected = await runCli(['login', '--token', 'apiblaze_owner_wrong'], env);
+  assert.strictEqual(rejected.code, 1);
+  assert.strictEqual(rejected.stderr, 'Error: Invalid management token\n');
+  assert.ok(!fs.existsSync(env.APIBLAZE_CONFIG));
+
+  const accepted = await runCli(['login', '--token', MANAGEMENT_TOKEN], env);
+  assert.strictEqual(accepted.code, 0, accepted.stderr);
+  assert.strictEqual(readConfig().profiles.default.owner_id, 'owner1');
+  assert.strictEqual(fs.statSync(env.APIBLAZE_CONFIG).mode & 0o777, 0o600);
+
+  const profile = await runCli(['profile', 'show'], env);
+  assert.match(profile.stdout, /management_token {2}apiblaze_owner_0123\.\.\.cdef/);
+  assert.ok(!profile.stdout.includes(MANAGEMENT_TOKEN));
+});
+
+test('project list prints a table, or JSON with -o json', async () => {
+  const tokenEnv = { ...env, APIBLAZE_TOKEN: MANAGEMENT_TOKEN };
+
+  const table = await runCli(['project', 'list'], tokenEnv);
+  assert.strictEqual(table.code, 0, table.stderr);
+  assert.match(table.stdout, /^PROJECT_ID {4}TARGET_URL/);
+  assert.match(table.stdout, /abc123def456 {2}https:\/\/api\.example\.com {2}api_key/);
+  assert.deepStrictEqual(stub.requests[0].body, { command: 'list' });
+  assert.strictEqual(stub.requests[0].authorization, `Bearer ${MANAGEMENT_TOKEN}`);
+
+  const json = await runCli(['project', 'list', '-o', 'json'], tokenEnv);
+  assert.strictEqual(json.code, 0, json.stderr);
+  assert.deepStrictEqual(JSON.parse(json.stdout).projects, [PROJECT]);
+});
+
+test('API errors go to stderr and exit 1', async () => {
+  const tokenEnv = { ...env, APIBLAZE_TOKEN: MANAGEMENT_TOKEN };
+
+  const table = await runCli(['project', 'show', 'missing'], tokenEnv);
+  assert.strictEqual(table.code, 1);
+  assert.strictEqual(table.stdout, '');
+  assert.strictEqual(table.stderr, 'Error: Project not found\n');
+
+  const json = await runCli(['project', 'show', 'missing', '-o', 'json'], tokenEnv);
+  assert.strictEqual(json.code, 1);
+  assert.deepStrictEqual(JSON.parse(json.stderr), { success: false, error: 'Project not found', status: 404 });
+});
+
+test('commands that need a token fail before calling the API without one', async () => {
+  const result = await runCli(['project', 'list'], env);
+  assert.strictEqual(result.code, 1);
+  assert.match(result.stderr, /^Error: Not logged in/);
+  assert.strictEqual(stub.requests.length, 0);
+});
+
+test('usage errors exit 2 without calling the API', async () => {
+  const tokenEnv = { ...env, APIBLAZE_TOKEN: MANAGEMENT_TOKEN };
+
+  const unconfirmed = await runCli(['project', 'delete', PROJECT.project_id], tokenEnv);
+  assert.strictEqual(unconfirmed.code, 2);
+  assert.match(unconfirmed.stderr, /Re-run with --yes to confirm/);
+
+  const unknown = await runCli(['project', 'rename'], tokenEnv);
+  assert.strictEqual(unknown.code, 2);
+  assert.match(unknown.stderr, /^Error: Unknown command "project rename"/);
+
+  const badFlag = await runCli(['project', 'list', '--bogus'], tokenEnv);
+  assert.strictEqual(badFlag.code, 2);
+
+  assert.strictEqual(stub.requests.length, 0);
+});
+
+test('spec upload sends a YAML spec as JSON', async () => {
+  const file = path.join(home, 'openapi.yaml');
+  fs.writeFileSync(file, 'openapi: 3.0.0\ninfo:\n  title: Pets\n  version: 1.2.0\npaths:\n  /pets:\n    get: {}\n');
+
+  const result = await runCli(['spec', 'upload', PROJECT.project_id, file], { ...env, APIBLAZE_TOKEN: MANAGEMENT_TOKEN });
+  assert.strictEqual(result.code, 0, result.stderr);
+  assert.strictEqual(result.stdout, 'Uploaded Pets 1.2.0 (1 paths) to abc123def456\n');
+  assert.deepStrictEqual(stub.requests[0].body.openapi_spec.paths, { '/pets': { get: {} } });
+});
+
+test('key show calls the admin API with the admin token', async () => {
+  const adminEnv = { ...env, APIBLAZE_ADMIN_URL: `${stub.url}/admin`, APIBLAZE_ADMIN_TOKEN: ADMIN_TOKEN };
+
+  const result = await runCli(['key', 'show', PROJECT.project_id, '--hash', 'hash1', '-o', 'json'], adminEnv);
+  assert.strictEqual(result.code, 0, result.stderr);
+  assert.strictEqual(JSON.parse(result.stdout).api_key_hash, 'hash1');
+  assert.strictEqual(stub.requests[0].method, 'GET');
+  assert.strictEqual(stub.requests[0].url, '/admin/api-keys/hash1/abc123def456');
+  assert.strictEqual(stub.requests[0].authorization, `Bearer ${ADMIN_TOKEN}`);
+});
+
+test('an unreachable endpoint is reported, not thrown', async () => {
+  const closed = http.createServer();
+  await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+  const endpoint = `http://127.0.0.1:${closed.address().port}`;
+  await new Promise(resolve => closed.close(resolve));
+
+  const result = await runCli(['project', 'list'], { ...env, APIBLAZE_ENDPOINT: endpoint, APIBLAZE_TOKEN: MANAGEMENT_TOKEN });
+  assert.strictEqual(result.code, 1);
+  assert.match(result.stderr, /^Error: Could not reach http:\/\/127\.0\.0\.1:\d+\/: /);
+});
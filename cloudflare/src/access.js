@@ -0,0 +1,101 @@
+/**
+ * APIBLAZE - Network access control
+ * CIDR and country allow/deny lists, configured on the project and tightened per API key
+ */
+
+// Parse an IPv4/IPv6 address to { version, value: BigInt }, or null when invalid
+const parseIp = (address) => {
+  if (!address) return null;
+  let ip = address.trim();
+
+  // IPv4-mapped IPv6 (::ffff:1.2.3.4) is treated as IPv4
+  const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) ip = mapped[1];
+
+  if (ip.includes('.')) {
+    const parts = ip.split('.');
+    if (parts.length !== 4 || parts.some(p => !/^\d{1,3}$/.test(p) || Number(p) > 255)) return null;
+    return { version: 4, value: parts.reduce((acc, p) => (acc << 8n) + BigInt(p), 0n) };
+  }
+
+  const halves = ip.split('::');
+  if (halves.length > 2) return null;
+
+  const head = halves[0] ? halves[0].split(':') : [];
+  const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+  const missing = 8 - head.length - tail.length;
+  if ((halves.length === 1 && missing !== 0) || missing < 0) return null;
+
+  const groups = [...head, ...Array(halves.length === 2 ? missing : 0).fill('0'), ...tail];
+  if (groups.some(g => !/^[0-9a-f]{1,4}$/i.test(g))) return null;
+
+  return { version: 6, value: groups.reduce((acc, g) => (acc << 16n) + BigInt(parseInt(g, 16)), 0n) };
+};
+
+// Parse "10.0.0.0/8", "2001:db8::/32" or a bare address (a single-host range)
+const parseCidr = (cidr) => {
+  const [address, prefix] = String(cidr).split('/');
+  const ip = parseIp(address);
+  if (!ip) return null;
+
+  const bits = ip.version === 4 ? 32 : 128;
+  const length = prefix === undefined ? bits : Number(prefix);
+  if (!Number.isInteger(length) || length < 0 || length > bits) return null;
+
+  const mask = length === 0 ? 0n : ((1n << BigInt(length)) - 1n) << BigInt(bits - length);
+  return { version: ip.version, network: ip.value & mask, mask };
+};
+
+const ipInList = (ip, cidrs = []) => {
+  return cidrs.some(cidr => {
+    const range = parseCidr(cidr);
+    if (!range) {
+      console.error('Ignoring invalid CIDR in access control list:', cidr);
+      return false;
+    }
+    return range.version === ip.version && (ip.value & range.mask) === range.network;
+  });
+};
+
+const hasEntries = (list) => Array.isArray(list) && list.length > 0;
+
+/**
+ * Evaluate one access control policy against the client IP and country.
+ * Deny lists win over allow lists. Returns a reason code, or null when the request may proceed.
+ * Unknown IPs or countries fail closed against allow lists and open against deny lists.
+ */
+const evaluatePolicy = (policy, clientIp, country) => {
+  if (!policy) return null;
+
+  const ip = parseIp(clientIp);
+  const countryCode = country && country !== 'XX' ? country.toUpperCase() : null;
+
+  if (ip && hasEntries(policy.ip_deny) && ipInList(ip, policy.ip_deny)) return 'ip_denied';
+  if (hasEntries(policy.ip_allow) && (!ip || !ipInList(ip, policy.ip_allow))) return 'ip_not_allowed';
+
+  const upper = (list) => list.map(c => String(c).toUpperCase());
+  if (countryCode && hasEntries(policy.country_deny) && upper(policy.country_deny).includes(countryCode)) return 'country_denied';
+  if (hasEntries(policy.country_allow) && (!countryCode || !upper(policy.country_allow).includes(countryCode))) return 'country_not_allowed';
+
+  return null;
+};
+
+/**
+ * Check a request against an access control policy.
+ * Returns a 403 Response with the reason code when access is denied, otherwise null.
+ */
+const checkNetworkAccess = (request, policy, scope) => {
+  const clientIp = request.headers.get('CF-Connecting-IP');
+  const country = request.cf?.country;
+  const reason = evaluatePolicy(policy, clientIp, country);
+
+  if (!reason) return null;
+
+  console.log('Network access denied:', { scope, reason, ip: clientIp, country });
+  return new Response(JSON.stringify({ error: 'Access denied', reason, scope }), {
+    status: 403,
+    headers: { 'Content-Type': 'application/json' }
+  });
+};
+
+export { parseIp, parseCidr, evaluatePolicy, checkNetworkAccess };
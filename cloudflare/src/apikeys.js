@@ -0,0 +1,126 @@
+/**
+ * APIBLAZE - API key format and hashing
+ * Keys look like apiblaze_<key id>_<secret><checksum>: the key ID is public, the CRC32 checksum
+ * lets secret scanners (and the worker) reject malformed keys without a lookup.
+ * Storage lookups use a versioned digest; legacy v1 hashes are migrated lazily on use.
+ */
+
+const KEY_PREFIX = 'apiblaze_';
+const BASE62 = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+const KEY_ID_LENGTH = 12;
+const SECRET_LENGTH = 32;
+const CHECKSUM_LENGTH = 6;
+const KEY_PATTERN = new RegExp(`^${KEY_PREFIX}([0-9A-Za-z]{${KEY_ID_LENGTH}})_([0-9A-Za-z]{${SECRET_LENGTH}})([0-9A-Za-z]{${CHECKSUM_LENGTH}})$`);
+
+// v1: 32-bit string hash (legacy, lookup only); v2: SHA-256 hex digest
+const API_KEY_HASH_VERSION = 2;
+
+// Uniform random string: bytes >= 248 are rejected so the modulo has no bias
+const randomString = (length, alphabet = BASE62) => {
+  const limit = 256 - (256 % alphabet.length);
+  let result = '';
+
+  while (result.length < length) {
+    const bytes = crypto.getRandomValues(new Uint8Array(length * 2));
+    for (const byte of bytes) {
+      if (byte < limit && result.length < length) {
+        result += alphabet[byte % alphabet.length];
+      }
+    }
+  }
+
+  return result;
+};
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+const crc32 = (text) => {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < text.length; i++) {
+    crc = CRC32_TABLE[(crc ^ text.charCodeAt(i)) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+const toBase62 = (value, length) => {
+  let result = '';
+  let remaining = value;
+  while (remaining > 0) {
+    result = BASE62[remaining % 62] + result;
+    remaining = Math.floor(remaining / 62);
+  }
+  return result.padStart(length, '0');
+};
+
+const computeChecksum = (keyId, secret) => toBase62(crc32(`${KEY_PREFIX}${keyId}_${secret}`), CHECKSUM_LENGTH);
+
+const generateApiKey = () => {
+  const keyId = randomString(KEY_ID_LENGTH);
+  const secret = randomString(SECRET_LENGTH);
+  return `${KEY_PREFIX}${keyId}_${secret}${computeChecksum(keyId, secret)}`;
+};
+
+const generateProjectId = () => randomString(32, '0123456789abcdefghijklmnopqrstuvwxyz');
+
+// CLI management tokens identify a project owner; they are never accepted as API keys
+const OWNER_TOKEN_PREFIX = 'apiblaze_owner_';
+
+const generateOwnerToken = () => `${OWNER_TOKEN_PREFIX}${randomString(40)}`;
+
+const generateOwnerId = () => `owner_${randomString(16, '0123456789abcdefghijklmnopqrstuvwxyz')}`;
+
+/**
+ * Parse a presented key. Returns { format: 'v2', keyId } for a current-format key,
+ * null when a current-format key fails its checksum, and { format: 'legacy' } for anything else
+ * (keys issued before the v2 format have no fixed shape).
+ */
+const parseApiKey = (apiKey) => {
+  if (typeof apiKey !== 'string' || apiKey === '') return null;
+
+  const match = apiKey.match(KEY_PATTERN);
+  if (match) {
+    const [, keyId, secret, checksum] = match;
+    return computeChecksum(keyId, secret) === checksum ? { format: 'v2', keyId } : null;
+  }
+
+  return { format: 'legacy' };
+};
+
+// Current storage digest (v2)
+const hashApiKey = async (apiKey) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(apiKey));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+};
+
+// Legacy v1 hash, only used to find keys that have not been migrated yet
+const legacyHashApiKey = (apiKey) => {
+  let hash = 0;
+  for (let i = 0; i < apiKey.length; i++) {
+    const char = apiKey.charCodeAt(i);
+    hash = ((hash << 5) - hash) + char;
+    hash = hash & hash; // Convert to 32-bit integer
+  }
+  return Math.abs(hash).toString(36);
+};
+
+export {
+  API_KEY_HASH_VERSION,
+  generateApiKey,
+  generateProjectId,
+  OWNER_TOKEN_PREFIX,
+  generateOwnerToken,
+  generateOwnerId,
+  parseApiKey,
+  hashApiKey,
+  legacyHashApiKey
+};
@@ -0,0 +1,192 @@
+/**
+ * APIBLAZE - Edge response caching
+ * Caches GET responses with the Workers Cache API; purges are recorded in KV
+ * and checked on every hit, since the Cache API can only delete exact URLs
+ */
+
+import { globToRegExp } from './routing.js';
+
+const CACHE_KEY_HOST = 'https://cache.apiblaze.internal';
+const CACHEABLE_STATUSES = [200, 203, 301];
+const PURGE_RECORD_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+const CACHED_AT_HEADER = 'X-Apiblaze-Cached-At';
+const CACHE_TAGS_HEADER = 'X-Apiblaze-Cache-Tags';
+const ORIGIN_CACHE_CONTROL_HEADER = 'X-Apiblaze-Origin-Cache-Control';
+
+const purgeRecordKey = (projectId) => `cache_purge:${projectId}`;
+
+/**
+ * Resolve the cache policy for a request path.
+ * The first matching rule wins; project-level settings fill in anything the rule leaves out.
+ */
+const resolveCachePolicy = (cacheConfig, path) => {
+  if (!cacheConfig || !cacheConfig.enabled) return null;
+
+  const rule = (cacheConfig.rules || []).find(r => r.path && globToRegExp(r.path).test(path)) || {};
+  const ttl = rule.ttl !== undefined ? rule.ttl : cacheConfig.default_ttl;
+
+  if (!Number.isInteger(ttl) || ttl <= 0) return null;
+
+  return {
+    ttl,
+    varyHeaders: rule.vary_headers || cacheConfig.vary_headers || [],
+    varyQuery: rule.vary_query || cacheConfig.vary_query || '*',
+    varyConsumer: rule.vary_consumer !== undefined ? rule.vary_consumer : !!cacheConfig.vary_consumer,
+    tags: rule.tags || []
+  };
+};
+
+// Each API version caches separately, since version path prefixes are stripped before this point
+const buildCacheKey = (request, projectId, policy, consumerId, apiVersion) => {
+  const url = new URL(request.url);
+  const key = new URL(`${CACHE_KEY_HOST}/${projectId}${url.pathname}`);
+
+  // Sorted so ?a=1&b=2 and ?b=2&a=1 share an entry
+  const params = [...url.searchParams.entries()]
+    .filter(([name]) => policy.varyQuery === '*' || policy.varyQuery.includes(name))
+    .sort(([a], [b]) => a.localeCompare(b));
+  params.forEach(([name, value]) => key.searchParams.append(name, value));
+
+  policy.varyHeaders.forEach(name => {
+    key.searchParams.append(`__h_${name.toLowerCase()}`, request.headers.get(name) || '');
+  });
+
+  if (policy.varyConsumer) {
+    key.searchParams.append('__consumer', consumerId || 'anonymous');
+  }
+
+  if (apiVersion) {
+    key.searchParams.append('__version', apiVersion);
+  }
+
+  return new Request(key.toString(), { method: 'GET' });
+};
+
+const parseCacheControl = (value) => {
+  const directives = {};
+  (value || '').split(',').forEach(part => {
+    const [name, raw] = part.trim().split('=');
+    if (name) directives[name.toLowerCase()] = raw === undefined ? true : raw.replace(/"/g, '');
+  });
+  return directives;
+};
+
+// Effective TTL for an upstream response, or 0 when it must not be cached
+const getResponseTtl = (response, policy) => {
+  if (!CACHEABLE_STATUSES.includes(response.status)) return 0;
+  if (response.headers.has('Set-Cookie')) return 0;
+  if ((response.headers.get('Vary') || '').includes('*')) return 0;
+
+  const directives = parseCacheControl(response.headers.get('Cache-Control'));
+  if (directives['no-store'] || directives['no-cache'] || directives.private) return 0;
+
+  const upstreamMaxAge = directives['s-maxage'] ?? directives['max-age'];
+  if (upstreamMaxAge !== undefined) {
+    const seconds = parseInt(upstreamMaxAge, 10);
+    return isNaN(seconds) ? 0 : Math.min(policy.ttl, seconds);
+  }
+
+  return policy.ttl;
+};
+
+const isPurged = (cached, purgeRecord, path) => {
+  if (!purgeRecord) return false;
+
+  const cachedAt = Number(cached.headers.get(CACHED_AT_HEADER) || 0);
+  if (purgeRecord.all && cachedAt <= purgeRecord.all) return true;
+
+  for (const [prefix, purgedAt] of Object.entries(purgeRecord.prefixes || {})) {
+    if (path.startsWith(prefix) && cachedAt <= purgedAt) return true;
+  }
+
+  const tags = (cached.headers.get(CACHE_TAGS_HEADER) || '').split(',').filter(Boolean);
+  return tags.some(tag => purgeRecord.tags?.[tag] && cachedAt <= purgeRecord.tags[tag]);
+};
+
+// Strip internal bookkeeping headers before a cached response goes back to a client
+const toClientResponse = (cached) => {
+  const response = new Response(cached.body, cached);
+  const originCacheControl = response.headers.get(ORIGIN_CACHE_CONTROL_HEADER);
+
+  if (originCacheControl) {
+    response.headers.set('Cache-Control', originCacheControl);
+  } else {
+    response.headers.delete('Cache-Control');
+  }
+
+  response.headers.delete(ORIGIN_CACHE_CONTROL_HEADER);
+  response.headers.delete(CACHED_AT_HEADER);
+  response.headers.delete(CACHE_TAGS_HEADER);
+  return response;
+};
+
+/**
+ * Look up a cached response. Returns the client-ready response on a fresh hit, otherwise null.
+ */
+const lookupCachedResponse = async (env, projectId, cacheKey, path) => {
+  const cache = caches.default;
+  const cached = await cache.match(cacheKey);
+  if (!cached) return null;
+
+  const purgeRecord = await env.PROJECTS.get(purgeRecordKey(projectId), { type: 'json' });
+  if (isPurged(cached, purgeRecord, path)) {
+    await cache.delete(cacheKey);
+    return null;
+  }
+
+  const response = toClientResponse(cached);
+  response.headers.set('X-Cache', 'HIT');
+  return response;
+};
+
+/**
+ * Store an upstream response in the cache when the policy and upstream headers allow it.
+ * Returns true when the response was stored.
+ */
+const storeCachedResponse = async (cacheKey, response, policy) => {
+  const ttl = getResponseTtl(response, policy);
+  if (ttl <= 0) return false;
+
+  const stored = new Response(response.body, response);
+  const upstreamTags = (response.headers.get('Cache-Tag') || '').split(',').map(t => t.trim()).filter(Boolean);
+
+  if (response.headers.has('Cache-Control')) {
+    stored.headers.set(ORIGIN_CACHE_CONTROL_HEADER, response.headers.get('Cache-Control'));
+  }
+  stored.headers.set('Cache-Control', `public, max-age=${ttl}`);
+  stored.headers.set(CACHED_AT_HEADER, String(Date.now()));
+  stored.headers.set(CACHE_TAGS_HEADER, [...new Set([...policy.tags, ...upstreamTags])].join(','));
+  stored.headers.delete('X-Cache');
+
+  await caches.default.put(cacheKey, stored);
+  return true;
+};
+
+/**
+ * Record a purge for a project. Without options everything is purged;
+ * path_prefix and tags narrow it down.
+ */
+const purgeProjectCache = async (env, projectId, options = {}) => {
+  const key = purgeRecordKey(projectId);
+  const record = await env.PROJECTS.get(key, { type: 'json' }) || { prefixes: {}, tags: {} };
+  const now = Date.now();
+
+  const prefixes = [].concat(options.path_prefix || []);
+  const tags = [].concat(options.tags || []);
+
+  if (prefixes.length === 0 && tags.length === 0) {
+    // A full purge supersedes every narrower record
+    record.all = now;
+    record.prefixes = {};
+    record.tags = {};
+  } else {
+    prefixes.forEach(prefix => { record.prefixes[prefix] = now; });
+    tags.forEach(tag => { record.tags[tag] = now; });
+  }
+
+  await env.PROJECTS.put(key, JSON.stringify(record), { expirationTtl: PURGE_RECORD_TTL_SECONDS });
+  return { purged_at: now, all: prefixes.length === 0 && tags.length === 0, path_prefixes: prefixes, tags };
+};
+
+export { resolveCachePolicy, buildCacheKey, lookupCachedResponse, storeCachedResponse, purgeProjectCache };
@@ -0,0 +1,368 @@
+/**
+ * APIBLAZE - CLI project management
+ * Owner management tokens and the authenticated commands of the root CLI endpoint.
+ * Changes are written to KV for immediate effect and persisted through the admin API.
+ */
+
+import {
+  API_KEY_HASH_VERSION,
+  OWNER_TOKEN_PREFIX,
+  generateApiKey,
+  generateOwnerToken,
+  generateOwnerId,
+  parseApiKey,
+  hashApiKey
+} from './apikeys.js';
+import { readRequestLog } from './requestlog.js';
+
+const AUTH_TYPES = ['api_key', 'oauth', 'jwt', 'hmac', 'none'];
+const JWT_ISSUER_REQUIRED = 'auth_type jwt needs a jwt.issuer, which is set through the admin API';
+
+const CLI_COMMANDS = {
+  create: 'Create a project: {"target": "https://api.example.com", "auth_type": "api_key"}',
+  list: 'List your projects: {"command": "list"}',
+  info: 'Show a project: {"command": "info", "project_id": "..."}',
+  update: 'Change settings: {"command": "update", "project_id": "...", "target": "...", "auth_type": "...", "openapi_spec": {...}, "request_log": {"enabled": true}}',
+  delete: 'Delete a project: {"command": "delete", "project_id": "..."}',
+  'create-key': 'Issue an API key: {"command": "create-key", "project_id": "...", "name": "..."}',
+  'revoke-key': 'Revoke an API key: {"command": "revoke-key", "project_id": "...", "api_key": "..."}',
+  'rotate-key': 'Rotate an API key: {"command": "rotate-key", "project_id": "...", "api_key": "...", "grace_period_seconds": 604800}',
+  requests: 'Recent requests (needs request_log enabled): {"command": "requests", "project_id": "...", "since": 1735689600000, "limit": 50}'
+};
+
+const jsonResponse = (body, status = 200) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'Content-Type': 'application/json' }
+});
+
+const cliError = (command, status, error) => jsonResponse({ success: false, command, error }, status);
+
+const ownerKey = (tokenHash) => `owner_token:${tokenHash}`;
+
+// The admin API records changes made for an owner under that owner and their client IP
+const auditHeaders = (owner) => ({
+  'X-Apiblaze-Actor': `owner:${owner.owner_id}`,
+  'X-Apiblaze-Source': 'cli',
+  ...(owner.source_ip && { 'X-Apiblaze-Source-Ip': owner.source_ip })
+});
+
+const callAdminApi = async (env, method, path, body, owner = null) => {
+  const response = await fetch(`${env.API_GATEWAY_URL}${path}`, {
+    method,
+    headers: {
+      'Authorization': `Bearer ${env.INTERNAL_API_KEY}`,
+      'Content-Type': 'application/json',
+      ...(owner && auditHeaders(owner))
+    },
+    ...(body && { body: JSON.stringify(body) })
+  });
+
+  const text = await response.text();
+  let data = null;
+  try {
+    data = text ? JSON.parse(text) : null;
+  } catch {
+    data = { error: text };
+  }
+  return { ok: response.ok, status: response.status, data };
+};
+
+// The admin API sets its own timestamps and rejects them in request bodies
+const controlPlaneRecord = ({ created_at, updated_at, ...record }) => record;
+
+// Persist a change through the admin API; KV already has it, so failures only produce a warning
+const syncToControlPlane = async (env, method, path, body, owner) => {
+  try {
+    const result = await callAdminApi(env, method, path, body, owner);
+    if (!result.ok) {
+      console.error('Admin API sync failed:', method, path, result.status);
+      return 'Change not persisted to the control plane';
+    }
+  } catch (error) {
+    console.error('Admin API sync error:', error);
+    return 'Change not persisted to the control plane';
+  }
+  return null;
+};
+
+/**
+ * Resolve the owner behind an "Authorization: Bearer apiblaze_owner_..." header.
+ * Returns null when no token was sent, { error } when it is unknown, otherwise the owner record.
+ */
+const authenticateOwner = async (request, env) => {
+  const authorization = request.headers.get('Authorization');
+  if (!authorization) return null;
+
+  const token = authorization.replace(/^Bearer\s+/i, '').trim();
+  if (!token.startsWith(OWNER_TOKEN_PREFIX)) {
+    return { error: 'Invalid management token' };
+  }
+
+  const tokenHash = await hashApiKey(token);
+  const owner = await env.API_KEYS.get(ownerKey(tokenHash), { type: 'json' });
+  if (!owner || owner.active === false) {
+    return { error: 'Invalid management token' };
+  }
+
+  return { ...owner, token_hash: tokenHash, source_ip: request.headers.get('CF-Connecting-IP') };
+};
+
+/**
+ * Record a newly created project against its owner. Without an authenticated owner a new
+ * owner and management token are created; the plaintext token is only returned here.
+ */
+const registerOwnedProject = async (env, owner, projectId) => {
+  if (owner) {
+    const updated = {
+      owner_id: owner.owner_id,
+      project_ids: [...new Set([...(owner.project_ids || []), projectId])],
+      created_at: owner.created_at,
+      updated_at: Date.now()
+    };
+    await env.API_KEYS.put(ownerKey(owner.token_hash), JSON.stringify(updated));
+    return { owner_id: owner.owner_id, management_token: null };
+  }
+
+  const managementToken = generateOwnerToken();
+  const ownerId = generateOwnerId();
+  await env.API_KEYS.put(ownerKey(await hashApiKey(managementToken)), JSON.stringify({
+    owner_id: ownerId,
+    project_ids: [projectId],
+    created_at: Date.now(),
+    active: true
+  }));
+
+  return { owner_id: ownerId, management_token: managementToken };
+};
+
+const projectSummary = (projectId, config) => ({
+  project_id: projectId,
+  endpoint: `https://${projectId}.apiblaze.com`,
+  target_url: config?.target_url,
+  auth_type: config?.auth_type,
+  active: config ? config.active !== false : false,
+  openapi_spec: config?.openapi_spec ? { title: config.openapi_spec.info?.title, version: config.openapi_spec.info?.version } : null,
+  request_log: config?.request_log?.enabled === true,
+  created_at: config?.created_at,
+  updated_at: config?.updated_at
+});
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+// api_key (plaintext) is hashed the same way the gateway does; api_key_hash is used as given
+const resolveKeyHash = async (body) => {
+  if (typeof body.api_key === 'string' && body.api_key) return hashApiKey(body.api_key);
+  if (typeof body.api_key_hash === 'string' && body.api_key_hash) return body.api_key_hash;
+  return null;
+};
+
+const removeOwnedProject = async (env, owner, projectId) => {
+  await env.API_KEYS.put(ownerKey(owner.token_hash), JSON.stringify({
+    owner_id: owner.owner_id,
+    project_ids: (owner.project_ids || []).filter(id => id !== projectId),
+    created_at: owner.created_at,
+    updated_at: Date.now()
+  }));
+};
+
+/**
+ * Run an authenticated CLI command for an owner. Every response is JSON with
+ * success and command fields; failures carry an error message and an HTTP status.
+ */
+const runOwnerCommand = async (command, body, owner, env) => {
+  if (!CLI_COMMANDS[command] || command === 'create') {
+    return cliError(command, 400, `Unknown command. Available commands: ${Object.keys(CLI_COMMANDS).join(', ')}`);
+  }
+
+  if (command === 'list') {
+    const projects = await Promise.all((owner.project_ids || []).map(async projectId =>
+      projectSummary(projectId, await env.PROJECTS.get(projectId, { type: 'json' }))
+    ));
+    return jsonResponse({ success: true, command, owner_id: owner.owner_id, projects });
+  }
+
+  const projectId = body.project_id;
+  if (!projectId || typeof projectId !== 'string') {
+    return cliError(command, 400, 'project_id is required');
+  }
+  if (!(owner.project_ids || []).includes(projectId)) {
+    return cliError(command, 403, 'Project is not owned by this management token');
+  }
+
+  const config = await env.PROJECTS.get(projectId, { type: 'json' });
+
+  switch (command) {
+    case 'info':
+      if (!config) return cliError(command, 404, 'Project not found');
+      return jsonResponse({ success: true, command, project: projectSummary(projectId, config) });
+
+    case 'update': {
+      if (!config) return cliError(command, 404, 'Project not found');
+
+      const updates = {};
+      if (body.target !== undefined) {
+        if (!isHttpUrl(body.target)) return cliError(command, 400, 'target must be an http(s) URL');
+        updates.target_url = body.target;
+      }
+      if (body.auth_type !== undefined) {
+        if (!AUTH_TYPES.includes(body.auth_type)) {
+          return cliError(command, 400, `auth_type must be one of: ${AUTH_TYPES.join(', ')}`);
+        }
+        if (body.auth_type === 'jwt' && !config.jwt?.issuer) {
+          return cliError(command, 400, JWT_ISSUER_REQUIRED);
+        }
+        updates.auth_type = body.auth_type;
+      }
+      if (body.openapi_spec !== undefined) {
+        if (!body.openapi_spec || typeof body.openapi_spec !== 'object' || !body.openapi_spec.paths) {
+          return cliError(command, 400, 'openapi_spec must be an OpenAPI document with paths');
+        }
+        updates.openapi_spec = body.openapi_spec;
+      }
+      if (body.request_log !== undefined) {
+        if (typeof body.request_log?.enabled !== 'boolean') {
+          return cliError(command, 400, 'request_log must be an object with a boolean enabled');
+        }
+        const maxEntries = body.request_log.max_entries;
+        if (maxEntries !== undefined && (!Number.isInteger(maxEntries) || maxEntries < 1 || maxEntries > 1000)) {
+          return cliError(command, 400, 'request_log.max_entries must be between 1 and 1000');
+        }
+        updates.request_log = { enabled: body.request_log.enabled, ...(maxEntries && { max_entries: maxEntries }) };
+      }
+      if (Object.keys(updates).length === 0) {
+        return cliError(command, 400, 'target, auth_type, openapi_spec or request_log is required');
+      }
+
+      const updated = { ...config, ...updates, updated_at: Date.now() };
+      await env.PROJECTS.put(projectId, JSON.stringify(updated));
+      // Unversioned, so the admin API applies it to the default version, which is what the worker serves
+      const warning = await syncToControlPlane(env, 'PUT', `/projects/${projectId}`, updates, owner);
+
+      return jsonResponse({ success: true, command, project: projectSummary(projectId, updated), ...(warning && { warning }) });
+    }
+
+    case 'delete': {
+      await env.PROJECTS.delete(projectId);
+      await removeOwnedProject(env, owner, projectId);
+      const warning = await syncToControlPlane(env, 'DELETE', `/projects/${projectId}`, null, owner);
+
+      return jsonResponse({ success: true, command, project_id: projectId, ...(warning && { warning }) });
+    }
+
+    case 'requests': {
+      if (!config) return cliError(command, 404, 'Project not found');
+
+      const since = Number(body.since) || 0;
+      const limit = Number(body.limit) || undefined;
+      const entries = await readRequestLog(env, projectId, { since, limit });
+
+      return jsonResponse({
+        success: true,
+        command,
+        project_id: projectId,
+        request_log_enabled: config.request_log?.enabled === true,
+        entries
+      });
+    }
+
+    case 'create-key': {
+      if (!config) return cliError(command, 404, 'Project not found');
+
+      const apiKey = generateApiKey();
+      const keyRecord = {
+        api_key_hash: await hashApiKey(apiKey),
+        key_id: parseApiKey(apiKey).keyId,
+        hash_version: API_KEY_HASH_VERSION,
+        project_id: projectId,
+        user_id: owner.owner_id,
+        name: typeof body.name === 'string' ? body.name : undefined,
+        type: 'api_key',
+        active: true,
+        created_at: Date.now()
+      };
+      await env.API_KEYS.put(`${keyRecord.api_key_hash}:${projectId}`, JSON.stringify(keyRecord));
+      const warning = await syncToControlPlane(env, 'POST', '/api-keys', controlPlaneRecord(keyRecord), owner);
+
+      return jsonResponse({
+        success: true,
+        command,
+        project_id: projectId,
+        api_key: apiKey,
+        key_id: keyRecord.key_id,
+        api_key_hash: keyRecord.api_key_hash,
+        ...(warning && { warning })
+      }, 201);
+    }
+
+    case 'revoke-key': {
+      const apiKeyHash = await resolveKeyHash(body);
+      if (!apiKeyHash) return cliError(command, 400, 'api_key or api_key_hash is required');
+
+      const keyData = await env.API_KEYS.get(`${apiKeyHash}:${projectId}`, { type: 'json' });
+      if (!keyData) return cliError(command, 404, 'API key not found');
+
+      await env.API_KEYS.put(`${apiKeyHash}:${projectId}`, JSON.stringify({ ...keyData, active: false, updated_at: Date.now() }));
+      const warning = await syncToControlPlane(env, 'DELETE', `/api-keys/${apiKeyHash}/${projectId}`, null, owner);
+
+      return jsonResponse({ success: true, command, project_id: projectId, api_key_hash: apiKeyHash, active: false, ...(warning && { warning }) });
+    }
+
+    case 'rotate-key': {
+      const apiKeyHash = await resolveKeyHash(body);
+      if (!apiKeyHash) return cliError(command, 400, 'api_key or api_key_hash is required');
+
+      const options = {};
+      ['grace_period_seconds', 'grace_until', 'expires_at'].forEach(field => {
+        if (body[field] !== undefined) options[field] = body[field];
+      });
+
+      // Rotation links both records, so it runs in the admin API rather than against KV
+      const result = await callAdminApi(env, 'POST', `/api-keys/${apiKeyHash}/${projectId}/rotate`, options, owner);
+      if (!result.ok) {
+        return cliError(command, result.status, result.data?.error || 'Key rotation failed');
+      }
+
+      const { api_key, successor, previous } = result.data;
+      await env.API_KEYS.put(`${successor.api_key_hash}:${projectId}`, JSON.stringify(successor));
+
+      // The old key stops at its grace deadline only once the edge copy carries it; previous has no secrets, so merge
+      const cachedPrevious = await env.API_KEYS.get(`${apiKeyHash}:${projectId}`, { type: 'json' });
+      await env.API_KEYS.put(`${apiKeyHash}:${projectId}`, JSON.stringify({
+        ...(cachedPrevious || previous),
+        rotated_to: previous.rotated_to,
+        rotated_at: previous.rotated_at,
+        grace_until: previous.grace_until,
+        expires_at: previous.expires_at,
+        active: previous.active,
+        updated_at: previous.updated_at
+      }));
+
+      const { hmac_secret, ...publicSuccessor } = successor;
+      return jsonResponse({
+        success: true,
+        command,
+        project_id: projectId,
+        api_key,
+        ...(hmac_secret && { hmac_secret }),
+        successor: publicSuccessor,
+        previous
+      }, 201);
+    }
+  }
+};
+
+export {
+  CLI_COMMANDS,
+  JWT_ISSUER_REQUIRED,
+  auditHeaders,
+  authenticateOwner,
+  controlPlaneRecord,
+  registerOwnedProject,
+  runOwnerCommand
+};
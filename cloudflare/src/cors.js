@@ -0,0 +1,131 @@
+/**
+ * APIBLAZE - CORS
+ * Per-project CORS policy: preflights are answered at the edge before auth,
+ * and Access-Control-* headers are added to every response for allowed origins
+ */
+
+const DEFAULT_METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE'];
+const DEFAULT_HEADERS = ['Content-Type', 'Authorization', 'X-API-Key'];
+const DEFAULT_MAX_AGE = 600;
+
+// Exact origins compare case-insensitively; https://*.example.com matches any subdomain depth
+const matchesOrigin = (origin, allowedOrigins = []) => {
+  if (!origin) return false;
+  const candidate = origin.toLowerCase();
+
+  return allowedOrigins.some(allowed => {
+    if (allowed === '*') return true;
+    const pattern = allowed.toLowerCase();
+    if (!pattern.includes('*')) return pattern === candidate;
+
+    const regex = pattern
+      .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '[a-z0-9.-]+');
+    return new RegExp(`^${regex}$`).test(candidate);
+  });
+};
+
+// "*" never admits an origin when credentials are allowed, or any site could make credentialed
+// reads. The admin API rejects that combination; this covers policies saved before it did
+const isOriginAllowed = (origin, cors) => {
+  const allowedOrigins = cors.allowed_origins || [];
+  return matchesOrigin(origin, cors.allow_credentials ? allowedOrigins.filter(allowed => allowed !== '*') : allowedOrigins);
+};
+
+const isPreflight = (request) => {
+  return request.method === 'OPTIONS'
+    && request.headers.has('Origin')
+    && request.headers.has('Access-Control-Request-Method');
+};
+
+// With credentials the origin was matched explicitly and is echoed, since the spec forbids "*"
+const getAllowOrigin = (origin, cors) => {
+  if ((cors.allowed_origins || []).includes('*') && !cors.allow_credentials) return '*';
+  return origin;
+};
+
+const listOrWildcard = (values) => (values === '*' ? '*' : values.join(', '));
+
+/**
+ * Answer a preflight request. Rejected preflights get a 403 with a reason so
+ * misconfigurations are visible in the network panel.
+ */
+const handlePreflight = (request, cors) => {
+  const origin = request.headers.get('Origin');
+  const requestedMethod = request.headers.get('Access-Control-Request-Method').toUpperCase();
+  const requestedHeaders = (request.headers.get('Access-Control-Request-Headers') || '')
+    .split(',').map(h => h.trim()).filter(Boolean);
+
+  const allowedMethods = (cors.allowed_methods || DEFAULT_METHODS).map(m => m.toUpperCase());
+  const allowedHeaders = cors.allowed_headers || DEFAULT_HEADERS;
+
+  let reason = null;
+  if (!isOriginAllowed(origin, cors)) {
+    reason = 'origin_not_allowed';
+  } else if (!allowedMethods.includes(requestedMethod)) {
+    reason = 'method_not_allowed';
+  } else if (allowedHeaders !== '*') {
+    const allowed = allowedHeaders.map(h => h.toLowerCase());
+    if (requestedHeaders.some(h => !allowed.includes(h.toLowerCase()))) {
+      reason = 'header_not_allowed';
+    }
+  }
+
+  if (reason) {
+    return new Response(JSON.stringify({ error: 'CORS preflight rejected', reason }), {
+      status: 403,
+      headers: { 'Content-Type': 'application/json', 'Vary': 'Origin' }
+    });
+  }
+
+  const headers = {
+    'Access-Control-Allow-Origin': getAllowOrigin(origin, cors),
+    'Access-Control-Allow-Methods': allowedMethods.join(', '),
+    // A "*" header list is not honoured alongside credentials, so echo what was asked for
+    'Access-Control-Allow-Headers': allowedHeaders === '*' && cors.allow_credentials
+      ? requestedHeaders.join(', ')
+      : listOrWildcard(allowedHeaders),
+    'Access-Control-Max-Age': String(cors.max_age ?? DEFAULT_MAX_AGE),
+    'Vary': 'Origin, Access-Control-Request-Method, Access-Control-Request-Headers'
+  };
+
+  if (cors.allow_credentials) {
+    headers['Access-Control-Allow-Credentials'] = 'true';
+  }
+
+  return new Response(null, { status: 204, headers });
+};
+
+/**
+ * Add CORS headers to an actual (non-preflight) response. The edge policy is authoritative,
+ * so any Access-Control-* headers the upstream sent are dropped.
+ */
+const applyCorsHeaders = (request, response, cors) => {
+  const result = new Response(response.body, response);
+
+  for (const name of [...result.headers.keys()]) {
+    if (name.startsWith('access-control-')) result.headers.delete(name);
+  }
+
+  const origin = request.headers.get('Origin');
+  const vary = result.headers.get('Vary');
+  if (!vary || !vary.split(',').some(v => v.trim().toLowerCase() === 'origin')) {
+    result.headers.set('Vary', vary ? `${vary}, Origin` : 'Origin');
+  }
+
+  if (!isOriginAllowed(origin, cors)) {
+    return result;
+  }
+
+  result.headers.set('Access-Control-Allow-Origin', getAllowOrigin(origin, cors));
+  if (cors.allow_credentials) {
+    result.headers.set('Access-Control-Allow-Credentials', 'true');
+  }
+  if (cors.exposed_headers && cors.exposed_headers.length > 0) {
+    result.headers.set('Access-Control-Expose-Headers', listOrWildcard(cors.exposed_headers));
+  }
+
+  return result;
+};
+
+export { matchesOrigin, isPreflight, handlePreflight, applyCorsHeaders };
@@ -0,0 +1,165 @@
+/**
+ * APIBLAZE - HMAC request signing
+ * Verifies APIBLAZE-HMAC-SHA256 signatures over the method, path, query, selected headers,
+ * body digest, timestamp and nonce, with nonces tracked in KV to stop replays
+ */
+
+const SCHEME = 'APIBLAZE-HMAC-SHA256';
+const TIMESTAMP_HEADER = 'X-Apiblaze-Timestamp';
+const NONCE_HEADER = 'X-Apiblaze-Nonce';
+const CONTENT_HASH_HEADER = 'X-Apiblaze-Content-SHA256';
+const DEFAULT_MAX_SKEW_SECONDS = 300;
+const DEFAULT_REQUIRED_HEADERS = ['host'];
+// KV rejects expirationTtl below 60 seconds
+const MIN_NONCE_TTL_SECONDS = 60;
+
+const encoder = new TextEncoder();
+
+const toHex = (buffer) => [...new Uint8Array(buffer)].map(b => b.toString(16).padStart(2, '0')).join('');
+
+const fromHex = (hex) => {
+  if (!/^([0-9a-f]{2})+$/i.test(hex)) return null;
+  return new Uint8Array(hex.match(/../g).map(byte => parseInt(byte, 16)));
+};
+
+const sha256Hex = async (data) => toHex(await crypto.subtle.digest('SHA-256', data));
+
+const hmacError = (reason, description) => ({ reason, description });
+
+// Constant-time string comparison: HMAC one value under a throwaway key and let subtle.verify check the other
+const secretsEqual = async (a, b) => {
+  const key = await crypto.subtle.importKey('raw', crypto.getRandomValues(new Uint8Array(32)),
+    { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']);
+  const mac = await crypto.subtle.sign('HMAC', key, encoder.encode(a));
+  return crypto.subtle.verify('HMAC', key, mac, encoder.encode(b));
+};
+
+// Authorization: APIBLAZE-HMAC-SHA256 KeyId=hk_..., SignedHeaders=host;content-type, Signature=<hex>
+const parseAuthorization = (header) => {
+  if (!header || !header.startsWith(`${SCHEME} `)) return null;
+
+  const fields = {};
+  header.slice(SCHEME.length + 1).split(',').forEach(part => {
+    const index = part.indexOf('=');
+    if (index > 0) fields[part.slice(0, index).trim()] = part.slice(index + 1).trim();
+  });
+
+  if (!fields.KeyId || !fields.SignedHeaders || !fields.Signature) return null;
+
+  return {
+    keyId: fields.KeyId,
+    signedHeaders: fields.SignedHeaders.toLowerCase().split(';').filter(Boolean),
+    signature: fields.Signature.toLowerCase()
+  };
+};
+
+const canonicalQuery = (searchParams) => {
+  return [...searchParams.entries()]
+    .map(([name, value]) => [encodeURIComponent(name), encodeURIComponent(value)])
+    .sort(([a, av], [b, bv]) => (a === b ? (av < bv ? -1 : av > bv ? 1 : 0) : (a < b ? -1 : 1)))
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+};
+
+/**
+ * Build the string clients sign. Lines, joined by \n:
+ * scheme, timestamp, nonce, METHOD, path, canonical query, one "name:value" line per signed header,
+ * signed header names joined by ";", hex SHA-256 of the body
+ */
+const buildStringToSign = ({ method, url, headers, signedHeaders, timestamp, nonce, bodyHash }) => {
+  const headerLines = signedHeaders.map(name => `${name}:${(headers.get(name) || '').trim().replace(/\s+/g, ' ')}`);
+
+  return [
+    SCHEME,
+    timestamp,
+    nonce,
+    method.toUpperCase(),
+    url.pathname,
+    canonicalQuery(url.searchParams),
+    ...headerLines,
+    signedHeaders.join(';'),
+    bodyHash
+  ].join('\n');
+};
+
+// Record the nonce; returns false when it was already used inside the replay window
+const claimNonce = async (env, projectId, keyId, nonce, ttlSeconds) => {
+  const key = `hmac_nonce:${projectId}:${keyId}:${nonce}`;
+
+  // KV is eventually consistent, so this catches replays reliably within a region and best-effort across regions
+  if (await env.API_KEYS.get(key)) return false;
+
+  await env.API_KEYS.put(key, '1', { expirationTtl: Math.max(MIN_NONCE_TTL_SECONDS, ttlSeconds) });
+  return true;
+};
+
+/**
+ * Verify a signed request for an auth_type: 'hmac' project.
+ * Returns { keyData } on success or { error: { reason, description } } on failure.
+ * signedUrl is the URL as the client sent it, before any version prefix was stripped.
+ */
+const verifyHmacRequest = async (request, env, projectId, hmacConfig = {}, signedUrl = request.url) => {
+  const auth = parseAuthorization(request.headers.get('Authorization'));
+  if (!auth) {
+    return { error: hmacError('missing_signature', `Authorization header must use the ${SCHEME} scheme`) };
+  }
+
+  const requiredHeaders = (hmacConfig.required_headers || DEFAULT_REQUIRED_HEADERS).map(h => h.toLowerCase());
+  const missingHeader = requiredHeaders.find(name => !auth.signedHeaders.includes(name));
+  if (missingHeader) {
+    return { error: hmacError('missing_signed_header', `Header "${missingHeader}" must be signed`) };
+  }
+
+  const timestamp = request.headers.get(TIMESTAMP_HEADER);
+  const nonce = request.headers.get(NONCE_HEADER);
+  if (!timestamp || !/^\d+$/.test(timestamp) || !nonce || nonce.length > 128) {
+    return { error: hmacError('missing_signature', `${TIMESTAMP_HEADER} (unix seconds) and ${NONCE_HEADER} are required`) };
+  }
+
+  const maxSkew = hmacConfig.max_clock_skew ?? DEFAULT_MAX_SKEW_SECONDS;
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > maxSkew) {
+    return { error: hmacError('stale_timestamp', `Timestamp is outside the allowed ${maxSkew}s window`) };
+  }
+
+  const keyData = await env.API_KEYS.get(`${auth.keyId}:${projectId}`, { type: 'json' });
+  if (!keyData || keyData.type !== 'hmac' || !keyData.hmac_secret || !keyData.active
+    || (keyData.expires_at && keyData.expires_at < Date.now())) {
+    return { error: hmacError('unknown_key', 'Unknown or inactive signing key') };
+  }
+
+  const body = request.body ? await request.clone().arrayBuffer() : new ArrayBuffer(0);
+  const bodyHash = await sha256Hex(body);
+  const declaredHash = request.headers.get(CONTENT_HASH_HEADER);
+  if (declaredHash && declaredHash.toLowerCase() !== bodyHash) {
+    return { error: hmacError('body_digest_mismatch', `${CONTENT_HASH_HEADER} does not match the request body`) };
+  }
+
+  const stringToSign = buildStringToSign({
+    method: request.method,
+    url: new URL(signedUrl),
+    headers: request.headers,
+    signedHeaders: auth.signedHeaders,
+    timestamp,
+    nonce,
+    bodyHash
+  });
+
+  const signature = fromHex(auth.signature);
+  const key = await crypto.subtle.importKey('raw', encoder.encode(keyData.hmac_secret),
+    { name: 'HMAC', hash: 'SHA-256' }, false, ['verify']);
+
+  // subtle.verify compares in constant time
+  if (!signature || !(await crypto.subtle.verify('HMAC', key, signature, encoder.encode(stringToSign)))) {
+    return { error: hmacError('invalid_signature', 'Signature does not match') };
+  }
+
+  // Claimed only after the signature checks out, so forged requests cannot burn nonces
+  if (!(await claimNonce(env, projectId, auth.keyId, nonce, maxSkew * 2))) {
+    return { error: hmacError('replayed_nonce', 'Nonce has already been used') };
+  }
+
+  const { hmac_secret, ...publicKeyData } = keyData;
+  return { keyData: { ...publicKeyData, api_key_hash: keyData.api_key_hash || auth.keyId } };
+};
+
+export { SCHEME as HMAC_SCHEME, buildStringToSign, secretsEqual, verifyHmacRequest };
@@ -3,71 +3,66 @@
  * Handles routing, authentication, and API proxying
  */
 
-// Utility functions
-const generateApiKey = () => {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let result = 'apiblaze_';
-  for (let i = 0; i < 32; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return result;
-};
+import { checkRateLimit, getConsumerId } from './ratelimit.js';
+import { resolveRoute, buildUpstreamUrl } from './routing.js';
+import { resolveCachePolicy, buildCacheKey, lookupCachedResponse, storeCachedResponse, purgeProjectCache } from './cache.js';
+import { specCacheKey, matchOperation, getOperationName, validateRequest, validateResponse, buildMockResponse } from './openapi.js';
+import { verifyCognitoToken, verifyIssuerToken, buildClaimHeaders, buildBearerChallenge } from './jwt.js';
+import { sendToPool, runHealthChecks, isRetryableMethod } from './upstreams.js';
+import { buildTemplateContext, usesConsumerTemplates, transformRequest, transformResponse } from './transforms.js';
+import { isPreflight, handlePreflight, applyCorsHeaders } from './cors.js';
+import { checkNetworkAccess } from './access.js';
+import { HMAC_SCHEME, secretsEqual, verifyHmacRequest } from './hmac.js';
+import { checkKeyScopes } from './scopes.js';
+import { isRequestLogEnabled, recordRequest } from './requestlog.js';
+import { CLI_COMMANDS, JWT_ISSUER_REQUIRED, auditHeaders, authenticateOwner, controlPlaneRecord, registerOwnedProject, runOwnerCommand } from './cli.js';
+import { selectVersion, getDefaultVersion, getLifecycleStatus, sunsetResponse, applyVersionHeaders } from './versions.js';
+import { API_KEY_HASH_VERSION, generateApiKey, generateProjectId, parseApiKey, hashApiKey, legacyHashApiKey } from './apikeys.js';
 
-const hashApiKey = (apiKey) => {
-  // Simple hash function that works in Cloudflare Workers
-  let hash = 0;
-  for (let i = 0; i < apiKey.length; i++) {
-    const char = apiKey.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash; // Convert to 32-bit integer
-  }
-  return Math.abs(hash).toString(36);
-};
+export { RateLimiter } from './ratelimit.js';
+export { UpstreamHealth } from './upstreams.js';
+export { RequestLog } from './requestlog.js';
 
-const parseJWT = (token) => {
+// Utility functions
+const validateCognitoToken = async (token, env) => {
   try {
-    const base64Url = token.split('.')[1];
-    const base64 = base64Url.replace(/-/g, '+').replace(/_/g, '/');
-    const jsonPayload = decodeURIComponent(atob(base64).split('').map(c => {
-      return '%' + ('00' + c.charCodeAt(0).toString(16)).slice(-2);
-    }).join(''));
-    return JSON.parse(jsonPayload);
+    return { payload: await verifyCognitoToken(token, env) };
   } catch (error) {
-    return null;
+    console.error('Cognito token validation failed:', error.message);
+    return { error: error.code === 'invalid_token' ? error.message : 'Token could not be validated' };
   }
 };
 
-const validateCognitoToken = async (token) => {
-  try {
-    // In production, validate against Cognito JWKS
-    const decoded = parseJWT(token);
-    if (!decoded) return null;
-    
-    // Basic validation - in production, verify signature and expiration
-    if (decoded.aud !== env.COGNITO_USER_POOL_CLIENT_ID) return null;
-    if (decoded.exp < Date.now() / 1000) return null;
-    
-    return decoded;
-  } catch (error) {
-    return null;
-  }
+// RFC 6750 style 401/403 with a WWW-Authenticate challenge
+const bearerErrorResponse = (status, message, error, description) => {
+  return new Response(JSON.stringify({ error: message, ...(error && { error_code: error }) }), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'WWW-Authenticate': buildBearerChallenge('apiblaze', error, description)
+    }
+  });
 };
 
-const getProjectConfig = async (projectId, env) => {
+// Without a version this is the project's root config: its default version plus the
+// versions summary. Other versions are cached separately under <project_id>@<version>
+const getProjectConfig = async (projectId, env, version = null) => {
   try {
-    console.log('Getting project config for:', projectId);
+    const key = version ? `${projectId}@${version}` : projectId;
+    console.log('Getting project config for:', key);
     
     // Try KV cache first
-    let config = await env.PROJECTS.get(projectId, { type: 'json' });
+    let config = await env.PROJECTS.get(key, { type: 'json' });
     console.log('KV lookup result:', config ? 'found' : 'not found');
     
     if (!config) {
+      const configUrl = `${env.API_GATEWAY_URL}/projects/${projectId}${version ? `/${encodeURIComponent(version)}` : ''}`;
       console.log('KV cache miss, trying DynamoDB fallback...');
-      console.log('API Gateway URL:', `${env.API_GATEWAY_URL}/projects/${projectId}`);
+      console.log('API Gateway URL:', configUrl);
       console.log('Internal API Key:', env.INTERNAL_API_KEY ? 'present' : 'missing');
       
       // Fallback to DynamoDB
-      const response = await fetch(`${env.API_GATEWAY_URL}/projects/${projectId}`, {
+      const response = await fetch(configUrl, {
         headers: {
           'Authorization': `Bearer ${env.INTERNAL_API_KEY}`,
           'Content-Type': 'application/json'
@@ -81,7 +76,7 @@ const getProjectConfig = async (projectId, env) => {
         config = await response.json();
         console.log('DynamoDB lookup successful, caching in KV...');
         // Cache in KV
-        await env.PROJECTS.put(projectId, JSON.stringify(config), { expirationTtl: 300 });
+        await env.PROJECTS.put(key, JSON.stringify(config), { expirationTtl: 300 });
         console.log('Project cached in KV successfully');
       } else {
         console.log('DynamoDB lookup failed');
@@ -97,25 +92,116 @@ const getProjectConfig = async (projectId, env) => {
   }
 };
 
-const validateApiKey = async (apiKey, projectId, env) => {
+const resolveCustomDomain = async (hostname, env) => {
   try {
-    const hashedKey = hashApiKey(apiKey);
-    const keyData = await env.API_KEYS.get(`${hashedKey}:${projectId}`, { type: 'json' });
+    const key = `domain:${hostname.toLowerCase()}`;
+    
+    // Try KV cache first (written by config-change-handler once a domain is verified)
+    let mapping = await env.PROJECTS.get(key, { type: 'json' });
+    
+    if (!mapping) {
+      // Fallback to DynamoDB
+      const response = await fetch(`${env.API_GATEWAY_URL}/domains/${encodeURIComponent(hostname.toLowerCase())}`, {
+        headers: {
+          'Authorization': `Bearer ${env.INTERNAL_API_KEY}`,
+          'Content-Type': 'application/json'
+        }
+      });
+      
+      // Unknown hostnames are cached briefly too, so stray traffic doesn't hammer the admin API
+      mapping = response.ok ? await response.json() : { hostname, status: 'unknown' };
+      await env.PROJECTS.put(key, JSON.stringify(mapping), { expirationTtl: response.ok ? 300 : 60 });
+    }
+    
+    return mapping.status === 'active' ? mapping.project_id : null;
+  } catch (error) {
+    console.error('Error resolving custom domain:', error);
+    return null;
+  }
+};
+
+// Move a legacy (v1) hashed key to the current digest: KV serves it right away,
+// the admin API re-keys the DynamoDB record so the change survives cache expiry
+const migrateLegacyKeyHash = async (env, projectId, legacyHash, hashedKey, keyData) => {
+  try {
+    await env.API_KEYS.put(`${hashedKey}:${projectId}`, JSON.stringify({
+      ...keyData,
+      api_key_hash: hashedKey,
+      hash_version: API_KEY_HASH_VERSION
+    }), { expirationTtl: 300 });
+    
+    const response = await fetch(`${env.API_GATEWAY_URL}/api-keys/${legacyHash}/${projectId}/migrate-hash`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${env.INTERNAL_API_KEY}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ api_key_hash: hashedKey, hash_version: API_KEY_HASH_VERSION })
+    });
+    
+    if (!response.ok) {
+      console.error('API key hash migration failed with status:', response.status);
+    }
+  } catch (error) {
+    console.error('Error migrating API key hash:', error);
+  }
+};
+
+const validateApiKey = async (apiKey, projectId, env, ctx) => {
+  try {
+    // Current-format keys with a bad checksum are rejected without a lookup
+    const parsed = parseApiKey(apiKey);
+    if (!parsed) return null;
+    
+    const hashedKey = await hashApiKey(apiKey);
+    let keyData = await env.API_KEYS.get(`${hashedKey}:${projectId}`, { type: 'json' });
+    
+    // Keys issued before v2 hashing are found by their legacy hash and migrated in the background
+    if (!keyData && parsed.format === 'legacy') {
+      const legacyHash = legacyHashApiKey(apiKey);
+      keyData = await env.API_KEYS.get(`${legacyHash}:${projectId}`, { type: 'json' });
+      
+      if (keyData && keyData.type !== 'hmac') {
+        const migration = migrateLegacyKeyHash(env, projectId, legacyHash, hashedKey, keyData);
+        if (ctx) {
+          ctx.waitUntil(migration);
+        } else {
+          await migration;
+        }
+      }
+    }
     
     if (!keyData) return null;
     
+    // Signing keys are only valid for auth_type 'hmac'; their ID is not a bearer secret
+    if (keyData.type === 'hmac') return null;
+    
     // Check if key is active and not expired
     if (!keyData.active || (keyData.expires_at && keyData.expires_at < Date.now())) {
       return null;
     }
     
-    return keyData;
+    return { ...keyData, api_key_hash: hashedKey };
   } catch (error) {
     console.error('Error validating API key:', error);
     return null;
   }
 };
 
+// Keys inside a rotation grace window announce their cutoff (Deprecation: RFC 9745, Sunset: RFC 8594)
+const buildKeyRotationHeaders = (keyData) => {
+  if (!keyData?.grace_until || keyData.grace_until < Date.now()) {
+    return {};
+  }
+  
+  const cutoff = new Date(keyData.grace_until);
+  return {
+    'Deprecation': `@${Math.floor((keyData.rotated_at || Date.now()) / 1000)}`,
+    'Sunset': cutoff.toUTCString(),
+    'Warning': `299 apiblaze "API key has been rotated and stops working at ${cutoff.toISOString()}"`
+  };
+};
+
 const getUserAccess = async (userId, projectId, env) => {
   try {
     // Try KV cache first
@@ -144,76 +230,257 @@ const getUserAccess = async (userId, projectId, env) => {
   }
 };
 
+// Forward one attempt upstream; throws on connection errors so pools can retry
+// targetUrl is the fully routed upstream URL (base path, rewritten path and query already applied)
+const forwardRequest = async (request, targetUrl, authHeaders = {}, body = request.body) => {
+  const targetUrlObj = new URL(targetUrl);
+  
+  // Prepare headers
+  const headers = new Headers();
+  
+  // Copy original headers, excluding host
+  for (const [key, value] of request.headers.entries()) {
+    if (key.toLowerCase() !== 'host') {
+      headers.set(key, value);
+    }
+  }
+  
+  // Add auth headers (null/empty values strip whatever the client sent)
+  Object.entries(authHeaders).forEach(([key, value]) => {
+    if (value) {
+      headers.set(key, value);
+    } else {
+      headers.delete(key);
+    }
+  });
+  
+  // Set host header for target
+  headers.set('Host', targetUrlObj.host);
+  
+  // Create the proxy request
+  const proxyRequest = new Request(targetUrlObj.toString(), {
+    method: request.method,
+    headers: headers,
+    body: body,
+    redirect: 'follow'
+  });
+  
+  // Make the request
+  const response = await fetch(proxyRequest);
+  
+  // Return the response
+  return new Response(response.body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers
+  });
+};
+
 const proxyRequest = async (request, targetUrl, authHeaders = {}) => {
   try {
-    const url = new URL(request.url);
-    const targetUrlObj = new URL(targetUrl);
-    
-    // Build the target URL
-    targetUrlObj.pathname = url.pathname;
-    targetUrlObj.search = url.search;
-    
-    // Prepare headers
-    const headers = new Headers();
-    
-    // Copy original headers, excluding host
-    for (const [key, value] of request.headers.entries()) {
-      if (key.toLowerCase() !== 'host') {
-        headers.set(key, value);
-      }
-    }
-    
-    // Add auth headers
-    Object.entries(authHeaders).forEach(([key, value]) => {
-      if (value) headers.set(key, value);
+    return await forwardRequest(request, targetUrl, authHeaders);
+  } catch (error) {
+    console.error('Proxy error:', error);
+    return new Response(JSON.stringify({ error: 'Proxy error' }), {
+      status: 502,
+      headers: { 'Content-Type': 'application/json' }
     });
-    
-    // Set host header for target
-    headers.set('Host', targetUrlObj.host);
-    
-    // Create the proxy request
-    const proxyRequest = new Request(targetUrlObj.toString(), {
+  }
+};
+
+// Proxy through an upstream pool: balancing, retries and circuit breaking live in upstreams.js
+const proxyToPool = async (request, env, ctx, projectId, routed, authHeaders = {}) => {
+  const url = new URL(request.url);
+  
+  // Retried attempts need a body that can be replayed
+  const body = request.body && isRetryableMethod(request.method) ? await request.arrayBuffer() : request.body;
+  
+  try {
+    return await sendToPool({
+      env,
+      ctx,
+      projectId,
+      poolKey: routed.poolKey,
+      pool: routed.pool,
       method: request.method,
-      headers: headers,
-      body: request.body,
-      redirect: 'follow'
-    });
-    
-    // Make the request
-    const response = await fetch(proxyRequest);
-    
-    // Return the response
-    return new Response(response.body, {
-      status: response.status,
-      statusText: response.statusText,
-      headers: response.headers
+      send: (upstream) => forwardRequest(request, buildUpstreamUrl(upstream, routed.path, url.search), authHeaders, body)
     });
   } catch (error) {
-    console.error('Proxy error:', error);
-    return new Response(JSON.stringify({ error: 'Proxy error' }), {
+    console.error('Upstream pool error:', error);
+    return new Response(JSON.stringify({ error: 'No upstream available' }), {
       status: 502,
       headers: { 'Content-Type': 'application/json' }
     });
   }
 };
 
-const handleApiRequest = async (request, env) => {
+// Match a request to a spec operation and validate it; returns null when the request is valid
+const checkRequestAgainstSpec = async (request, spec, specKey) => {
+  const url = new URL(request.url);
+  const match = matchOperation(spec, request.method, url.pathname, specKey);
+  
+  if (match.error === 'not_found') {
+    return {
+      status: 404,
+      body: { error: 'Path not declared in API specification', path: url.pathname }
+    };
+  }
+  
+  if (match.error === 'method_not_allowed') {
+    return {
+      status: 405,
+      headers: { 'Allow': match.allowed.join(', ') },
+      body: { error: 'Method not allowed', method: request.method, allowed: match.allowed }
+    };
+  }
+  
+  const violations = await validateRequest(spec, match, request);
+  if (violations.length > 0) {
+    return {
+      status: 400,
+      body: {
+        error: 'Request validation failed',
+        operation: getOperationName(match),
+        violations
+      }
+    };
+  }
+  
+  return null;
+};
+
+// Parse RFC 7240 Prefer preferences used by mock mode (code=404, example=name, dynamic=true)
+const parsePreferHeader = (value) => {
+  const prefer = {};
+  (value || '').split(/[,;]/).forEach(part => {
+    const [key, raw] = part.split('=').map(p => p && p.trim());
+    if (!key || raw === undefined) return;
+    const unquoted = raw.replace(/^"|"$/g, '');
+    if (key === 'code' && /^[1-5]\d\d$/.test(unquoted)) prefer.code = unquoted;
+    if (key === 'example') prefer.example = unquoted;
+    if (key === 'dynamic') prefer.dynamic = unquoted === 'true';
+  });
+  return prefer;
+};
+
+// Serve a response from the stored spec instead of calling the target
+const handleMockRequest = (request, spec, specKey) => {
+  const url = new URL(request.url);
+  const match = matchOperation(spec, request.method, url.pathname, specKey);
+  
+  if (match.error === 'not_found') {
+    return new Response(JSON.stringify({ error: 'Path not declared in API specification', path: url.pathname }), {
+      status: 404,
+      headers: { 'Content-Type': 'application/json', 'X-Apiblaze-Mock': 'true' }
+    });
+  }
+  
+  if (match.error === 'method_not_allowed') {
+    return new Response(JSON.stringify({ error: 'Method not allowed', method: request.method, allowed: match.allowed }), {
+      status: 405,
+      headers: { 'Content-Type': 'application/json', 'Allow': match.allowed.join(', '), 'X-Apiblaze-Mock': 'true' }
+    });
+  }
+  
+  const prefer = parsePreferHeader(request.headers.get('Prefer'));
+  const mock = buildMockResponse(spec, match, prefer, request.headers.get('Accept') || '');
+  
+  if (!mock) {
+    return new Response(JSON.stringify({
+      error: 'Preferred response not declared in API specification',
+      operation: getOperationName(match),
+      code: prefer.code
+    }), {
+      status: 422,
+      headers: { 'Content-Type': 'application/json', 'X-Apiblaze-Mock': 'true' }
+    });
+  }
+  
+  const headers = { ...mock.headers, 'X-Apiblaze-Mock': 'true' };
+  let body = null;
+  
+  if (mock.contentType && mock.body !== null && mock.body !== undefined && ![204, 304].includes(mock.status)) {
+    headers['Content-Type'] = mock.contentType;
+    body = typeof mock.body === 'string' && !mock.contentType.includes('json') ? mock.body : JSON.stringify(mock.body);
+  }
+  
+  if (prefer.code || prefer.example || prefer.dynamic !== undefined) {
+    headers['Preference-Applied'] = request.headers.get('Prefer');
+  }
+  
+  return new Response(request.method === 'HEAD' ? null : body, { status: mock.status, headers });
+};
+
+const MAX_MONITORED_BODY_BYTES = 1024 * 1024;
+
+// Sample upstream responses and report contract drift to the admin API, off the hot path
+const monitorResponseContract = (ctx, env, projectId, spec, request, response, sampleRate, specKey) => {
+  if (!ctx || !sampleRate || Math.random() * 100 >= sampleRate) {
+    return;
+  }
+  
+  const match = matchOperation(spec, request.method, new URL(request.url).pathname, specKey);
+  if (match.error) {
+    return;
+  }
+  
+  const contentLength = Number(response.headers.get('Content-Length') || 0);
+  if (contentLength > MAX_MONITORED_BODY_BYTES) {
+    return;
+  }
+  
+  const copy = response.clone();
+  
+  ctx.waitUntil((async () => {
+    try {
+      const bodyText = await copy.text();
+      const violations = validateResponse(spec, match, copy.status, copy.headers.get('Content-Type'), bodyText);
+      
+      if (violations.length === 0) {
+        return;
+      }
+      
+      const operation = getOperationName(match);
+      console.log('Response contract drift detected:', { projectId, operation, count: violations.length });
+      
+      await fetch(`${env.API_GATEWAY_URL}/projects/${projectId}/contract-drift`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${env.INTERNAL_API_KEY}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          operation,
+          method: match.method,
+          path: match.template,
+          observed_at: Date.now(),
+          violations
+        })
+      });
+    } catch (error) {
+      console.error('Error monitoring response contract:', error);
+    }
+  })());
+};
+
+const handleApiRequest = async (request, env, ctx, customDomainProjectId = null) => {
   const url = new URL(request.url);
   const hostname = url.hostname;
   
-  // Extract project ID from subdomain
-  const subdomain = hostname.split('.')[0];
+  // Extract project ID from subdomain unless a custom domain already resolved it
+  const subdomain = customDomainProjectId ? null : hostname.split('.')[0];
   if (subdomain === 'www' || subdomain === 'api' || subdomain === 'dashboard' || subdomain === 'apiportal') {
     return new Response('Not found', { status: 404 });
   }
   
-  const projectId = subdomain;
+  const projectId = customDomainProjectId || subdomain;
   
   // Add debugging
   console.log('Subdomain request:', {
     hostname,
     subdomain,
     projectId,
+    custom_domain: !!customDomainProjectId,
     path: url.pathname
   });
   
@@ -242,14 +509,65 @@ const handleApiRequest = async (request, env) => {
     });
   }
   
+  // Pick the API version (path prefix, header or media type); the root config is the default version
+  const selection = selectVersion(request, projectConfig);
+  if (selection.error) {
+    return selection.error;
+  }
+  
+  const { version, request: versionRequest } = selection;
+  const versionConfig = version === getDefaultVersion(projectConfig)
+    ? projectConfig
+    : await getProjectConfig(projectId.toLowerCase(), env, version);
+  
+  if (!versionConfig) {
+    return new Response(JSON.stringify({ error: 'API version not found', api_version: version }), {
+      status: 404,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
   // Check if project is active
-  if (!projectConfig.active) {
+  if (!versionConfig.active) {
     return new Response(JSON.stringify({ error: 'Project is inactive' }), {
       status: 403,
       headers: { 'Content-Type': 'application/json' }
     });
   }
   
+  // CORS: preflights are answered before auth; every other response (errors included) gets the headers
+  const cors = versionConfig.cors;
+  if (cors && isPreflight(versionRequest)) {
+    return handlePreflight(versionRequest, cors);
+  }
+  
+  const startedAt = Date.now();
+  const lifecycle = versionConfig.lifecycle;
+  const response = getLifecycleStatus(lifecycle) === 'sunset'
+    ? sunsetResponse(version, lifecycle)
+    : await handleProjectRequest(versionRequest, env, ctx, projectId, versionConfig, request.url);
+  
+  applyVersionHeaders(response, version, lifecycle);
+  
+  if (isRequestLogEnabled(versionConfig)) {
+    recordRequest(ctx, env, projectId.toLowerCase(), versionConfig, versionRequest, response, startedAt);
+  }
+  
+  return cors ? applyCorsHeaders(versionRequest, response, cors) : response;
+};
+
+// Auth, limits, validation and proxying for a resolved, active project. signedUrl is the URL the
+// client sent, which HMAC signatures cover even when a version prefix has been stripped
+const handleProjectRequest = async (request, env, ctx, projectId, projectConfig, signedUrl = request.url) => {
+  const url = new URL(request.url);
+  const specKey = specCacheKey(projectId, projectConfig);
+  
+  // IP and country restrictions run before auth, so blocked networks never reach key lookups
+  const networkDenied = checkNetworkAccess(request, projectConfig.access_control, 'project');
+  if (networkDenied) {
+    return networkDenied;
+  }
+  
   // Handle authentication based on project settings
   let authResult = null;
   
@@ -262,7 +580,7 @@ const handleApiRequest = async (request, env) => {
           headers: { 'Content-Type': 'application/json' }
         });
       }
-      authResult = await validateApiKey(apiKey, projectId, env);
+      authResult = await validateApiKey(apiKey, projectId, env, ctx);
       if (!authResult) {
         return new Response(JSON.stringify({ error: 'Invalid API key' }), {
           status: 401,
@@ -274,33 +592,73 @@ const handleApiRequest = async (request, env) => {
     case 'oauth':
       const authHeader = request.headers.get('Authorization');
       if (!authHeader || !authHeader.startsWith('Bearer ')) {
-        return new Response(JSON.stringify({ error: 'OAuth token required' }), {
-          status: 401,
-          headers: { 'Content-Type': 'application/json' }
-        });
+        return bearerErrorResponse(401, 'OAuth token required');
       }
       
       const token = authHeader.replace('Bearer ', '');
-      const decodedToken = await validateCognitoToken(token);
+      const { payload: decodedToken, error: tokenError } = await validateCognitoToken(token, env);
       if (!decodedToken) {
-        return new Response(JSON.stringify({ error: 'Invalid OAuth token' }), {
-          status: 401,
-          headers: { 'Content-Type': 'application/json' }
-        });
+        return bearerErrorResponse(401, 'Invalid OAuth token', 'invalid_token', tokenError);
       }
       
       // Check user access to project
       const userAccess = await getUserAccess(decodedToken.sub, projectId, env);
       if (!userAccess || !userAccess.has_access) {
-        return new Response(JSON.stringify({ error: 'Access denied' }), {
-          status: 403,
-          headers: { 'Content-Type': 'application/json' }
-        });
+        return bearerErrorResponse(403, 'Access denied', 'insufficient_scope', 'User has no access to this project');
       }
       
       authResult = { user_id: decodedToken.sub, access_level: userAccess.access_level };
       break;
       
+    case 'jwt':
+      const jwtHeader = request.headers.get('Authorization');
+      if (!jwtHeader || !jwtHeader.startsWith('Bearer ')) {
+        return bearerErrorResponse(401, 'Bearer token required');
+      }
+      
+      let claims;
+      try {
+        claims = await verifyIssuerToken(jwtHeader.replace('Bearer ', ''), projectConfig.jwt);
+      } catch (error) {
+        console.error('JWT validation failed:', error.message);
+        if (error.code === 'misconfigured') {
+          return new Response(JSON.stringify({ error: error.message }), {
+            status: 500,
+            headers: { 'Content-Type': 'application/json' }
+          });
+        }
+        if (error.code === 'insufficient_scope') {
+          return bearerErrorResponse(403, 'Insufficient scope', 'insufficient_scope', error.message);
+        }
+        return bearerErrorResponse(401, 'Invalid token', 'invalid_token',
+          error.code === 'invalid_token' ? error.message : 'Token could not be validated');
+      }
+      
+      authResult = {
+        user_id: claims.sub,
+        claim_headers: buildClaimHeaders(claims, projectConfig.jwt.forward_claims)
+      };
+      break;
+      
+    case 'hmac':
+      // Signed requests: the shared secret never travels with the request
+      const { keyData: signingKey, error: signatureError } = await verifyHmacRequest(request, env, projectId, projectConfig.hmac, signedUrl);
+      if (!signingKey) {
+        return new Response(JSON.stringify({
+          error: 'Invalid request signature',
+          reason: signatureError.reason,
+          error_description: signatureError.description
+        }), {
+          status: 401,
+          headers: {
+            'Content-Type': 'application/json',
+            'WWW-Authenticate': `${HMAC_SCHEME} error="${signatureError.reason}"`
+          }
+        });
+      }
+      authResult = signingKey;
+      break;
+      
     case 'none':
       // No authentication required
       break;
@@ -312,8 +670,104 @@ const handleApiRequest = async (request, env) => {
       });
   }
   
+  // Per-key network restrictions apply on top of the project's
+  if (authResult?.access_control) {
+    const keyDenied = checkNetworkAccess(request, authResult.access_control, 'api_key');
+    if (keyDenied) {
+      return keyDenied;
+    }
+  }
+  
+  // Scoped keys are limited to their methods, paths and operations
+  if (authResult?.scopes) {
+    const scopeError = checkKeyScopes(authResult.scopes, request, projectConfig.openapi_spec, specKey);
+    if (scopeError) {
+      return new Response(JSON.stringify({ error: 'insufficient_scope', error_description: scopeError }), {
+        status: 403,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+  }
+  
+  // Enforce rate limits and quotas (project defaults, per-key overrides)
+  const rateLimit = await checkRateLimit(request, env, projectId.toLowerCase(), projectConfig, authResult);
+  
+  if (rateLimit && !rateLimit.allowed) {
+    return new Response(JSON.stringify({
+      error: 'Rate limit exceeded',
+      limit: rateLimit.exceeded
+    }), {
+      status: 429,
+      headers: { 'Content-Type': 'application/json', ...rateLimit.headers }
+    });
+  }
+  
+  // Headers every served response carries: rate limit state and key rotation notices
+  const responseHeaders = { ...(rateLimit?.headers || {}), ...buildKeyRotationHeaders(authResult) };
+  
+  // Validate the request against the project's OpenAPI spec (opt-in)
+  const validationMode = projectConfig.openapi_validation?.mode || 'off';
+  
+  if (validationMode !== 'off' && projectConfig.openapi_spec?.paths) {
+    const validationError = await checkRequestAgainstSpec(request, projectConfig.openapi_spec, specKey);
+    
+    if (validationError) {
+      console.log('OpenAPI request validation failed:', JSON.stringify(validationError.body));
+      if (validationMode === 'enforce') {
+        return new Response(JSON.stringify(validationError.body), {
+          status: validationError.status,
+          headers: { 'Content-Type': 'application/json', ...validationError.headers }
+        });
+      }
+    }
+  }
+  
+  // Mock mode answers from the spec after auth, so consumers integrate end-to-end without a backend
+  const mockRequested = projectConfig.mock_mode === true || request.headers.get('X-Apiblaze-Mock') === 'true';
+  
+  if (mockRequested) {
+    if (!projectConfig.openapi_spec?.paths) {
+      return new Response(JSON.stringify({ error: 'Mock mode requires an OpenAPI specification' }), {
+        status: 501,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    
+    const mockResponse = handleMockRequest(request, projectConfig.openapi_spec, specKey);
+    Object.entries(responseHeaders).forEach(([key, value]) => mockResponse.headers.set(key, value));
+    return mockResponse;
+  }
+  
+  // Route to the matching upstream (route table first, target_url as the default route)
+  const routed = resolveRoute(projectConfig, request.method, url.pathname);
+  if (!routed) {
+    return new Response(JSON.stringify({ error: 'No upstream configured for this path' }), {
+      status: 502,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  // Serve idempotent GETs from the edge cache when the project enables it
+  const cachePolicy = request.method === 'GET' ? resolveCachePolicy(projectConfig.cache, url.pathname) : null;
+  let cacheKey = null;
+  
+  if (cachePolicy) {
+    // Transforms that render {{consumer.*}} make the response per-consumer, so the cache must be too
+    const keyPolicy = usesConsumerTemplates(projectConfig, routed.route) ? { ...cachePolicy, varyConsumer: true } : cachePolicy;
+    cacheKey = buildCacheKey(request, projectId.toLowerCase(), keyPolicy, getConsumerId(request, authResult), projectConfig.api_version);
+    const bypassCache = /no-cache|no-store/.test(request.headers.get('Cache-Control') || '');
+    
+    if (!bypassCache) {
+      const cachedResponse = await lookupCachedResponse(env, projectId.toLowerCase(), cacheKey, url.pathname);
+      if (cachedResponse) {
+        Object.entries(responseHeaders).forEach(([key, value]) => cachedResponse.headers.set(key, value));
+        return cachedResponse;
+      }
+    }
+  }
+  
   // Prepare auth headers for target server
-  let targetAuthHeaders = {};
+  let targetAuthHeaders = { ...(authResult?.claim_headers || {}) };
   
   if (projectConfig.target_auth_type === 'api_key') {
     targetAuthHeaders['X-API-Key'] = projectConfig.target_api_key;
@@ -326,7 +780,37 @@ const handleApiRequest = async (request, env) => {
   }
   
   // Proxy the request to target server
-  return await proxyRequest(request, projectConfig.target_url, targetAuthHeaders);
+  // Declarative transforms: project rules first, then the matched route's
+  const templateContext = buildTemplateContext(request, projectId.toLowerCase(), authResult, getConsumerId(request, authResult));
+  const upstreamRequest = await transformRequest(request, projectConfig, routed.route, templateContext);
+  const upstreamSearch = new URL(upstreamRequest.url).search;
+  
+  const upstreamResponse = routed.pool
+    ? await proxyToPool(upstreamRequest, env, ctx, projectId.toLowerCase(), routed, targetAuthHeaders)
+    : await proxyRequest(upstreamRequest, buildUpstreamUrl(routed.upstream, routed.path, upstreamSearch), targetAuthHeaders);
+  
+  // Contract monitoring sees the raw upstream response, before any response transforms
+  if (projectConfig.openapi_spec?.paths) {
+    monitorResponseContract(ctx, env, projectId.toLowerCase(), projectConfig.openapi_spec, request, upstreamResponse,
+      projectConfig.openapi_validation?.response_sample_rate, specKey);
+  }
+  
+  const response = await transformResponse(upstreamResponse, projectConfig, routed.route, templateContext);
+  
+  if (cacheKey) {
+    const storing = storeCachedResponse(cacheKey, response.clone(), cachePolicy)
+      .catch(error => console.error('Error storing cached response:', error));
+    if (ctx) {
+      ctx.waitUntil(storing);
+    } else {
+      await storing;
+    }
+    response.headers.set('X-Cache', 'MISS');
+  }
+  
+  Object.entries(responseHeaders).forEach(([key, value]) => response.headers.set(key, value));
+  
+  return response;
 };
 
 const handleCommandLineInterface = async (request, env) => {
@@ -335,12 +819,15 @@ const handleCommandLineInterface = async (request, env) => {
   if (request.method === 'POST') {
     try {
       console.log('POST request received');
-      console.log('Request headers:', Object.fromEntries(request.headers.entries()));
+      // Management tokens and API keys travel in these requests, so neither is logged
+      const loggedHeaders = Object.fromEntries(request.headers.entries());
+      delete loggedHeaders.authorization;
+      console.log('Request headers:', loggedHeaders);
       
       let body;
       try {
         body = await request.json();
-        console.log('Request body:', body);
+        console.log('CLI command:', body?.command || (body?.target ? 'create' : 'help'));
       } catch (jsonError) {
         console.error('JSON parsing error:', jsonError);
         return new Response(JSON.stringify({ error: 'Invalid JSON in request body' }), {
@@ -349,14 +836,41 @@ const handleCommandLineInterface = async (request, env) => {
         });
       }
       
+      // Commands other than create need the owner management token issued at creation
+      const owner = await authenticateOwner(request, env);
+      if (owner?.error) {
+        return new Response(JSON.stringify({ success: false, command: body?.command || 'create', error: owner.error }), {
+          status: 401,
+          headers: { 'Content-Type': 'application/json', 'WWW-Authenticate': 'Bearer' }
+        });
+      }
+      
+      if (body && body.command && body.command !== 'create') {
+        if (!owner) {
+          return new Response(JSON.stringify({ success: false, command: body.command, error: 'Management token is required' }), {
+            status: 401,
+            headers: { 'Content-Type': 'application/json', 'WWW-Authenticate': 'Bearer' }
+          });
+        }
+        return await runOwnerCommand(body.command, body, owner, env);
+      }
+      
       // Handle different CLI commands
       if (body && body.target) {
+        // The root endpoint cannot set jwt.issuer, and a jwt project cannot verify tokens without one
+        if (body.auth_type === 'jwt') {
+          return new Response(JSON.stringify({ success: false, command: 'create', error: JWT_ISSUER_REQUIRED }), {
+            status: 400,
+            headers: { 'Content-Type': 'application/json' }
+          });
+        }
+
         // Create a new API proxy
-        const projectId = generateApiKey().replace('apiblaze_', '').toLowerCase();
+        const projectId = generateProjectId();
         const apiKey = generateApiKey();
         
         console.log('Generated project ID:', projectId);
-        console.log('Generated API key:', apiKey);
+        console.log('Generated API key ID:', parseApiKey(apiKey).keyId);
         
         // Store project data in KV and DynamoDB via API Gateway
         try {
@@ -364,21 +878,33 @@ const handleCommandLineInterface = async (request, env) => {
             project_id: projectId,
             target_url: body.target,
             auth_type: body.auth_type || 'api_key',
-            customer_id: body.customer_id || 'default',
+            // Anonymous callers cannot pick a tenant; CLI projects always belong to the default organization
+            customer_id: 'default',
             active: true,
             created_at: Date.now()
           };
           
+          // Anonymous creation starts a new owner; an owner token adds the project to that owner
+          const { owner_id, management_token } = await registerOwnedProject(env, owner, projectId);
+          projectData.owner_id = owner_id;
+          const actorHeaders = auditHeaders({ owner_id, source_ip: request.headers.get('CF-Connecting-IP') });
+          
           // Store in KV namespace for fast access
           await env.PROJECTS.put(projectId, JSON.stringify(projectData));
           
           // Store API key hash in KV
           const apiKeyHash = await hashApiKey(apiKey);
-          await env.API_KEYS.put(`${apiKeyHash}:${projectId}`, JSON.stringify({
+          const keyRecord = {
+            api_key_hash: apiKeyHash,
+            key_id: parseApiKey(apiKey).keyId,
+            hash_version: API_KEY_HASH_VERSION,
             project_id: projectId,
+            user_id: owner_id,
+            type: 'api_key',
             created_at: Date.now(),
             active: true
-          }));
+          };
+          await env.API_KEYS.put(`${apiKeyHash}:${projectId}`, JSON.stringify(keyRecord));
           
           console.log('Project and API key stored in KV successfully');
           
@@ -392,9 +918,10 @@ const handleCommandLineInterface = async (request, env) => {
               method: 'POST',
               headers: {
                 'Authorization': `Bearer ${env.INTERNAL_API_KEY}`,
-                'Content-Type': 'application/json'
+                'Content-Type': 'application/json',
+                ...actorHeaders
               },
-              body: JSON.stringify(projectData)
+              body: JSON.stringify(controlPlaneRecord(projectData))
             });
             
             console.log('API Gateway response status:', response.status);
@@ -403,6 +930,18 @@ const handleCommandLineInterface = async (request, env) => {
             
             if (response.ok) {
               console.log('Project stored in DynamoDB successfully');
+              
+              // The key record is needed for revoke-key and rotate-key
+              const keyResponse = await fetch(`${env.API_GATEWAY_URL}/api-keys`, {
+                method: 'POST',
+                headers: {
+                  'Authorization': `Bearer ${env.INTERNAL_API_KEY}`,
+                  'Content-Type': 'application/json',
+                  ...actorHeaders
+                },
+                body: JSON.stringify(controlPlaneRecord(keyRecord))
+              });
+              console.log('API key store response status:', keyResponse.status);
             } else {
               console.log('API Gateway response not OK:', response.status);
             }
@@ -412,9 +951,12 @@ const handleCommandLineInterface = async (request, env) => {
           
           return new Response(JSON.stringify({
             success: true,
+            command: 'create',
             project_id: projectId,
             api_key: apiKey,
             endpoint: `https://${projectId}.apiblaze.com`,
+            owner_id,
+            ...(management_token && { management_token }),
             message: 'Project created and stored in KV successfully'
           }), {
             status: 200,
@@ -425,6 +967,7 @@ const handleCommandLineInterface = async (request, env) => {
           // Return success even if KV storage fails (graceful degradation)
           return new Response(JSON.stringify({
             success: true,
+            command: 'create',
             project_id: projectId,
             api_key: apiKey,
             endpoint: `https://${projectId}.apiblaze.com`,
@@ -449,9 +992,13 @@ const handleCommandLineInterface = async (request, env) => {
   // Return CLI help
   return new Response(JSON.stringify({
     message: 'APIBLAZE CLI',
-    usage: 'curl -X POST https://apiblaze.com --data \'{"target": "https://api.example.com"}\'',
+    usage: 'curl -X POST https://apiblaze.com -H "Authorization: Bearer <management_token>" --data \'{"command": "<command>", ...}\'',
+    authentication: 'Creating a project returns a management_token; every command except create requires it. Sending it with create adds the project to the same owner.',
+    commands: CLI_COMMANDS,
     examples: [
       'Create API proxy: curl -X POST https://apiblaze.com --data \'{"target": "https://api.example.com"}\'',
+      'List projects: curl -X POST https://apiblaze.com -H "Authorization: Bearer apiblaze_owner_..." --data \'{"command": "list"}\'',
+      'Rotate a key: curl -X POST https://apiblaze.com -H "Authorization: Bearer apiblaze_owner_..." --data \'{"command": "rotate-key", "project_id": "...", "api_key": "apiblaze_..."}\'',
       'Use API proxy: curl -H "X-API-Key: your_key" https://yourproject.apiblaze.com/endpoint'
     ]
   }), {
@@ -470,8 +1017,9 @@ const handleRedeployment = async (request, env) => {
     try {
       const body = await request.json();
       
-      // Clear project cache to force refresh
+      // Clear project cache to force refresh (the root config and the redeployed version's)
       await env.PROJECTS.delete(projectId);
+      await env.PROJECTS.delete(`${projectId}@${apiVersion}`);
       
       // Log redeployment
       console.log(`Redeployment triggered for project ${projectId} version ${apiVersion}`, {
@@ -504,6 +1052,84 @@ const handleRedeployment = async (request, env) => {
   });
 };
 
+const handleCachePurge = async (request, env) => {
+  const url = new URL(request.url);
+  const projectId = url.pathname.split('/')[2];
+  
+  if (request.method !== 'POST') {
+    return new Response(JSON.stringify({ error: 'Method not allowed' }), {
+      status: 405,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  // Purges are issued by platform services only
+  const authHeader = request.headers.get('Authorization') || '';
+  if (!env.INTERNAL_API_KEY || !(await secretsEqual(authHeader, `Bearer ${env.INTERNAL_API_KEY}`))) {
+    return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+      status: 401,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  let body = {};
+  try {
+    const text = await request.text();
+    body = text ? JSON.parse(text) : {};
+  } catch (error) {
+    return new Response(JSON.stringify({ error: 'Invalid JSON in request body' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  try {
+    const result = await purgeProjectCache(env, projectId.toLowerCase(), body);
+    console.log(`Cache purged for project ${projectId}`, result);
+    
+    return new Response(JSON.stringify({ success: true, project_id: projectId, ...result }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  } catch (error) {
+    console.error('Cache purge error:', error);
+    return new Response(JSON.stringify({ error: 'Cache purge failed' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+};
+
+// Cron trigger: probe pool health checks for every project that registered one
+const handleScheduledHealthChecks = async (env) => {
+  let cursor;
+  
+  do {
+    const page = await env.PROJECTS.list({ prefix: 'health_checks:', cursor });
+    
+    for (const key of page.keys) {
+      const projectId = key.name.slice('health_checks:'.length);
+      
+      try {
+        // Removed registrations are written as null rather than deleted
+        const registration = await env.PROJECTS.get(key.name, { type: 'json' });
+        if (!registration) continue;
+        
+        const projectConfig = await getProjectConfig(projectId, env);
+        if (!projectConfig || !projectConfig.active) continue;
+        
+        const results = await runHealthChecks(env, projectId, projectConfig);
+        const unhealthy = results.filter(r => !r.healthy).map(r => r.url);
+        console.log(`Health checks for ${projectId}: ${results.length} probed, ${unhealthy.length} unhealthy`, unhealthy);
+      } catch (error) {
+        console.error(`Health checks failed for ${projectId}:`, error);
+      }
+    }
+    
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+};
+
 // Main request handler
 export default {
   async fetch(request, env, ctx) {
@@ -519,12 +1145,26 @@ export default {
           return await handleRedeployment(request, env);
         }
         
+        // Handle cache purge endpoint
+        if (path.startsWith('/projects/') && path.endsWith('/cache/purge')) {
+          return await handleCachePurge(request, env);
+        }
+        
         return await handleCommandLineInterface(request, env);
-      } else if (hostname.endsWith('.apiblaze.com') || hostname.endsWith('.workers.dev')) {
-        return await handleApiRequest(request, env);
-      } else {
+      }
+      
+      const isPlatformHost = hostname.endsWith('.apiblaze.com') || hostname.endsWith('.workers.dev');
+      
+      // Custom domains resolve first; platform hosts fall back to subdomain parsing
+      if (!isPlatformHost) {
+        const customDomainProjectId = await resolveCustomDomain(hostname, env);
+        if (customDomainProjectId) {
+          return await handleApiRequest(request, env, ctx, customDomainProjectId);
+        }
         return new Response('Not found', { status: 404 });
       }
+      
+      return await handleApiRequest(request, env, ctx);
     } catch (error) {
       console.error('Worker error:', error);
       return new Response(JSON.stringify({ error: 'Internal server error' }), {
@@ -532,5 +1172,9 @@ export default {
         headers: { 'Content-Type': 'application/json' }
       });
     }
+  },
+  
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(handleScheduledHealthChecks(env));
   }
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,285 @@
+/**
+ * APIBLAZE - JWT verification
+ * Verifies RS256 tokens with Web Crypto against a JWKS endpoint
+ */
+
+const DEFAULT_CLOCK_SKEW_SECONDS = 60;
+const JWKS_CACHE_TTL_MS = 60 * 60 * 1000;
+const JWKS_MIN_REFRESH_INTERVAL_MS = 60 * 1000;
+
+const ALGORITHMS = {
+  RS256: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+  RS384: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-384' },
+  RS512: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-512' }
+};
+
+// Per-isolate cache: jwksUrl -> { keys: Map<kid, CryptoKey>, fetchedAt }
+const jwksCache = new Map();
+
+// Per-isolate cache: discoveryUrl -> { jwksUrl, fetchedAt }
+const discoveryCache = new Map();
+
+const tokenError = (description, code = 'invalid_token') => {
+  const error = new Error(description);
+  error.code = code;
+  return error;
+};
+
+const base64UrlToBytes = (input) => {
+  const base64 = input.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+  const binary = atob(padded);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
+
+const decodeJwt = (token) => {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    throw tokenError('Malformed token');
+  }
+
+  try {
+    const decoder = new TextDecoder();
+    return {
+      header: JSON.parse(decoder.decode(base64UrlToBytes(parts[0]))),
+      payload: JSON.parse(decoder.decode(base64UrlToBytes(parts[1]))),
+      signingInput: new TextEncoder().encode(`${parts[0]}.${parts[1]}`),
+      signature: base64UrlToBytes(parts[2])
+    };
+  } catch (error) {
+    throw tokenError('Malformed token');
+  }
+};
+
+const fetchJwks = async (jwksUrl) => {
+  const response = await fetch(jwksUrl, { headers: { 'Accept': 'application/json' } });
+  if (!response.ok) {
+    throw new Error(`Failed to fetch JWKS: ${response.status}`);
+  }
+
+  const { keys = [] } = await response.json();
+  const imported = new Map();
+
+  for (const jwk of keys) {
+    if (jwk.kty !== 'RSA' || !jwk.kid || (jwk.use && jwk.use !== 'sig')) continue;
+    const algorithm = ALGORITHMS[jwk.alg || 'RS256'];
+    if (!algorithm) continue;
+
+    try {
+      const key = await crypto.subtle.importKey('jwk', jwk, algorithm, false, ['verify']);
+      imported.set(jwk.kid, { key, alg: jwk.alg || 'RS256' });
+    } catch (error) {
+      console.error('Skipping unusable JWK:', jwk.kid, error);
+    }
+  }
+
+  const entry = { keys: imported, fetchedAt: Date.now() };
+  jwksCache.set(jwksUrl, entry);
+  return entry;
+};
+
+// Look up a signing key, refreshing the JWKS when the kid is unknown (key rotation)
+const getSigningKey = async (jwksUrl, kid) => {
+  let entry = jwksCache.get(jwksUrl);
+  const age = entry ? Date.now() - entry.fetchedAt : Infinity;
+
+  if (!entry || age > JWKS_CACHE_TTL_MS) {
+    entry = await fetchJwks(jwksUrl);
+  } else if (!entry.keys.has(kid) && age > JWKS_MIN_REFRESH_INTERVAL_MS) {
+    entry = await fetchJwks(jwksUrl);
+  }
+
+  return entry.keys.get(kid) || null;
+};
+
+/**
+ * Verify a JWT and return its payload.
+ * Options: jwksUrl (required), issuer, audience (string or array), clockSkew (seconds).
+ * Throws an Error with code 'invalid_token' describing the first failed check.
+ */
+const verifyJwt = async (token, options) => {
+  const { header, payload, signingInput, signature } = decodeJwt(token);
+
+  const algorithm = ALGORITHMS[header.alg];
+  if (!algorithm) {
+    throw tokenError(`Unsupported token algorithm: ${header.alg}`);
+  }
+  if (!header.kid) {
+    throw tokenError('Token header is missing kid');
+  }
+
+  const signingKey = await getSigningKey(options.jwksUrl, header.kid);
+  if (!signingKey) {
+    throw tokenError('Unknown signing key');
+  }
+  if (signingKey.alg !== header.alg) {
+    throw tokenError('Token algorithm does not match signing key');
+  }
+
+  const valid = await crypto.subtle.verify(algorithm, signingKey.key, signature, signingInput);
+  if (!valid) {
+    throw tokenError('Invalid token signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const skew = options.clockSkew ?? DEFAULT_CLOCK_SKEW_SECONDS;
+
+  if (typeof payload.exp !== 'number' || payload.exp + skew < now) {
+    throw tokenError('Token has expired');
+  }
+  if (typeof payload.nbf === 'number' && payload.nbf - skew > now) {
+    throw tokenError('Token is not yet valid');
+  }
+  if (typeof payload.iat === 'number' && payload.iat - skew > now) {
+    throw tokenError('Token was issued in the future');
+  }
+
+  if (options.issuer && payload.iss !== options.issuer) {
+    throw tokenError('Token issuer is not trusted');
+  }
+
+  if (options.audience) {
+    const expected = Array.isArray(options.audience) ? options.audience : [options.audience];
+    const actual = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    if (!actual.some(aud => expected.includes(aud))) {
+      throw tokenError('Token audience is not accepted');
+    }
+  }
+
+  return payload;
+};
+
+/**
+ * Verify a token issued by the platform Cognito user pool.
+ * Accepts both ID tokens (aud = client id) and access tokens (client_id claim).
+ */
+const verifyCognitoToken = async (token, env) => {
+  const userPoolId = env.COGNITO_USER_POOL_ID;
+  const region = env.AWS_REGION || userPoolId.split('_')[0];
+  const issuer = `https://cognito-idp.${region}.amazonaws.com/${userPoolId}`;
+
+  const payload = await verifyJwt(token, {
+    jwksUrl: `${issuer}/.well-known/jwks.json`,
+    issuer
+  });
+
+  if (payload.token_use === 'id') {
+    if (payload.aud !== env.COGNITO_USER_POOL_CLIENT_ID) {
+      throw tokenError('Token audience is not accepted');
+    }
+  } else if (payload.token_use === 'access') {
+    if (payload.client_id !== env.COGNITO_USER_POOL_CLIENT_ID) {
+      throw tokenError('Token client is not accepted');
+    }
+  } else {
+    throw tokenError('Unsupported token_use');
+  }
+
+  return payload;
+};
+
+// Resolve the JWKS URL for a customer issuer, via OIDC discovery when no jwks_url is set
+const resolveJwksUrl = async (jwtConfig) => {
+  if (jwtConfig.jwks_url) return jwtConfig.jwks_url;
+
+  const discoveryUrl = jwtConfig.discovery_url ||
+    `${jwtConfig.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`;
+
+  const cached = discoveryCache.get(discoveryUrl);
+  if (cached && Date.now() - cached.fetchedAt < JWKS_CACHE_TTL_MS) {
+    return cached.jwksUrl;
+  }
+
+  const response = await fetch(discoveryUrl, { headers: { 'Accept': 'application/json' } });
+  if (!response.ok) {
+    throw new Error(`Failed to fetch OIDC discovery document: ${response.status}`);
+  }
+
+  const document = await response.json();
+  if (!document.jwks_uri) {
+    throw new Error('OIDC discovery document has no jwks_uri');
+  }
+  if (jwtConfig.issuer && document.issuer && document.issuer !== jwtConfig.issuer) {
+    throw new Error('OIDC discovery issuer does not match configured issuer');
+  }
+
+  discoveryCache.set(discoveryUrl, { jwksUrl: document.jwks_uri, fetchedAt: Date.now() });
+  return document.jwks_uri;
+};
+
+const getTokenScopes = (payload) => {
+  const raw = payload.scope ?? payload.scp ?? [];
+  return Array.isArray(raw) ? raw : String(raw).split(' ').filter(Boolean);
+};
+
+/**
+ * Verify a token from a customer-supplied OIDC/JWT issuer.
+ * jwtConfig: { issuer, audience, jwks_url | discovery_url, required_claims, required_scopes, clock_skew }
+ */
+const verifyIssuerToken = async (token, jwtConfig) => {
+  // A project problem, not the caller's: the handler answers 500 rather than 401
+  if (!jwtConfig || !jwtConfig.issuer) {
+    throw tokenError('JWT authentication is not configured for this project', 'misconfigured');
+  }
+
+  const payload = await verifyJwt(token, {
+    jwksUrl: await resolveJwksUrl(jwtConfig),
+    issuer: jwtConfig.issuer,
+    audience: jwtConfig.audience,
+    clockSkew: jwtConfig.clock_skew
+  });
+
+  // required_claims: { claim: value | [allowed values] }
+  for (const [claim, expected] of Object.entries(jwtConfig.required_claims || {})) {
+    const actual = payload[claim];
+    const allowed = Array.isArray(expected) ? expected : [expected];
+    const values = Array.isArray(actual) ? actual : [actual];
+    if (actual === undefined || !values.some(value => allowed.includes(value))) {
+      throw tokenError(`Token claim ${claim} is missing or not allowed`);
+    }
+  }
+
+  const scopes = getTokenScopes(payload);
+  const missingScopes = (jwtConfig.required_scopes || []).filter(scope => !scopes.includes(scope));
+  if (missingScopes.length > 0) {
+    throw tokenError(`Token is missing required scope: ${missingScopes.join(' ')}`, 'insufficient_scope');
+  }
+
+  return payload;
+};
+
+// Map configured claims to upstream headers; missing claims map to null so spoofed values get stripped
+const buildClaimHeaders = (payload, forwardClaims = {}) => {
+  const headers = {};
+  for (const [claim, header] of Object.entries(forwardClaims)) {
+    const value = payload[claim];
+    if (value === undefined || value === null) {
+      headers[header] = null;
+    } else if (Array.isArray(value)) {
+      headers[header] = value.join(',');
+    } else if (typeof value === 'object') {
+      headers[header] = JSON.stringify(value);
+    } else {
+      headers[header] = String(value);
+    }
+  }
+  return headers;
+};
+
+// RFC 6750 challenge value for the WWW-Authenticate header
+const buildBearerChallenge = (realm, error, description) => {
+  let challenge = `Bearer realm="${realm}"`;
+  if (error) {
+    challenge += `, error="${error}"`;
+  }
+  if (description) {
+    challenge += `, error_description="${description.replace(/"/g, '\'')}"`;
+  }
+  return challenge;
+};
+
+export { decodeJwt, verifyJwt, verifyCognitoToken, verifyIssuerToken, buildClaimHeaders, buildBearerChallenge };
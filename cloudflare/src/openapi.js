@@ -0,0 +1,652 @@
+/**
+ * APIBLAZE - OpenAPI support
+ * Operation matching and JSON Schema validation against a project's stored openapi_spec
+ */
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// Per-isolate cache of compiled path matchers: project/version -> { updatedAt, compiled }.
+// Configs are parsed from KV on every request, so the spec object itself is never the same twice
+const compiledSpecs = new Map();
+
+// Identifies a config's spec for the cache; configs without updated_at are compiled every time
+const specCacheKey = (projectId, projectConfig) => {
+  if (!projectConfig.updated_at) return null;
+  return { id: `${projectId.toLowerCase()}/${projectConfig.api_version || ''}`, updatedAt: projectConfig.updated_at };
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const resolvePointer = (spec, ref) => {
+  if (typeof ref !== 'string' || !ref.startsWith('#/')) {
+    return undefined;
+  }
+
+  return ref.slice(2).split('/').reduce((node, segment) => {
+    if (node === undefined || node === null) return undefined;
+    return node[segment.replace(/~1/g, '/').replace(/~0/g, '~')];
+  }, spec);
+};
+
+// Follow local $ref chains; external refs are not supported at the edge
+const deref = (spec, node, seen = new Set()) => {
+  while (node && typeof node === 'object' && node.$ref) {
+    if (seen.has(node.$ref)) return {};
+    seen.add(node.$ref);
+    node = resolvePointer(spec, node.$ref);
+  }
+  return node;
+};
+
+const getBasePath = (spec) => {
+  const serverUrl = spec.servers?.[0]?.url || spec.basePath || '';
+  try {
+    const pathname = new URL(serverUrl, 'https://placeholder.invalid').pathname;
+    return pathname === '/' ? '' : pathname.replace(/\/$/, '');
+  } catch (error) {
+    return '';
+  }
+};
+
+const compileSpec = (spec, cacheKey) => {
+  const cached = cacheKey && compiledSpecs.get(cacheKey.id);
+  if (cached && cached.updatedAt === cacheKey.updatedAt) return cached.compiled;
+
+  const routes = Object.entries(spec.paths || {}).map(([template, pathItem]) => {
+    const names = [];
+    const pattern = template.split('/').map(segment => {
+      return segment.replace(/\{([^}]+)\}|[^{}]+/g, (match, name) => {
+        if (name) {
+          names.push(name);
+          return '([^/]+)';
+        }
+        return escapeRegExp(match);
+      });
+    }).join('/');
+
+    return {
+      template,
+      pathItem,
+      names,
+      regex: new RegExp(`^${pattern}/?$`),
+      // Literal paths win over templated ones (/users/me before /users/{id})
+      specificity: template.split('/').filter(s => s && !s.includes('{')).length
+    };
+  });
+
+  routes.sort((a, b) => b.specificity - a.specificity || a.names.length - b.names.length);
+
+  const compiled = { routes, basePath: getBasePath(spec) };
+  if (cacheKey) {
+    compiledSpecs.set(cacheKey.id, { updatedAt: cacheKey.updatedAt, compiled });
+  }
+  return compiled;
+};
+
+/**
+ * Find the spec operation for a request. cacheKey (from specCacheKey) lets the compiled
+ * matchers be reused across requests.
+ * Returns { operation, template, pathItem, pathParams, method } on success,
+ * or { error: 'not_found' } / { error: 'method_not_allowed', allowed }.
+ */
+const matchOperation = (spec, method, pathname, cacheKey = null) => {
+  const { routes, basePath } = compileSpec(spec, cacheKey);
+  const candidates = [pathname];
+  if (basePath && pathname.startsWith(basePath)) {
+    candidates.push(pathname.slice(basePath.length) || '/');
+  }
+
+  let allowed = null;
+
+  for (const candidate of candidates) {
+    for (const route of routes) {
+      const match = route.regex.exec(candidate);
+      if (!match) continue;
+
+      const pathItem = deref(spec, route.pathItem) || {};
+      const operation = pathItem[method.toLowerCase()];
+
+      if (!operation) {
+        allowed = allowed || HTTP_METHODS.filter(m => pathItem[m]).map(m => m.toUpperCase());
+        continue;
+      }
+
+      const pathParams = {};
+      route.names.forEach((name, index) => {
+        try {
+          pathParams[name] = decodeURIComponent(match[index + 1]);
+        } catch (error) {
+          pathParams[name] = match[index + 1];
+        }
+      });
+
+      return { operation, template: route.template, pathItem, pathParams, method: method.toUpperCase() };
+    }
+  }
+
+  return allowed ? { error: 'method_not_allowed', allowed } : { error: 'not_found' };
+};
+
+const FORMATS = {
+  'date-time': value => !isNaN(Date.parse(value)) && /^\d{4}-\d{2}-\d{2}T/.test(value),
+  date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value)),
+  email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  uuid: value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
+  uri: value => { try { new URL(value); return true; } catch (error) { return false; } },
+  ipv4: value => /^(\d{1,3}\.){3}\d{1,3}$/.test(value) && value.split('.').every(n => Number(n) <= 255),
+  int32: value => Number.isInteger(value) && value >= -2147483648 && value <= 2147483647,
+  int64: value => Number.isInteger(value)
+};
+
+const INTEGER_FORMATS = ['int32', 'int64'];
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+};
+
+/**
+ * Validate a value against an OpenAPI (JSON Schema subset) schema.
+ * direction ('request' | 'response') relaxes required for readOnly/writeOnly properties.
+ * Returns an array of { path, message } violations; empty means valid.
+ */
+const validateSchema = (spec, schema, value, direction, path = '', errors = []) => {
+  schema = deref(spec, schema);
+  if (!schema || typeof schema !== 'object') return errors;
+
+  if (value === null && schema.nullable) return errors;
+
+  if (schema.allOf) {
+    schema.allOf.forEach(sub => validateSchema(spec, sub, value, direction, path, errors));
+  }
+  if (schema.anyOf) {
+    const passes = schema.anyOf.some(sub => validateSchema(spec, sub, value, direction, path).length === 0);
+    if (!passes) errors.push({ path, message: 'must match at least one schema in anyOf' });
+  }
+  if (schema.oneOf) {
+    const passing = schema.oneOf.filter(sub => validateSchema(spec, sub, value, direction, path).length === 0).length;
+    if (passing !== 1) errors.push({ path, message: `must match exactly one schema in oneOf (matched ${passing})` });
+  }
+  if (schema.not && validateSchema(spec, schema.not, value, direction, path).length === 0) {
+    errors.push({ path, message: 'must not match the schema in not' });
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ path, message: `must be of type ${types.join(' or ')}` });
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push({ path, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+  if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    errors.push({ path, message: `must be equal to ${JSON.stringify(schema.const)}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern) {
+      try {
+        if (!new RegExp(schema.pattern, 'u').test(value)) {
+          errors.push({ path, message: `must match pattern ${schema.pattern}` });
+        }
+      } catch (error) {
+        console.error('Invalid pattern in spec:', schema.pattern);
+      }
+    }
+    if (schema.format && FORMATS[schema.format] && !INTEGER_FORMATS.includes(schema.format) && !FORMATS[schema.format](value)) {
+      errors.push({ path, message: `must be a valid ${schema.format}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    // OpenAPI 3.0 uses boolean exclusiveMinimum/Maximum, 3.1 uses numbers
+    if (schema.minimum !== undefined) {
+      const exclusive = schema.exclusiveMinimum === true;
+      if (exclusive ? value <= schema.minimum : value < schema.minimum) {
+        errors.push({ path, message: `must be ${exclusive ? '>' : '>='} ${schema.minimum}` });
+      }
+    }
+    if (schema.maximum !== undefined) {
+      const exclusive = schema.exclusiveMaximum === true;
+      if (exclusive ? value >= schema.maximum : value > schema.maximum) {
+        errors.push({ path, message: `must be ${exclusive ? '<' : '<='} ${schema.maximum}` });
+      }
+    }
+    if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+      errors.push({ path, message: `must be > ${schema.exclusiveMinimum}` });
+    }
+    if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+      errors.push({ path, message: `must be < ${schema.exclusiveMaximum}` });
+    }
+    if (schema.multipleOf && Math.abs(value / schema.multipleOf - Math.round(value / schema.multipleOf)) > 1e-9) {
+      errors.push({ path, message: `must be a multiple of ${schema.multipleOf}` });
+    }
+    if (INTEGER_FORMATS.includes(schema.format) && !FORMATS[schema.format](value)) {
+      errors.push({ path, message: `must be a valid ${schema.format}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+      errors.push({ path, message: 'must not contain duplicate items' });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateSchema(spec, schema.items, item, direction, `${path}[${index}]`, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    const keys = Object.keys(value);
+
+    for (const name of schema.required || []) {
+      const property = deref(spec, properties[name]) || {};
+      const skipped = (direction === 'request' && property.readOnly) || (direction === 'response' && property.writeOnly);
+      if (value[name] === undefined && !skipped) {
+        errors.push({ path: path ? `${path}.${name}` : name, message: 'is required' });
+      }
+    }
+
+    for (const key of keys) {
+      const childPath = path ? `${path}.${key}` : key;
+      if (properties[key]) {
+        validateSchema(spec, properties[key], value[key], direction, childPath, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: childPath, message: 'is not an allowed property' });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        validateSchema(spec, schema.additionalProperties, value[key], direction, childPath, errors);
+      }
+    }
+
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+      errors.push({ path, message: `must have at least ${schema.minProperties} properties` });
+    }
+    if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+      errors.push({ path, message: `must have at most ${schema.maxProperties} properties` });
+    }
+  }
+
+  return errors;
+};
+
+// Parameters arrive as strings; coerce them to the schema type before validating
+const coerceParameter = (spec, schema, raw) => {
+  schema = deref(spec, schema) || {};
+  const type = Array.isArray(schema.type) ? schema.type.find(t => t !== 'null') : schema.type;
+
+  if (type === 'array') {
+    const values = Array.isArray(raw) ? raw : String(raw).split(',');
+    return values.map(item => coerceParameter(spec, schema.items, item));
+  }
+
+  const value = Array.isArray(raw) ? raw[0] : raw;
+
+  if (type === 'integer' || type === 'number') {
+    return value.trim() !== '' && !isNaN(Number(value)) ? Number(value) : value;
+  }
+  if (type === 'boolean') {
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+  }
+  return value;
+};
+
+// Merge path-level and operation-level parameters (operation wins on name + location)
+const getOperationParameters = (spec, pathItem, operation) => {
+  const merged = new Map();
+  for (const parameter of [...(pathItem.parameters || []), ...(operation.parameters || [])]) {
+    const resolved = deref(spec, parameter);
+    if (resolved && resolved.name && resolved.in) {
+      merged.set(`${resolved.in}:${resolved.in === 'header' ? resolved.name.toLowerCase() : resolved.name}`, resolved);
+    }
+  }
+  return [...merged.values()];
+};
+
+const parseCookies = (header) => {
+  const cookies = {};
+  (header || '').split(';').forEach(part => {
+    const index = part.indexOf('=');
+    if (index > 0) cookies[part.slice(0, index).trim()] = part.slice(index + 1).trim();
+  });
+  return cookies;
+};
+
+const isJsonMediaType = (mediaType) => /^application\/([\w.-]+\+)?json$/.test(mediaType);
+
+const findMediaType = (content, contentType) => {
+  const mediaType = (contentType || '').split(';')[0].trim().toLowerCase();
+  if (content[mediaType]) return { mediaType, media: content[mediaType] };
+
+  for (const [declared, media] of Object.entries(content)) {
+    const [type, subtype] = declared.toLowerCase().split('/');
+    if (declared === '*/*' || (subtype === '*' && mediaType.startsWith(`${type}/`))) {
+      return { mediaType, media };
+    }
+  }
+  return null;
+};
+
+/**
+ * Validate a request against its matched operation.
+ * Returns an array of violations: { in, name, message }.
+ */
+const validateRequest = async (spec, match, request) => {
+  const violations = [];
+  const url = new URL(request.url);
+  const cookies = parseCookies(request.headers.get('Cookie'));
+
+  for (const parameter of getOperationParameters(spec, match.pathItem, match.operation)) {
+    let raw;
+    switch (parameter.in) {
+      case 'path':
+        raw = match.pathParams[parameter.name];
+        break;
+      case 'query':
+        raw = url.searchParams.has(parameter.name) ? url.searchParams.getAll(parameter.name) : undefined;
+        if (raw && raw.length === 1) raw = raw[0];
+        break;
+      case 'header':
+        raw = request.headers.get(parameter.name) ?? undefined;
+        break;
+      case 'cookie':
+        raw = cookies[parameter.name];
+        break;
+      default:
+        continue;
+    }
+
+    if (raw === undefined) {
+      if (parameter.required) {
+        violations.push({ in: parameter.in, name: parameter.name, message: 'is required' });
+      }
+      continue;
+    }
+
+    // Swagger 2 declares type/format on the parameter itself
+    const schema = parameter.schema || parameter;
+    const value = coerceParameter(spec, schema, raw);
+    for (const error of validateSchema(spec, schema, value, 'request')) {
+      violations.push({
+        in: parameter.in,
+        name: error.path ? `${parameter.name}.${error.path}` : parameter.name,
+        message: error.message
+      });
+    }
+  }
+
+  const requestBody = deref(spec, match.operation.requestBody);
+  if (requestBody && requestBody.content) {
+    const text = ['GET', 'HEAD'].includes(request.method) ? '' : await request.clone().text();
+
+    if (!text) {
+      if (requestBody.required) {
+        violations.push({ in: 'body', name: '', message: 'request body is required' });
+      }
+    } else {
+      const contentType = request.headers.get('Content-Type');
+      const found = findMediaType(requestBody.content, contentType);
+
+      if (!found) {
+        violations.push({
+          in: 'body',
+          name: '',
+          message: `unsupported content type ${contentType || '(none)'}; expected ${Object.keys(requestBody.content).join(', ')}`
+        });
+      } else if (isJsonMediaType(found.mediaType) && found.media.schema) {
+        let body;
+        try {
+          body = JSON.parse(text);
+        } catch (error) {
+          violations.push({ in: 'body', name: '', message: 'must be valid JSON' });
+        }
+
+        if (body !== undefined) {
+          for (const error of validateSchema(spec, found.media.schema, body, 'request')) {
+            violations.push({ in: 'body', name: error.path, message: error.message });
+          }
+        }
+      }
+    }
+  }
+
+  return violations;
+};
+
+const getOperationName = (match) => match.operation.operationId || `${match.method} ${match.template}`;
+
+// Pick the declared response for a status: exact code, then range (2XX), then default
+const findResponseDefinition = (spec, responses, status) => {
+  const code = String(status);
+  const definition = responses[code] || responses[`${code[0]}XX`] || responses[`${code[0]}xx`] || responses.default;
+  return deref(spec, definition);
+};
+
+const classifySchemaError = (error) => {
+  if (error.message === 'is required') return 'missing_field';
+  if (error.message.startsWith('must be of type')) return 'wrong_type';
+  if (error.message === 'is not an allowed property') return 'unexpected_field';
+  return 'schema_violation';
+};
+
+/**
+ * Check an upstream response against the responses declared for the operation.
+ * Returns an array of violations: { kind, status, path, message }.
+ */
+const validateResponse = (spec, match, status, contentType, bodyText) => {
+  const responses = match.operation.responses || {};
+  const definition = findResponseDefinition(spec, responses, status);
+
+  if (!definition) {
+    return [{
+      kind: 'unexpected_status',
+      status,
+      path: '',
+      message: `status ${status} is not declared (declared: ${Object.keys(responses).join(', ') || 'none'})`
+    }];
+  }
+
+  if (!definition.content || !bodyText) {
+    return [];
+  }
+
+  const found = findMediaType(definition.content, contentType);
+  if (!found) {
+    return [{
+      kind: 'unexpected_content_type',
+      status,
+      path: '',
+      message: `content type ${contentType || '(none)'} is not declared for status ${status}`
+    }];
+  }
+
+  if (!isJsonMediaType(found.mediaType) || !found.media.schema) {
+    return [];
+  }
+
+  let body;
+  try {
+    body = JSON.parse(bodyText);
+  } catch (error) {
+    return [{ kind: 'invalid_json', status, path: '', message: 'response body is not valid JSON' }];
+  }
+
+  return validateSchema(spec, found.media.schema, body, 'response').map(error => ({
+    kind: classifySchemaError(error),
+    status,
+    path: error.path,
+    message: error.message
+  }));
+};
+
+const MAX_EXAMPLE_DEPTH = 8;
+
+const mergeExamples = (values) => {
+  if (values.every(value => typeOf(value) === 'object')) {
+    return Object.assign({}, ...values);
+  }
+  return values[values.length - 1];
+};
+
+// Synthesize a schema-valid value (response direction: writeOnly properties are skipped)
+const generateExample = (spec, schema, depth = 0) => {
+  schema = deref(spec, schema);
+  if (!schema || typeof schema !== 'object' || depth > MAX_EXAMPLE_DEPTH) return null;
+
+  if (schema.example !== undefined) return schema.example;
+  if (Array.isArray(schema.examples) && schema.examples.length > 0) return schema.examples[0];
+  if (schema.default !== undefined) return schema.default;
+  if (schema.const !== undefined) return schema.const;
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) return schema.enum[0];
+
+  if (schema.allOf) {
+    return mergeExamples(schema.allOf.map(sub => generateExample(spec, sub, depth + 1)));
+  }
+  if (schema.oneOf || schema.anyOf) {
+    return generateExample(spec, (schema.oneOf || schema.anyOf)[0], depth + 1);
+  }
+
+  const type = Array.isArray(schema.type) ? schema.type.find(t => t !== 'null') : schema.type;
+
+  switch (type || (schema.properties ? 'object' : schema.items ? 'array' : 'string')) {
+    case 'object': {
+      const result = {};
+      for (const [name, property] of Object.entries(schema.properties || {})) {
+        const resolved = deref(spec, property) || {};
+        if (!resolved.writeOnly) {
+          result[name] = generateExample(spec, resolved, depth + 1);
+        }
+      }
+      return result;
+    }
+    case 'array': {
+      const count = Math.max(schema.minItems || 1, 1);
+      return Array.from({ length: count }, () => generateExample(spec, schema.items, depth + 1));
+    }
+    case 'integer':
+    case 'number': {
+      let value = schema.minimum !== undefined ? schema.minimum : 0;
+      if (schema.exclusiveMinimum === true || (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum)) {
+        value = (typeof schema.exclusiveMinimum === 'number' ? schema.exclusiveMinimum : value) + 1;
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) value = schema.maximum;
+      if (schema.multipleOf) value = Math.ceil(value / schema.multipleOf) * schema.multipleOf;
+      return type === 'integer' ? Math.round(value) : value;
+    }
+    case 'boolean':
+      return true;
+    case 'null':
+      return null;
+    default: {
+      const byFormat = {
+        'date-time': new Date(0).toISOString(),
+        date: '1970-01-01',
+        email: 'user@example.com',
+        uuid: '00000000-0000-4000-8000-000000000000',
+        uri: 'https://example.com',
+        ipv4: '192.0.2.1'
+      };
+      let value = byFormat[schema.format] || 'string';
+      if (schema.minLength && value.length < schema.minLength) value = value.padEnd(schema.minLength, 'x');
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) value = value.slice(0, schema.maxLength);
+      return value;
+    }
+  }
+};
+
+/**
+ * Pick the mock response for an operation.
+ * prefer: { code, example, dynamic } parsed from the Prefer header.
+ * Returns { status, contentType, body, headers } or null when the preferred code is not declared.
+ */
+const buildMockResponse = (spec, match, prefer = {}, accept = '') => {
+  const responses = match.operation.responses || {};
+  const codes = Object.keys(responses);
+
+  let code;
+  let status;
+  if (prefer.code) {
+    code = codes.find(c => c === prefer.code) || codes.find(c => c.toUpperCase() === `${prefer.code[0]}XX`);
+    if (!code) return null;
+    status = Number(prefer.code);
+  } else {
+    code = codes.filter(c => /^2\d\d$/.test(c)).sort()[0] ||
+      codes.find(c => /^2XX$/i.test(c)) ||
+      (responses.default ? 'default' : codes[0]);
+    status = !code || code === 'default' ? 200 : Number(code.replace(/XX$/i, '00'));
+  }
+  const definition = code ? deref(spec, responses[code]) || {} : {};
+
+  const headers = {};
+  for (const [name, header] of Object.entries(definition.headers || {})) {
+    const resolved = deref(spec, header) || {};
+    const value = resolved.example !== undefined ? resolved.example : generateExample(spec, resolved.schema);
+    if (value !== null && value !== undefined) headers[name] = String(value);
+  }
+
+  const content = definition.content || {};
+  const mediaTypes = Object.keys(content);
+  if (mediaTypes.length === 0) {
+    return { status, contentType: null, body: null, headers };
+  }
+
+  // Honour Accept when it names a declared media type, otherwise prefer JSON
+  const accepted = accept.split(',').map(part => part.split(';')[0].trim().toLowerCase());
+  const mediaType = mediaTypes.find(type => accepted.includes(type.toLowerCase())) ||
+    mediaTypes.find(isJsonMediaType) ||
+    mediaTypes[0];
+  const media = content[mediaType];
+
+  let body;
+  const examples = media.examples || {};
+  const named = prefer.example && examples[prefer.example];
+
+  if (named) {
+    body = deref(spec, named).value;
+  } else if (!prefer.dynamic && media.example !== undefined) {
+    body = media.example;
+  } else if (!prefer.dynamic && Object.keys(examples).length > 0) {
+    body = deref(spec, Object.values(examples)[0]).value;
+  } else {
+    body = generateExample(spec, media.schema);
+  }
+
+  return { status, contentType: mediaType, body, headers };
+};
+
+export {
+  deref,
+  specCacheKey,
+  matchOperation,
+  getOperationName,
+  validateSchema,
+  validateRequest,
+  validateResponse,
+  generateExample,
+  buildMockResponse,
+  findMediaType,
+  isJsonMediaType
+};
@@ -0,0 +1,197 @@
+/**
+ * APIBLAZE - Rate limiting and quotas
+ * Counters live in a Durable Object so every edge isolate sees the same totals
+ */
+
+// Window definitions, keyed by the field names used in project/key config
+const WINDOWS = {
+  per_second: { group: 'rate_limits', seconds: 1 },
+  per_minute: { group: 'rate_limits', seconds: 60 },
+  per_day: { group: 'quotas', seconds: 86400 },
+  per_month: { group: 'quotas', seconds: null } // calendar month (UTC)
+};
+
+const getWindowBounds = (name, now) => {
+  if (name === 'per_month') {
+    const date = new Date(now);
+    const start = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+    const end = Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+    return { start, end };
+  }
+
+  const size = WINDOWS[name].seconds * 1000;
+  const start = Math.floor(now / size) * size;
+  return { start, end: start + size };
+};
+
+// Merge project limits with per-key overrides (key values win, field by field)
+const resolveLimits = (projectConfig, keyData) => {
+  const limits = [];
+
+  for (const [name, { group }] of Object.entries(WINDOWS)) {
+    const keyOverride = keyData?.[group]?.[name];
+    const limit = keyOverride !== undefined ? keyOverride : projectConfig[group]?.[name];
+
+    // A null/0 override on the key disables the project limit for that key
+    if (Number.isInteger(limit) && limit > 0) {
+      limits.push({ name, limit });
+    }
+  }
+
+  return limits;
+};
+
+// Identify who the counters belong to: API key, authenticated user, or client IP
+const getConsumerId = (request, authResult) => {
+  if (authResult?.api_key_hash) return `key:${authResult.api_key_hash}`;
+  if (authResult?.user_id) return `user:${authResult.user_id}`;
+  return `ip:${request.headers.get('CF-Connecting-IP') || 'unknown'}`;
+};
+
+const buildRateLimitHeaders = (result) => {
+  const headers = {};
+
+  if (!result || !result.windows || result.windows.length === 0) {
+    return headers;
+  }
+
+  // Report the window closest to exhaustion
+  const tightest = result.windows.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+
+  headers['RateLimit-Limit'] = String(tightest.limit);
+  headers['RateLimit-Remaining'] = String(tightest.remaining);
+  headers['RateLimit-Reset'] = String(tightest.reset);
+  headers['RateLimit-Policy'] = result.windows
+    .map(w => `${w.limit};w=${w.window_seconds}`)
+    .join(', ');
+
+  if (!result.allowed) {
+    headers['Retry-After'] = String(result.retry_after);
+  }
+
+  return headers;
+};
+
+/**
+ * Check and consume one request against the project/key limits.
+ * Returns null when no limits apply, otherwise { allowed, headers, exceeded }.
+ * Fails open if the coordinator is unavailable so an outage never blocks traffic.
+ */
+const checkRateLimit = async (request, env, projectId, projectConfig, authResult) => {
+  const limits = resolveLimits(projectConfig, authResult);
+  if (limits.length === 0) return null;
+
+  if (!env.RATE_LIMITER) {
+    console.log('RATE_LIMITER binding missing, skipping rate limit check');
+    return null;
+  }
+
+  try {
+    const consumerId = getConsumerId(request, authResult);
+    const id = env.RATE_LIMITER.idFromName(`${projectId}:${consumerId}`);
+    const stub = env.RATE_LIMITER.get(id);
+
+    const response = await stub.fetch('https://rate-limiter/consume', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ limits })
+    });
+
+    if (!response.ok) {
+      console.error('Rate limiter returned status:', response.status);
+      return null;
+    }
+
+    const result = await response.json();
+    return {
+      allowed: result.allowed,
+      exceeded: result.exceeded,
+      headers: buildRateLimitHeaders(result)
+    };
+  } catch (error) {
+    console.error('Error checking rate limit:', error);
+    return null;
+  }
+};
+
+// Durable Object holding the counters for a single project/consumer pair
+export class RateLimiter {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+  }
+
+  async fetch(request) {
+    let body;
+    try {
+      body = await request.json();
+    } catch (error) {
+      return new Response(JSON.stringify({ error: 'Invalid JSON in request body' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const limits = Array.isArray(body.limits) ? body.limits.filter(l => WINDOWS[l.name]) : [];
+    const now = Date.now();
+
+    const names = limits.map(l => l.name);
+    const stored = await this.state.storage.get(names);
+
+    const counters = {};
+    const windows = [];
+    let exceeded = null;
+
+    for (const { name, limit } of limits) {
+      const { start, end } = getWindowBounds(name, now);
+      const current = stored.get(name);
+      const count = current && current.start === start ? current.count : 0;
+
+      counters[name] = { start, count };
+
+      const reset = Math.max(1, Math.ceil((end - now) / 1000));
+      windows.push({
+        name,
+        limit,
+        remaining: Math.max(0, limit - count - 1),
+        reset,
+        window_seconds: WINDOWS[name].seconds || Math.round((end - start) / 1000)
+      });
+
+      // Keep the window that frees up last so Retry-After is never too early
+      if (count >= limit && (!exceeded || reset > exceeded.reset)) {
+        exceeded = { name, limit, reset };
+      }
+    }
+
+    if (exceeded) {
+      // Rejected calls do not consume quota
+      windows.forEach(w => {
+        w.remaining = Math.max(0, w.limit - counters[w.name].count);
+      });
+
+      return new Response(JSON.stringify({
+        allowed: false,
+        exceeded: exceeded.name,
+        retry_after: exceeded.reset,
+        windows
+      }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const updates = {};
+    for (const [name, counter] of Object.entries(counters)) {
+      updates[name] = { start: counter.start, count: counter.count + 1 };
+    }
+    await this.state.storage.put(updates);
+
+    return new Response(JSON.stringify({ allowed: true, windows }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
+
+export { checkRateLimit, resolveLimits, buildRateLimitHeaders, getConsumerId };
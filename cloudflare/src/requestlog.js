@@ -0,0 +1,103 @@
+/**
+ * APIBLAZE - Recent request log
+ * Keeps the last requests of projects with request_log enabled in a per-project Durable Object,
+ * so owners can tail traffic from the CLI. Query strings and headers are never recorded.
+ */
+
+const DEFAULT_MAX_ENTRIES = 200;
+const MAX_ENTRIES_LIMIT = 1000;
+const DEFAULT_READ_LIMIT = 50;
+
+const getLogStub = (env, projectId) => {
+  if (!env.REQUEST_LOG) return null;
+  return env.REQUEST_LOG.get(env.REQUEST_LOG.idFromName(projectId));
+};
+
+const isRequestLogEnabled = (projectConfig) => projectConfig.request_log?.enabled === true;
+
+/**
+ * Record one finished request. Runs in the background; failures are logged and never
+ * affect the response.
+ */
+const recordRequest = (ctx, env, projectId, projectConfig, request, response, startedAt) => {
+  const stub = getLogStub(env, projectId);
+  if (!stub) return;
+
+  const url = new URL(request.url);
+  const entry = {
+    id: request.headers.get('CF-Ray') || crypto.randomUUID(),
+    timestamp: startedAt,
+    method: request.method,
+    host: url.hostname,
+    path: url.pathname,
+    status: response.status,
+    duration_ms: Date.now() - startedAt,
+    cache: response.headers.get('X-Cache') || undefined,
+    ip: request.headers.get('CF-Connecting-IP') || undefined,
+    country: request.cf?.country
+  };
+
+  const maxEntries = Math.min(projectConfig.request_log?.max_entries || DEFAULT_MAX_ENTRIES, MAX_ENTRIES_LIMIT);
+
+  const write = stub.fetch('https://request-log/append', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ entry, max_entries: maxEntries })
+  }).catch(error => console.error('Error recording request:', error));
+
+  ctx.waitUntil(write);
+};
+
+/**
+ * Read recorded requests newer than `since` (milliseconds), oldest first, at most `limit`.
+ */
+const readRequestLog = async (env, projectId, { since = 0, limit = DEFAULT_READ_LIMIT } = {}) => {
+  const stub = getLogStub(env, projectId);
+  if (!stub) return [];
+
+  const params = new URLSearchParams({ since: String(since), limit: String(limit) });
+  const response = await stub.fetch(`https://request-log/entries?${params}`);
+  const { entries } = await response.json();
+  return entries;
+};
+
+export class RequestLog {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+  }
+
+  async fetch(request) {
+    const url = new URL(request.url);
+    const entries = (await this.state.storage.get('entries')) || [];
+
+    if (request.method === 'GET' && url.pathname === '/entries') {
+      const since = Number(url.searchParams.get('since')) || 0;
+      const limit = Math.min(Math.max(Number(url.searchParams.get('limit')) || DEFAULT_READ_LIMIT, 1), MAX_ENTRIES_LIMIT);
+      const newer = entries.filter(entry => entry.timestamp > since);
+
+      return new Response(JSON.stringify({ entries: newer.slice(-limit) }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    if (request.method === 'POST' && url.pathname === '/append') {
+      const { entry, max_entries } = await request.json();
+      entries.push(entry);
+      await this.state.storage.put('entries', entries.slice(-(max_entries || DEFAULT_MAX_ENTRIES)));
+
+      return new Response(JSON.stringify({ success: true }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    return new Response(JSON.stringify({ error: 'Not found' }), {
+      status: 404,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
+
+export { isRequestLogEnabled, recordRequest, readRequestLog };
@@ -0,0 +1,111 @@
+/**
+ * APIBLAZE - Upstream routing
+ * Ordered route table (path prefix/glob + methods -> upstream) with path rewrites;
+ * the project's flat target_url (or upstream_pool) is the default route
+ */
+
+const globToRegExp = (pattern) => {
+  const regex = pattern
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*\*/g, '\u0000')
+    .replace(/\*/g, '[^/]*')
+    .replace(/\u0000/g, '.*');
+  return new RegExp(`^${regex}$`);
+};
+
+// Globs match the whole path; plain prefixes match on a segment boundary (/users matches /users/1, not /usersx)
+const matchesRoutePath = (routePath, pathname) => {
+  if (!routePath || routePath === '/') return true;
+  if (routePath.includes('*')) return globToRegExp(routePath).test(pathname);
+
+  const prefix = routePath.replace(/\/$/, '');
+  return pathname === prefix || pathname.startsWith(`${prefix}/`);
+};
+
+// Static part of a route path, used by strip_prefix: true
+const getLiteralPrefix = (routePath) => routePath.split('*')[0].replace(/\/$/, '');
+
+const joinPaths = (base, path) => {
+  const left = (base || '').replace(/\/+$/, '');
+  if (!path || path === '/') return left || '/';
+  return `${left}${path.startsWith('/') ? path : `/${path}`}`;
+};
+
+const rewritePath = (route, pathname) => {
+  let path = pathname;
+
+  if (route.strip_prefix) {
+    const prefix = route.strip_prefix === true ? getLiteralPrefix(route.path || '') : route.strip_prefix.replace(/\/$/, '');
+    if (prefix && (path === prefix || path.startsWith(`${prefix}/`))) {
+      path = path.slice(prefix.length) || '/';
+    }
+  }
+
+  if (route.rewrite && route.rewrite.pattern) {
+    try {
+      path = path.replace(new RegExp(route.rewrite.pattern), route.rewrite.replacement || '');
+      if (!path.startsWith('/')) path = `/${path}`;
+    } catch (error) {
+      console.error('Invalid route rewrite pattern:', route.rewrite.pattern, error);
+    }
+  }
+
+  if (route.add_prefix) {
+    path = joinPaths(route.add_prefix, path);
+  }
+
+  return path;
+};
+
+// Project-level default destination: an upstream pool takes precedence over target_url
+const getDefaultUpstream = (projectConfig) => {
+  if (projectConfig.upstream_pool) {
+    return { upstream: null, pool: projectConfig.upstream_pool, poolKey: 'default' };
+  }
+  if (!projectConfig.target_url) return null;
+  return { upstream: projectConfig.target_url, pool: null, poolKey: null };
+};
+
+/**
+ * Pick the route for a request. Routes are tried in order; the first match wins.
+ * Returns { route, upstream, pool, poolKey, path } or null when nothing (not even target_url) applies.
+ * Exactly one of upstream/pool is set.
+ */
+const resolveRoute = (projectConfig, method, pathname) => {
+  const routes = Array.isArray(projectConfig.routes) ? projectConfig.routes : [];
+
+  const index = routes.findIndex(r => {
+    const methods = (r.methods || []).map(m => m.toUpperCase());
+    return (methods.length === 0 || methods.includes(method.toUpperCase())) && matchesRoutePath(r.path, pathname);
+  });
+  const route = index >= 0 ? routes[index] : null;
+
+  if (route) {
+    let destination;
+    if (route.upstream_pool) {
+      destination = { upstream: null, pool: route.upstream_pool, poolKey: `route:${index}` };
+    } else if (route.upstream) {
+      destination = { upstream: route.upstream, pool: null, poolKey: null };
+    } else {
+      destination = getDefaultUpstream(projectConfig);
+    }
+
+    if (!destination) return null;
+    return { route, ...destination, path: rewritePath(route, pathname) };
+  }
+
+  const destination = getDefaultUpstream(projectConfig);
+  if (!destination) return null;
+
+  return { route: null, ...destination, path: pathname };
+};
+
+// Combine the upstream URL (keeping its base path) with the routed path and query string
+const buildUpstreamUrl = (upstream, path, search) => {
+  const url = new URL(upstream);
+  url.pathname = joinPaths(url.pathname, path);
+  url.search = search;
+  return url.toString();
+};
+
+export { resolveRoute, buildUpstreamUrl, matchesRoutePath, globToRegExp };
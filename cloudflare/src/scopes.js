@@ -0,0 +1,59 @@
+/**
+ * APIBLAZE - API key scopes
+ * Restricts a key to HTTP methods, path patterns, OpenAPI operations/tags, or read-only access
+ */
+
+import { matchOperation } from './openapi.js';
+import { matchesRoutePath } from './routing.js';
+
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Check a request against a key's scopes. Every configured dimension must allow the request;
+ * operations and tags are alternatives (matching either is enough).
+ * Returns null when allowed, otherwise a description of the missing scope.
+ */
+const checkKeyScopes = (scopes, request, spec, specKey = null) => {
+  if (!scopes) return null;
+
+  const method = request.method.toUpperCase();
+  const pathname = new URL(request.url).pathname;
+
+  if (scopes.read_only && !READ_ONLY_METHODS.includes(method)) {
+    return `Key is read-only; ${method} is not allowed`;
+  }
+
+  if (Array.isArray(scopes.methods) && scopes.methods.length > 0
+    && !scopes.methods.map(m => m.toUpperCase()).includes(method)) {
+    return `Key is not scoped for ${method} requests`;
+  }
+
+  if (Array.isArray(scopes.paths) && scopes.paths.length > 0
+    && !scopes.paths.some(pattern => matchesRoutePath(pattern, pathname))) {
+    return `Key is not scoped for ${pathname}`;
+  }
+
+  const operations = scopes.operations || [];
+  const tags = scopes.tags || [];
+
+  if (operations.length > 0 || tags.length > 0) {
+    // Operation scopes need the spec to identify the operation; unknown operations are denied
+    const match = spec?.paths ? matchOperation(spec, method, pathname, specKey) : null;
+    const operation = match && !match.error ? match.operation : null;
+
+    const allowed = operation && (
+      (operation.operationId && operations.includes(operation.operationId))
+      || (operation.tags || []).some(tag => tags.includes(tag))
+    );
+
+    if (!allowed) {
+      return operation?.operationId
+        ? `Key is not scoped for operation ${operation.operationId}`
+        : `Key is not scoped for ${method} ${pathname}`;
+    }
+  }
+
+  return null;
+};
+
+export { checkKeyScopes, READ_ONLY_METHODS };
@@ -0,0 +1,290 @@
+/**
+ * APIBLAZE - Request/response transforms
+ * Declarative header, query, JSON body and status rewrites configured on the project or a route
+ */
+
+import { isJsonMediaType } from './openapi.js';
+
+const TEMPLATE_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+const CONSUMER_TEMPLATE_PATTERN = /\{\{\s*consumer\./;
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+// Keys that would reach Object.prototype instead of the body
+const FORBIDDEN_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Values available to {{...}} templates.
+ * consumer.*, request.*, project.id; request.header.<name> and request.query.<name> read the original client request.
+ */
+const buildTemplateContext = (request, projectId, authResult, consumerId) => {
+  const url = new URL(request.url);
+  return {
+    'consumer.id': consumerId,
+    'consumer.user_id': authResult?.user_id,
+    'consumer.key_name': authResult?.name,
+    'request.id': request.headers.get('CF-Ray') || crypto.randomUUID(),
+    'request.method': request.method,
+    'request.path': url.pathname,
+    'request.host': url.hostname,
+    'request.ip': request.headers.get('CF-Connecting-IP'),
+    'project.id': projectId,
+    headers: request.headers,
+    query: url.searchParams
+  };
+};
+
+// Unknown variables render as an empty string
+const renderTemplate = (value, context) => {
+  if (typeof value !== 'string') return value;
+
+  return value.replace(TEMPLATE_PATTERN, (_, name) => {
+    if (name.startsWith('request.header.')) return context.headers.get(name.slice('request.header.'.length)) || '';
+    if (name.startsWith('request.query.')) return context.query.get(name.slice('request.query.'.length)) || '';
+    const resolved = context[name];
+    return resolved === undefined || resolved === null ? '' : String(resolved);
+  });
+};
+
+const renderValue = (value, context) => {
+  if (Array.isArray(value)) return value.map(item => renderValue(item, context));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, renderValue(v, context)]));
+  }
+  return renderTemplate(value, context);
+};
+
+/**
+ * Apply { add, remove, rename } to a Headers or URLSearchParams instance in place.
+ * remove runs first, then rename, then add; an add that renders empty removes the entry.
+ */
+const applyEntryRules = (target, rules, context) => {
+  if (!rules) return;
+
+  (rules.remove || []).forEach(name => target.delete(name));
+
+  Object.entries(rules.rename || {}).forEach(([from, to]) => {
+    if (!target.has(from)) return;
+    const values = target instanceof URLSearchParams ? target.getAll(from) : [target.get(from)];
+    target.delete(from);
+    values.forEach(value => target.append(to, value));
+  });
+
+  Object.entries(rules.add || {}).forEach(([name, template]) => {
+    const value = renderTemplate(String(template), context);
+    if (value) {
+      target.set(name, value);
+    } else {
+      target.delete(name);
+    }
+  });
+};
+
+const checkKey = (key, where) => {
+  if (FORBIDDEN_KEYS.includes(key)) {
+    throw new Error(`${where}: ${key} is not allowed`);
+  }
+  return key;
+};
+
+/**
+ * Parse a JSONPath-like selector: $.a.b, $.items[0].id, $.items[*].name, $['odd key']
+ */
+const parseSelector = (selector) => {
+  if (typeof selector !== 'string' || !selector.startsWith('$')) {
+    throw new Error(`Invalid selector: ${selector}`);
+  }
+
+  const tokens = [];
+  const pattern = /\.([^.[\]]+)|\[(\d+|\*)\]|\['([^']+)'\]/g;
+  const rest = selector.slice(1);
+  let consumed = 0;
+  let match;
+
+  while ((match = pattern.exec(rest)) !== null) {
+    if (match.index !== consumed) break;
+    consumed = pattern.lastIndex;
+    if (match[1] !== undefined) tokens.push(match[1] === '*' ? '*' : checkKey(match[1], `Invalid selector ${selector}`));
+    else if (match[2] !== undefined) tokens.push(match[2] === '*' ? '*' : Number(match[2]));
+    else tokens.push(checkKey(match[3], `Invalid selector ${selector}`));
+  }
+
+  if (consumed !== rest.length) {
+    throw new Error(`Invalid selector: ${selector}`);
+  }
+
+  return tokens;
+};
+
+// Every (parent, key) pair a selector addresses; wildcards fan out over arrays and objects.
+// Only own properties are followed, so nothing inherited is ever read or written
+const resolveParents = (root, tokens) => {
+  let nodes = [root];
+
+  for (const token of tokens.slice(0, -1)) {
+    const next = [];
+    nodes.forEach(node => {
+      if (!node || typeof node !== 'object') return;
+      if (token === '*') next.push(...Object.values(node));
+      else if (Object.hasOwn(node, token) && node[token] !== undefined) next.push(node[token]);
+    });
+    nodes = next;
+  }
+
+  const last = tokens[tokens.length - 1];
+  const pairs = [];
+  nodes.forEach(node => {
+    if (!node || typeof node !== 'object') return;
+    const keys = last === '*' ? Object.keys(node) : [last].filter(key => Object.hasOwn(node, key));
+    keys.forEach(key => pairs.push({ parent: node, key }));
+  });
+  return pairs;
+};
+
+const deleteKey = (parent, key) => {
+  if (Array.isArray(parent) && typeof key === 'number') {
+    parent.splice(key, 1);
+  } else {
+    delete parent[key];
+  }
+};
+
+// Set a value at a non-wildcard selector, creating intermediate objects
+const setAt = (root, tokens, value) => {
+  let node = root;
+  for (let i = 0; i < tokens.length - 1; i++) {
+    if (tokens[i] === '*') throw new Error('Wildcards are not allowed in a target selector');
+    if (!Object.hasOwn(node, tokens[i]) || !node[tokens[i]] || typeof node[tokens[i]] !== 'object') {
+      node[tokens[i]] = typeof tokens[i + 1] === 'number' ? [] : {};
+    }
+    node = node[tokens[i]];
+  }
+  node[tokens[tokens.length - 1]] = value;
+};
+
+/**
+ * Reshape a parsed JSON body with an ordered list of operations:
+ * { op: 'remove', path }, { op: 'rename', path, to }, { op: 'move', from, to }, { op: 'set', path, value }
+ */
+const applyBodyRules = (body, operations, context) => {
+  if (!body || typeof body !== 'object') return body;
+
+  for (const operation of operations) {
+    if (operation.op === 'remove') {
+      // Delete from the end so array indices stay valid
+      resolveParents(body, parseSelector(operation.path)).reverse()
+        .forEach(({ parent, key }) => deleteKey(parent, key));
+    } else if (operation.op === 'rename') {
+      checkKey(operation.to, 'Invalid rename target');
+      resolveParents(body, parseSelector(operation.path))
+        .filter(({ parent }) => !Array.isArray(parent))
+        .forEach(({ parent, key }) => {
+          parent[operation.to] = parent[key];
+          delete parent[key];
+        });
+    } else if (operation.op === 'move') {
+      const [source] = resolveParents(body, parseSelector(operation.from));
+      if (!source) continue;
+      const value = source.parent[source.key];
+      deleteKey(source.parent, source.key);
+      setAt(body, parseSelector(operation.to), value);
+    } else if (operation.op === 'set') {
+      setAt(body, parseSelector(operation.path), renderValue(operation.value, context));
+    } else {
+      console.error('Unknown body transform op:', operation.op);
+    }
+  }
+
+  return body;
+};
+
+const isJsonContentType = (contentType) => isJsonMediaType((contentType || '').split(';')[0].trim().toLowerCase());
+
+// Project rules run first, then the matched route's
+const collectRules = (projectConfig, route, direction) => {
+  return [projectConfig.transforms?.[direction], route?.transforms?.[direction]].filter(Boolean);
+};
+
+// Whether any rule renders {{consumer.*}}; such responses differ per consumer and must be cached per consumer
+const usesConsumerTemplates = (projectConfig, route) => {
+  const rules = [...collectRules(projectConfig, route, 'request'), ...collectRules(projectConfig, route, 'response')];
+  return rules.some(rule => CONSUMER_TEMPLATE_PATTERN.test(JSON.stringify(rule)));
+};
+
+const transformJsonText = (text, operations, context) => {
+  try {
+    return JSON.stringify(applyBodyRules(JSON.parse(text), operations, context));
+  } catch (error) {
+    // Bodies that are not valid JSON (or bad selectors) pass through untouched
+    console.error('Body transform skipped:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Apply request transforms. Returns the request unchanged when no rules apply,
+ * otherwise a new Request with rewritten headers, query string and JSON body.
+ */
+const transformRequest = async (request, projectConfig, route, context) => {
+  const rules = collectRules(projectConfig, route, 'request');
+  if (rules.length === 0) return request;
+
+  const url = new URL(request.url);
+  const headers = new Headers(request.headers);
+  let body = request.body;
+
+  rules.forEach(rule => {
+    applyEntryRules(headers, rule.headers, context);
+    applyEntryRules(url.searchParams, rule.query, context);
+  });
+
+  const operations = rules.flatMap(rule => rule.body || []);
+  if (operations.length > 0 && request.body && isJsonContentType(request.headers.get('Content-Type'))) {
+    const text = await request.text();
+    body = transformJsonText(text, operations, context) ?? text;
+    headers.delete('Content-Length');
+  }
+
+  return new Request(url.toString(), {
+    method: request.method,
+    headers,
+    body,
+    redirect: request.redirect
+  });
+};
+
+/**
+ * Apply response transforms: headers, JSON body, and status overrides ({ "404": 200 }).
+ */
+const transformResponse = async (response, projectConfig, route, context) => {
+  const rules = collectRules(projectConfig, route, 'response');
+  if (rules.length === 0) return response;
+
+  const headers = new Headers(response.headers);
+  let status = response.status;
+  let body = response.body;
+
+  rules.forEach(rule => {
+    applyEntryRules(headers, rule.headers, context);
+    const override = rule.status && Object.hasOwn(rule.status, String(status)) ? Number(rule.status[String(status)]) : null;
+    // new Response throws a RangeError outside 200-599, so configs saved before validation are skipped
+    if (Number.isInteger(override) && override >= 200 && override <= 599) {
+      status = override;
+    }
+  });
+
+  const operations = rules.flatMap(rule => rule.body || []);
+  if (operations.length > 0 && response.body && isJsonContentType(response.headers.get('Content-Type'))) {
+    const text = await response.text();
+    body = transformJsonText(text, operations, context) ?? text;
+    headers.delete('Content-Length');
+    headers.delete('Content-Encoding');
+  }
+
+  return new Response(NULL_BODY_STATUSES.includes(status) ? null : body, {
+    status,
+    statusText: status === response.status ? response.statusText : '',
+    headers
+  });
+};
+
+export { buildTemplateContext, renderTemplate, parseSelector, applyBodyRules, usesConsumerTemplates, transformRequest, transformResponse };
@@ -0,0 +1,378 @@
+/**
+ * APIBLAZE - Upstream pools
+ * Weighted round-robin across pool targets, retries with backoff for idempotent methods,
+ * and per-upstream circuit breakers/health shared through the UpstreamHealth Durable Object
+ */
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+const DEFAULT_RETRY_STATUSES = [502, 503, 504];
+const DEFAULT_FAILURE_THRESHOLD = 5;
+const DEFAULT_COOLDOWN_SECONDS = 30;
+const HEALTH_STATE_CACHE_MS = 5000;
+const DEFAULT_PROBE_TIMEOUT_MS = 2000;
+// A half-open trial that never reports back (the isolate went away) frees the upstream after this
+const TRIAL_TIMEOUT_MS = 30000;
+
+// Per-isolate state: smooth weighted round-robin weights and cached health snapshots
+const balancerState = new Map();
+const healthStateCache = new Map();
+
+const isRetryableMethod = (method) => IDEMPOTENT_METHODS.includes(method.toUpperCase());
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const normalizeTargets = (pool) => {
+  return (pool.targets || [])
+    .map(target => (typeof target === 'string' ? { url: target, weight: 1 } : target))
+    .filter(target => target && target.url && (target.weight === undefined || target.weight > 0))
+    .map(target => ({ url: target.url, weight: target.weight || 1 }));
+};
+
+// Smooth weighted round-robin (nginx style): equal weights degrade to plain round-robin
+const pickTarget = (balancerKey, targets) => {
+  if (targets.length === 1) return targets[0];
+
+  const current = balancerState.get(balancerKey) || {};
+  const total = targets.reduce((sum, target) => sum + target.weight, 0);
+
+  let best = null;
+  for (const target of targets) {
+    current[target.url] = (current[target.url] || 0) + target.weight;
+    if (!best || current[target.url] > current[best.url]) best = target;
+  }
+
+  current[best.url] -= total;
+  balancerState.set(balancerKey, current);
+  return best;
+};
+
+const getHealthStub = (env, projectId) => {
+  if (!env.UPSTREAM_HEALTH) return null;
+  return env.UPSTREAM_HEALTH.get(env.UPSTREAM_HEALTH.idFromName(projectId));
+};
+
+const getHealthState = async (env, projectId) => {
+  const cached = healthStateCache.get(projectId);
+  if (cached && Date.now() - cached.fetchedAt < HEALTH_STATE_CACHE_MS) {
+    return cached.state;
+  }
+
+  const stub = getHealthStub(env, projectId);
+  if (!stub) return {};
+
+  try {
+    const response = await stub.fetch('https://upstream-health/state');
+    const state = response.ok ? (await response.json()).upstreams || {} : {};
+    healthStateCache.set(projectId, { state, fetchedAt: Date.now() });
+    return state;
+  } catch (error) {
+    console.error('Error reading upstream health state:', error);
+    return {};
+  }
+};
+
+const reportOutcome = async (env, projectId, url, success, breakerConfig = {}) => {
+  const stub = getHealthStub(env, projectId);
+  if (!stub) return;
+
+  try {
+    await stub.fetch('https://upstream-health/report', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        url,
+        success,
+        failure_threshold: breakerConfig.failure_threshold || DEFAULT_FAILURE_THRESHOLD,
+        cooldown_seconds: breakerConfig.cooldown_seconds || DEFAULT_COOLDOWN_SECONDS
+      })
+    });
+    // Next request re-reads the shared state instead of trusting this isolate's snapshot
+    healthStateCache.delete(projectId);
+  } catch (error) {
+    console.error('Error reporting upstream outcome:', error);
+  }
+};
+
+// Ask the Durable Object for an upstream's half-open trial; only one request holds it at a time
+const acquireTrial = async (env, projectId, url) => {
+  const stub = getHealthStub(env, projectId);
+  if (!stub) return false;
+
+  try {
+    const response = await stub.fetch('https://upstream-health/trial', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ url })
+    });
+    return response.ok && (await response.json()).granted === true;
+  } catch (error) {
+    console.error('Error requesting an upstream trial:', error);
+    return false;
+  }
+};
+
+// An open breaker whose cooldown has passed lets a single trial request through
+const isTrialDue = (upstream, now = Date.now()) => {
+  return Boolean(upstream) && ['open', 'half_open'].includes(upstream.circuit) && upstream.open_until <= now;
+};
+
+// Targets that are healthy and whose breaker lets traffic through; falls back to all when none qualify
+const getAvailableTargets = (targets, state, exclude = []) => {
+  const now = Date.now();
+  const candidates = targets.filter(target => !exclude.includes(target.url));
+
+  const available = candidates.filter(target => {
+    const upstream = state[target.url];
+    if (!upstream) return true;
+    if (upstream.healthy === false) return false;
+    if (upstream.circuit === 'open' && upstream.open_until > now) return false;
+    return !(upstream.trial_until > now);
+  });
+
+  return available.length > 0 ? available : candidates;
+};
+
+// Pick a target, skipping upstreams whose trial another request holds. When every one is taken,
+// fall back like getAvailableTargets does
+const chooseTarget = async (env, projectId, balancerKey, available, state) => {
+  let candidates = available;
+  while (candidates.length > 0) {
+    const target = pickTarget(balancerKey, candidates);
+    if (!isTrialDue(state[target.url]) || await acquireTrial(env, projectId, target.url)) {
+      return target;
+    }
+    candidates = candidates.filter(candidate => candidate !== target);
+  }
+  return pickTarget(balancerKey, available);
+};
+
+/**
+ * Send a request through an upstream pool.
+ * send(upstreamUrl) performs one attempt and must throw on connection errors.
+ * Returns the final Response, or throws the last connection error when every attempt failed.
+ */
+const sendToPool = async ({ env, ctx, projectId, poolKey, pool, method, send }) => {
+  const targets = normalizeTargets(pool);
+  if (targets.length === 0) {
+    throw new Error('Upstream pool has no targets');
+  }
+
+  const retries = pool.retries || {};
+  const retryStatuses = retries.on_status || DEFAULT_RETRY_STATUSES;
+  const maxAttempts = isRetryableMethod(method) ? 1 + (retries.attempts ?? 1) : 1;
+  const backoffMs = retries.backoff_ms ?? 100;
+
+  const state = await getHealthState(env, projectId);
+  const tried = [];
+  let lastError = null;
+  let lastResponse = null;
+
+  const report = (url, success) => {
+    const known = state[url];
+    // Successes only matter when the shared state shows trouble for this upstream
+    if (success && (!known || (known.failures === 0 && known.circuit === 'closed'))) return;
+    const pending = reportOutcome(env, projectId, url, success, pool.circuit_breaker);
+    if (ctx) ctx.waitUntil(pending);
+  };
+
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    if (attempt > 0) {
+      // Exponential backoff with jitter
+      await sleep(backoffMs * Math.pow(2, attempt - 1) * (0.5 + Math.random() / 2));
+    }
+
+    const available = getAvailableTargets(targets, state, tried.length < targets.length ? tried : []);
+    const target = await chooseTarget(env, projectId, `${projectId}:${poolKey}`, available, state);
+    tried.push(target.url);
+
+    try {
+      const response = await send(target.url);
+
+      if (retryStatuses.includes(response.status)) {
+        report(target.url, false);
+        lastResponse = response;
+        lastError = null;
+        console.log(`Upstream ${target.url} returned ${response.status} (attempt ${attempt + 1}/${maxAttempts})`);
+        continue;
+      }
+
+      report(target.url, true);
+      return response;
+    } catch (error) {
+      report(target.url, false);
+      lastError = error;
+      lastResponse = null;
+      console.error(`Upstream ${target.url} failed (attempt ${attempt + 1}/${maxAttempts}):`, error.message);
+    }
+  }
+
+  if (lastResponse) return lastResponse;
+  throw lastError;
+};
+
+const probeTarget = async (url, healthCheck) => {
+  const probeUrl = new URL(url);
+  probeUrl.pathname = `${probeUrl.pathname.replace(/\/$/, '')}${healthCheck.path || '/health'}`;
+  const expected = healthCheck.expected_status || [200];
+
+  try {
+    const response = await fetch(probeUrl.toString(), {
+      method: healthCheck.method || 'GET',
+      headers: { 'User-Agent': 'APIBLAZE-Health-Check/1.0' },
+      signal: AbortSignal.timeout(healthCheck.timeout_ms || DEFAULT_PROBE_TIMEOUT_MS)
+    });
+    return { url, healthy: expected.includes(response.status), status: response.status };
+  } catch (error) {
+    return { url, healthy: false, error: error.message };
+  }
+};
+
+// Every pool a project defines: the project default plus route-level pools
+const collectPools = (projectConfig) => {
+  const pools = [];
+  if (projectConfig.upstream_pool) pools.push(projectConfig.upstream_pool);
+  (projectConfig.routes || []).forEach(route => {
+    if (route.upstream_pool) pools.push(route.upstream_pool);
+  });
+  return pools;
+};
+
+/**
+ * Probe every pool target that has a health_check and publish results to the shared state.
+ */
+const runHealthChecks = async (env, projectId, projectConfig) => {
+  const probes = [];
+  for (const pool of collectPools(projectConfig)) {
+    if (!pool.health_check) continue;
+    for (const target of normalizeTargets(pool)) {
+      probes.push(probeTarget(target.url, pool.health_check));
+    }
+  }
+
+  if (probes.length === 0) return [];
+
+  const results = await Promise.all(probes);
+  const stub = getHealthStub(env, projectId);
+
+  if (stub) {
+    await stub.fetch('https://upstream-health/probe-results', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ results, checked_at: Date.now() })
+    });
+  }
+
+  return results;
+};
+
+// Durable Object holding health and circuit breaker state for one project's upstreams
+export class UpstreamHealth {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+  }
+
+  async getUpstreams() {
+    return (await this.state.storage.get('upstreams')) || {};
+  }
+
+  async fetch(request) {
+    const url = new URL(request.url);
+    const upstreams = await this.getUpstreams();
+    const now = Date.now();
+
+    if (request.method === 'GET' && url.pathname === '/state') {
+      // Expired open breakers become half-open: one request at a time may trial them (see /trial)
+      for (const upstream of Object.values(upstreams)) {
+        if (upstream.circuit === 'open' && upstream.open_until <= now) {
+          upstream.circuit = 'half_open';
+        }
+      }
+
+      return new Response(JSON.stringify({ upstreams }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    let body;
+    try {
+      body = await request.json();
+    } catch (error) {
+      return new Response(JSON.stringify({ error: 'Invalid JSON in request body' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    // Requests here are handled one at a time, so only one caller gets the trial
+    if (request.method === 'POST' && url.pathname === '/trial') {
+      const upstream = upstreams[body.url];
+      const granted = Boolean(upstream) && upstream.circuit === 'open' && upstream.open_until <= now
+        && !(upstream.trial_until > now);
+
+      if (granted) {
+        upstream.trial_until = now + TRIAL_TIMEOUT_MS;
+        await this.state.storage.put('upstreams', upstreams);
+      }
+
+      return new Response(JSON.stringify({ granted }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    if (request.method === 'POST' && url.pathname === '/report') {
+      const upstream = upstreams[body.url] || { failures: 0, circuit: 'closed', healthy: true };
+      const halfOpen = upstream.circuit === 'open' && upstream.open_until <= now;
+      delete upstream.trial_until;
+
+      if (body.success) {
+        upstream.failures = 0;
+        upstream.circuit = 'closed';
+        delete upstream.open_until;
+      } else {
+        upstream.failures = (upstream.failures || 0) + 1;
+        upstream.last_failure_at = now;
+
+        // A failed trial re-opens immediately; otherwise open once the threshold is reached
+        if (halfOpen || upstream.failures >= body.failure_threshold) {
+          upstream.circuit = 'open';
+          upstream.open_until = now + body.cooldown_seconds * 1000;
+        }
+      }
+
+      upstreams[body.url] = upstream;
+      await this.state.storage.put('upstreams', upstreams);
+
+      return new Response(JSON.stringify({ upstream }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    if (request.method === 'POST' && url.pathname === '/probe-results') {
+      for (const result of body.results || []) {
+        const upstream = upstreams[result.url] || { failures: 0, circuit: 'closed' };
+        upstream.healthy = result.healthy;
+        upstream.last_probe_at = body.checked_at || now;
+        upstream.last_probe_status = result.status ?? null;
+        upstreams[result.url] = upstream;
+      }
+
+      await this.state.storage.put('upstreams', upstreams);
+
+      return new Response(JSON.stringify({ upstreams }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    return new Response(JSON.stringify({ error: 'Not found' }), {
+      status: 404,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
+
+export { sendToPool, runHealthChecks, collectPools, normalizeTargets, isRetryableMethod };
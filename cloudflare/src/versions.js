@@ -0,0 +1,128 @@
+/**
+ * APIBLAZE - API Versions
+ * Picks the API version a request targets (path prefix, Api-Version header or
+ * Accept media type, else the project's default) and applies its lifecycle:
+ * deprecated versions get Deprecation/Sunset headers, sunset versions get 410
+ */
+
+const VERSION_HEADER = 'Api-Version';
+
+// Root configs written before versioning carry a single api_version and no versions map
+const getDefaultVersion = (projectConfig) => projectConfig.default_version || projectConfig.api_version || 'v1';
+
+const listVersions = (projectConfig) => {
+  const versions = Object.keys(projectConfig.versions || {});
+  return versions.length > 0 ? versions : [getDefaultVersion(projectConfig)];
+};
+
+// A bare number names the matching vN version, so 2 and v2 select the same one
+const normalizeVersion = (version, versions) => {
+  return /^\d+$/.test(version) && !versions.includes(version) ? `v${version}` : version;
+};
+
+// application/json; version=2 or application/vnd.acme.v2+json
+const versionFromAccept = (accept, versions) => {
+  for (const mediaType of (accept || '').split(',')) {
+    const param = mediaType.match(/;\s*version\s*=\s*"?([^";,\s]+)"?/i);
+    if (param) return normalizeVersion(param[1], versions);
+
+    const vendor = mediaType.trim().match(/^[\w-]+\/vnd\.[^;+\s]*?\.([^.;+\s]+)\+[\w-]+/i);
+    if (vendor && versions.includes(vendor[1])) return vendor[1];
+  }
+  return null;
+};
+
+const unsupportedVersion = (version, versions) => {
+  return new Response(JSON.stringify({
+    error: 'Unsupported API version',
+    api_version: version,
+    available_versions: versions
+  }), {
+    status: 400,
+    headers: { 'Content-Type': 'application/json' }
+  });
+};
+
+/**
+ * Resolve the version a request targets. Returns { version, request } where the
+ * request has any version path prefix stripped, or { error } for an unknown version.
+ */
+const selectVersion = (request, projectConfig) => {
+  const versions = listVersions(projectConfig);
+  const url = new URL(request.url);
+
+  // Selection only applies once a project has several versions, so a /v1/... path or an
+  // Api-Version header meant for the upstream of a single-version project passes through unchanged
+  if (versions.length < 2) {
+    return { version: getDefaultVersion(projectConfig), request };
+  }
+
+  const [, firstSegment] = url.pathname.split('/');
+  if (versions.includes(firstSegment)) {
+    url.pathname = url.pathname.slice(firstSegment.length + 1) || '/';
+    return { version: firstSegment, request: new Request(url.toString(), request) };
+  }
+
+  const header = request.headers.get(VERSION_HEADER);
+  const requested = header ? normalizeVersion(header, versions) : versionFromAccept(request.headers.get('Accept'), versions);
+  if (requested) {
+    if (!versions.includes(requested)) {
+      return { error: unsupportedVersion(requested, versions) };
+    }
+    return { version: requested, request };
+  }
+
+  return { version: getDefaultVersion(projectConfig), request };
+};
+
+// A deprecated version whose sunset date has passed is treated as sunset
+const getLifecycleStatus = (lifecycle, now = Date.now()) => {
+  if (!lifecycle) return 'active';
+  if (lifecycle.status === 'sunset' || (lifecycle.sunset_at && lifecycle.sunset_at <= now)) return 'sunset';
+  return lifecycle.status || 'active';
+};
+
+const sunsetResponse = (version, lifecycle) => {
+  return new Response(JSON.stringify({
+    error: 'API version has been sunset',
+    api_version: version,
+    ...(lifecycle.sunset_at && { sunset_at: new Date(lifecycle.sunset_at).toISOString() }),
+    ...(lifecycle.link && { link: lifecycle.link })
+  }), {
+    status: 410,
+    headers: { 'Content-Type': 'application/json', [VERSION_HEADER]: version }
+  });
+};
+
+// Set a date header unless the response already carries an earlier date; undated values sort last
+const setEarliest = (headers, name, value, toTime) => {
+  const current = headers.get(name);
+  if (current === null || toTime(value) < toTime(current)) {
+    headers.set(name, value);
+  }
+};
+
+const deprecationTime = (value) => (value.startsWith('@') ? Number(value.slice(1)) * 1000 : Infinity);
+const sunsetTime = (value) => Date.parse(value) || Infinity;
+
+/**
+ * Mark a response with the version that served it. Deprecation uses the structured-field
+ * date form (@<epoch seconds>) and Sunset an HTTP-date, as in RFC 9745 and RFC 8594.
+ * A rotated API key sets the same headers first; the earliest date is kept.
+ */
+const applyVersionHeaders = (response, version, lifecycle) => {
+  response.headers.set(VERSION_HEADER, version);
+  if (getLifecycleStatus(lifecycle) !== 'deprecated') return response;
+
+  setEarliest(response.headers, 'Deprecation', lifecycle.deprecated_at ? `@${Math.floor(lifecycle.deprecated_at / 1000)}` : 'true', deprecationTime);
+  if (lifecycle.sunset_at) {
+    setEarliest(response.headers, 'Sunset', new Date(lifecycle.sunset_at).toUTCString(), sunsetTime);
+  }
+  // Appended so upstream Link headers survive
+  if (lifecycle.link) {
+    response.headers.append('Link', `<${lifecycle.link}>; rel="deprecation"`);
+  }
+  return response;
+};
+
+export { selectVersion, getDefaultVersion, getLifecycleStatus, sunsetResponse, applyVersionHeaders };
@@ -0,0 +1,50 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { parseIp, parseCidr, evaluatePolicy, checkNetworkAccess } from '../src/access.js';
+
+test('parses IPv4, IPv6 and IPv4-mapped addresses', () => {
+  assert.deepStrictEqual(parseIp('10.0.0.1'), { version: 4, value: 0x0a000001n });
+  assert.deepStrictEqual(parseIp('::ffff:10.0.0.1'), { version: 4, value: 0x0a000001n });
+  assert.deepStrictEqual(parseIp('2001:db8::1'), { version: 6, value: 0x20010db8000000000000000000000001n });
+  for (const invalid of ['256.0.0.1', '1.2.3', '1::2::3', '1:2:3:4:5:6:7', 'g::1', '', null]) {
+    assert.strictEqual(parseIp(invalid), null, String(invalid));
+  }
+});
+
+test('parses CIDR ranges and bare addresses', () => {
+  assert.deepStrictEqual(parseCidr('10.0.0.0/8'), { version: 4, network: 0x0a000000n, mask: 0xff000000n });
+  assert.strictEqual(parseCidr('10.0.0.1').mask, 0xffffffffn);
+  assert.strictEqual(parseCidr('0.0.0.0/0').mask, 0n);
+  assert.strictEqual(parseCidr('10.0.0.0/33'), null);
+  assert.strictEqual(parseCidr('10.0.0.0/x'), null);
+});
+
+test('deny lists win over allow lists', () => {
+  const policy = { ip_allow: ['10.0.0.0/8'], ip_deny: ['10.1.0.0/16'] };
+  assert.strictEqual(evaluatePolicy(policy, '10.2.0.1', 'DE'), null);
+  assert.strictEqual(evaluatePolicy(policy, '10.1.0.1', 'DE'), 'ip_denied');
+  assert.strictEqual(evaluatePolicy(policy, '192.168.0.1', 'DE'), 'ip_not_allowed');
+  assert.strictEqual(evaluatePolicy({ ip_allow: ['2001:db8::/32'] }, '10.0.0.1', 'DE'), 'ip_not_allowed');
+});
+
+test('unknown IPs and countries fail closed against allow lists and open against deny lists', () => {
+  assert.strictEqual(evaluatePolicy({ ip_allow: ['10.0.0.0/8'] }, null, 'DE'), 'ip_not_allowed');
+  assert.strictEqual(evaluatePolicy({ ip_deny: ['10.0.0.0/8'] }, null, 'DE'), null);
+  assert.strictEqual(evaluatePolicy({ country_allow: ['de'] }, '10.0.0.1', 'XX'), 'country_not_allowed');
+  assert.strictEqual(evaluatePolicy({ country_deny: ['DE'] }, '10.0.0.1', undefined), null);
+  assert.strictEqual(evaluatePolicy({ country_deny: ['de'] }, '10.0.0.1', 'DE'), 'country_denied');
+});
+
+test('answers 403 with the reason and scope', async () => {
+  const original = console.log;
+  console.log = () => {};
+  try {
+    const request = new Request('https://p1.apiblaze.com/', { headers: { 'CF-Connecting-IP': '10.0.0.1' } });
+    assert.strictEqual(checkNetworkAccess(request, { ip_allow: ['10.0.0.0/8'] }, 'project'), null);
+    const response = checkNetworkAccess(request, { ip_deny: ['10.0.0.1'] }, 'key');
+    assert.strictEqual(response.status, 403);
+    assert.deepStrictEqual(await response.json(), { error: 'Access denied', reason: 'ip_denied', scope: 'key' });
+  } finally {
+    console.log = original;
+  }
+});
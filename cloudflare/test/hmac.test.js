@@ -0,0 +1,59 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { HMAC_SCHEME, buildStringToSign, secretsEqual, verifyHmacRequest } from '../src/hmac.js';
+
+const SECRET = 'signing-secret';
+const encoder = new TextEncoder();
+const toHex = (buffer) => [...new Uint8Array(buffer)].map(b => b.toString(16).padStart(2, '0')).join('');
+
+const kv = (entries = {}) => {
+  const store = new Map(Object.entries(entries).map(([key, value]) => [key, JSON.stringify(value)]));
+  return {
+    get: async (key, options) => (store.has(key) ? (options?.type === 'json' ? JSON.parse(store.get(key)) : store.get(key)) : null),
+    put: async (key, value) => { store.set(key, value); }
+  };
+};
+
+const env = () => ({ API_KEYS: kv({ 'hk_1:p1': { type: 'hmac', hmac_secret: SECRET, active: true, name: 'signer' } }) });
+
+// Sign the way a client would, over the URL it sends
+const signedRequest = async (url, { method = 'POST', body = '{"a":1}', timestamp = Math.floor(Date.now() / 1000), nonce = 'n1', secret = SECRET } = {}) => {
+  const headers = new Headers({ Host: new URL(url).host, 'X-Apiblaze-Timestamp': String(timestamp), 'X-Apiblaze-Nonce': nonce });
+  const bodyHash = toHex(await crypto.subtle.digest('SHA-256', encoder.encode(body || '')));
+  const stringToSign = buildStringToSign({ method, url: new URL(url), headers, signedHeaders: ['host'], timestamp: String(timestamp), nonce, bodyHash });
+  const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const signature = toHex(await crypto.subtle.sign('HMAC', key, encoder.encode(stringToSign)));
+  headers.set('Authorization', `${HMAC_SCHEME} KeyId=hk_1, SignedHeaders=host, Signature=${signature}`);
+  return new Request(url, { method, headers, body });
+};
+
+test('accepts a valid signature once and rejects the replayed nonce', async () => {
+  const keys = env();
+  const request = await signedRequest('https://p1.apiblaze.com/orders?b=2&a=1');
+  const { keyData } = await verifyHmacRequest(request, keys, 'p1');
+  assert.deepStrictEqual(keyData, { type: 'hmac', active: true, name: 'signer', api_key_hash: 'hk_1' });
+
+  const replay = await verifyHmacRequest(await signedRequest('https://p1.apiblaze.com/orders?b=2&a=1'), keys, 'p1');
+  assert.strictEqual(replay.error.reason, 'replayed_nonce');
+});
+
+test('rejects wrong secrets, stale timestamps and unsigned requests', async () => {
+  const reason = async (request) => (await verifyHmacRequest(request, env(), 'p1')).error?.reason;
+  assert.strictEqual(await reason(await signedRequest('https://p1.apiblaze.com/orders', { secret: 'other' })), 'invalid_signature');
+  assert.strictEqual(await reason(await signedRequest('https://p1.apiblaze.com/orders', { timestamp: 1 })), 'stale_timestamp');
+  assert.strictEqual(await reason(new Request('https://p1.apiblaze.com/orders')), 'missing_signature');
+});
+
+test('verifies the path the client signed, before a version prefix is stripped', async () => {
+  const signed = await signedRequest('https://p1.apiblaze.com/v2/orders');
+  const stripped = new Request('https://p1.apiblaze.com/orders', signed);
+  assert.strictEqual((await verifyHmacRequest(stripped, env(), 'p1')).error?.reason, 'invalid_signature');
+  assert.ok((await verifyHmacRequest(stripped, env(), 'p1', {}, signed.url)).keyData);
+});
+
+test('secretsEqual compares whole values', async () => {
+  assert.strictEqual(await secretsEqual('Bearer internal-secret', 'Bearer internal-secret'), true);
+  assert.strictEqual(await secretsEqual('Bearer internal-secre', 'Bearer internal-secret'), false);
+  assert.strictEqual(await secretsEqual('', 'Bearer internal-secret'), false);
+  assert.strictEqual(await secretsEqual('Bearer internal-secreT', 'Bearer internal-secret'), false);
+});
@@ -0,0 +1,89 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { specCacheKey, matchOperation, validateSchema, validateRequest, validateResponse, buildMockResponse } from '../src/openapi.js';
+
+const SPEC = {
+  servers: [{ url: 'https://api.example.com/v1' }],
+  paths: {
+    '/users/{id}': { get: { operationId: 'getUser', responses: { 200: { content: { 'application/json': { schema: { $ref: '#/components/schemas/User' } } } } } } },
+    '/users/me': { get: { operationId: 'getMe', responses: { 200: { content: { 'application/json': { example: { id: 'me' } } } } } } },
+    '/users': {
+      post: {
+        operationId: 'createUser',
+        parameters: [{ name: 'dry_run', in: 'query', schema: { type: 'boolean' } }],
+        requestBody: { required: true, content: { 'application/json': { schema: { $ref: '#/components/schemas/User' } } } },
+        responses: { 201: { description: 'created' } }
+      }
+    }
+  },
+  components: {
+    schemas: {
+      User: { type: 'object', required: ['id'], properties: { id: { type: 'string', readOnly: true }, email: { type: 'string', format: 'email' } } }
+    }
+  }
+};
+
+test('matches literal paths before templated ones, with or without the server base path', () => {
+  assert.strictEqual(matchOperation(SPEC, 'GET', '/users/me').operation.operationId, 'getMe');
+  const match = matchOperation(SPEC, 'GET', '/v1/users/a%20b');
+  assert.strictEqual(match.operation.operationId, 'getUser');
+  assert.deepStrictEqual(match.pathParams, { id: 'a b' });
+  assert.deepStrictEqual(matchOperation(SPEC, 'DELETE', '/users'), { error: 'method_not_allowed', allowed: ['POST'] });
+  assert.deepStrictEqual(matchOperation(SPEC, 'GET', '/orders'), { error: 'not_found' });
+});
+
+test('compiled matchers are reused per version until updated_at changes', () => {
+  const config = (paths, updatedAt, apiVersion = 'v1') => ({ openapi_spec: { paths }, updated_at: updatedAt, api_version: apiVersion });
+  const first = config({ '/a': { get: {} } }, 1);
+  const key = specCacheKey('P1', first);
+  assert.deepStrictEqual(key, { id: 'p1/v1', updatedAt: 1 });
+  assert.ok(!matchOperation(first.openapi_spec, 'GET', '/a', key).error);
+
+  // Same version and updated_at: the cached matchers still answer, even for a new spec object
+  assert.ok(!matchOperation({ paths: { '/b': { get: {} } } }, 'GET', '/a', key).error);
+
+  const updated = config({ '/b': { get: {} } }, 2);
+  assert.ok(!matchOperation(updated.openapi_spec, 'GET', '/b', specCacheKey('p1', updated)).error);
+  const otherVersion = config({ '/c': { get: {} } }, 2, 'v2');
+  assert.ok(!matchOperation(otherVersion.openapi_spec, 'GET', '/c', specCacheKey('p1', otherVersion)).error);
+  assert.strictEqual(specCacheKey('p1', { api_version: 'v1' }), null);
+});
+
+test('validates schemas with refs, formats and readOnly properties', () => {
+  const schema = { $ref: '#/components/schemas/User' };
+  assert.deepStrictEqual(validateSchema(SPEC, schema, { email: 'a@example.com' }, 'request'), []);
+  assert.deepStrictEqual(validateSchema(SPEC, schema, { email: 'nope' }, 'response').map(error => error.path), ['id', 'email']);
+  assert.deepStrictEqual(validateSchema(SPEC, { type: 'integer' }, 'x', 'request'), [{ path: '', message: 'must be of type integer' }]);
+});
+
+test('validates request parameters and bodies', async () => {
+  const match = matchOperation(SPEC, 'POST', '/users');
+  const request = (query, body) => new Request(`https://p1.apiblaze.com/users${query}`, {
+    method: 'POST', headers: { 'Content-Type': 'application/json' }, body
+  });
+
+  assert.deepStrictEqual(await validateRequest(SPEC, match, request('?dry_run=true', '{"email":"a@example.com"}')), []);
+  const violations = await validateRequest(SPEC, match, request('?dry_run=maybe', '{'));
+  assert.deepStrictEqual(violations.map(violation => `${violation.in}:${violation.name}`), ['query:dry_run', 'body:']);
+  assert.match((await validateRequest(SPEC, match, request('', null)))[0].message, /request body is required/);
+});
+
+test('validates upstream responses against declared statuses and schemas', () => {
+  const match = matchOperation(SPEC, 'GET', '/users/1');
+  assert.deepStrictEqual(validateResponse(SPEC, match, 200, 'application/json', '{"id":"1"}'), []);
+  assert.strictEqual(validateResponse(SPEC, match, 404, 'application/json', '{}')[0].kind, 'unexpected_status');
+  assert.strictEqual(validateResponse(SPEC, match, 200, 'text/html', '<p>')[0].kind, 'unexpected_content_type');
+  assert.strictEqual(validateResponse(SPEC, match, 200, 'application/json', '{')[0].kind, 'invalid_json');
+});
+
+test('mocks from examples, or generates a body from the schema', () => {
+  assert.deepStrictEqual(buildMockResponse(SPEC, matchOperation(SPEC, 'GET', '/users/me')), {
+    status: 200, contentType: 'application/json', body: { id: 'me' }, headers: {}
+  });
+  const generated = buildMockResponse(SPEC, matchOperation(SPEC, 'GET', '/users/1'));
+  assert.strictEqual(typeof generated.body.id, 'string');
+  assert.strictEqual(buildMockResponse(SPEC, matchOperation(SPEC, 'POST', '/users'), { code: '500' }), null);
+  assert.deepStrictEqual(buildMockResponse(SPEC, matchOperation(SPEC, 'POST', '/users')), {
+    status: 201, contentType: null, body: null, headers: {}
+  });
+});
@@ -0,0 +1,40 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { checkKeyScopes } from '../src/scopes.js';
+
+const SPEC = {
+  paths: {
+    '/orders': { get: { operationId: 'listOrders', tags: ['reporting'] }, post: { operationId: 'createOrder' } },
+    '/orders/{id}': { delete: { operationId: 'deleteOrder' } }
+  }
+};
+
+const request = (method, path) => new Request(`https://p1.apiblaze.com${path}`, { method });
+
+test('allows everything without scopes', () => {
+  assert.strictEqual(checkKeyScopes(null, request('DELETE', '/orders/1'), SPEC), null);
+});
+
+test('read_only only allows GET, HEAD and OPTIONS', () => {
+  assert.strictEqual(checkKeyScopes({ read_only: true }, request('HEAD', '/orders'), SPEC), null);
+  assert.match(checkKeyScopes({ read_only: true }, request('POST', '/orders'), SPEC), /read-only/);
+});
+
+test('methods and paths must both allow the request', () => {
+  const scopes = { methods: ['get'], paths: ['/orders/**'] };
+  assert.strictEqual(checkKeyScopes(scopes, request('GET', '/orders/1'), SPEC), null);
+  assert.match(checkKeyScopes(scopes, request('DELETE', '/orders/1'), SPEC), /not scoped for DELETE/);
+  assert.match(checkKeyScopes(scopes, request('GET', '/customers'), SPEC), /not scoped for \/customers/);
+});
+
+test('operations and tags are alternatives', () => {
+  const scopes = { operations: ['createOrder'], tags: ['reporting'] };
+  assert.strictEqual(checkKeyScopes(scopes, request('POST', '/orders'), SPEC), null);
+  assert.strictEqual(checkKeyScopes(scopes, request('GET', '/orders'), SPEC), null);
+  assert.match(checkKeyScopes(scopes, request('DELETE', '/orders/1'), SPEC), /operation deleteOrder/);
+});
+
+test('operation scopes deny requests the spec cannot identify', () => {
+  assert.match(checkKeyScopes({ operations: ['listOrders'] }, request('GET', '/unknown'), SPEC), /GET \/unknown/);
+  assert.match(checkKeyScopes({ operations: ['listOrders'] }, request('GET', '/orders'), null), /GET \/orders/);
+});
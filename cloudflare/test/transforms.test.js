@@ -0,0 +1,76 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { parseSelector, applyBodyRules, usesConsumerTemplates, transformResponse } from '../src/transforms.js';
+
+test('parses dotted, indexed, wildcard and quoted selectors', () => {
+  assert.deepStrictEqual(parseSelector('$.a.b'), ['a', 'b']);
+  assert.deepStrictEqual(parseSelector('$.items[0].id'), ['items', 0, 'id']);
+  assert.deepStrictEqual(parseSelector('$.items[*].name'), ['items', '*', 'name']);
+  assert.deepStrictEqual(parseSelector("$['odd key']"), ['odd key']);
+  assert.throws(() => parseSelector('a.b'), /Invalid selector/);
+  assert.throws(() => parseSelector('$.a..b'), /Invalid selector/);
+});
+
+test('rejects selectors that reach the prototype', () => {
+  for (const selector of ['$.__proto__.x', '$.a.constructor.prototype', "$['__proto__']", '$.prototype']) {
+    assert.throws(() => parseSelector(selector), /is not allowed/, selector);
+  }
+});
+
+test('set and move cannot pollute Object.prototype', () => {
+  assert.throws(() => applyBodyRules({}, [{ op: 'set', path: '$.__proto__.polluted', value: 'yes' }], {}));
+  assert.throws(() => applyBodyRules({ a: 1 }, [{ op: 'move', from: '$.a', to: '$.constructor.prototype.polluted' }], {}));
+  assert.strictEqual({}.polluted, undefined);
+});
+
+test('rename cannot target a prototype key', () => {
+  const body = { a: { polluted: 'yes' } };
+  assert.throws(() => applyBodyRules(body, [{ op: 'rename', path: '$.a', to: '__proto__' }], {}), /Invalid rename target/);
+  assert.deepStrictEqual(body, { a: { polluted: 'yes' } });
+  assert.strictEqual({}.polluted, undefined);
+});
+
+test('only own properties are followed', () => {
+  const body = applyBodyRules({ a: 1 }, [
+    { op: 'remove', path: '$.toString' },
+    { op: 'rename', path: '$.hasOwnProperty', to: 'b' },
+    { op: 'move', from: '$.valueOf', to: '$.c' },
+    { op: 'set', path: '$.toString.x', value: 1 }
+  ], {});
+  assert.deepStrictEqual(body, { a: 1, toString: { x: 1 } });
+  assert.strictEqual(typeof Object.prototype.toString, 'function');
+});
+
+test('applies body operations in order', () => {
+  const body = applyBodyRules({ user: { first: 'Ada', secret: 's' }, items: [{ id: 1, tmp: 1 }, { id: 2, tmp: 2 }] }, [
+    { op: 'remove', path: '$.user.secret' },
+    { op: 'rename', path: '$.user.first', to: 'given_name' },
+    { op: 'remove', path: '$.items[*].tmp' },
+    { op: 'move', from: '$.user', to: '$.data.user' },
+    { op: 'set', path: '$.meta.by', value: '{{consumer.id}}' }
+  ], { 'consumer.id': 'key-1' });
+  assert.deepStrictEqual(body, {
+    items: [{ id: 1 }, { id: 2 }],
+    data: { user: { given_name: 'Ada' } },
+    meta: { by: 'key-1' }
+  });
+});
+
+test('status overrides apply only for integer codes between 200 and 599', async () => {
+  const respond = (status) => transformResponse(new Response('{}', { status }), {
+    transforms: { response: { status: { 201: 200, 404: 99, 500: 'oops', 503: '204' } } }
+  }, null, {});
+
+  assert.strictEqual((await respond(201)).status, 200);
+  assert.strictEqual((await respond(404)).status, 404);
+  assert.strictEqual((await respond(500)).status, 500);
+  assert.strictEqual((await respond(503)).status, 204);
+  assert.strictEqual((await respond(202)).status, 202);
+});
+
+test('detects consumer templates in project and route rules', () => {
+  const project = { transforms: { response: { headers: { add: { 'X-Project': '{{project.id}}' } } } } };
+  assert.strictEqual(usesConsumerTemplates(project, null), false);
+  assert.strictEqual(usesConsumerTemplates({}, { transforms: { request: { headers: { add: { 'X-User': '{{ consumer.user_id }}' } } } } }), true);
+  assert.strictEqual(usesConsumerTemplates(project, { transforms: { response: { body: [{ op: 'set', path: '$.by', value: '{{consumer.id}}' }] } } }), true);
+});
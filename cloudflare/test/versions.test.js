@@ -0,0 +1,70 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { selectVersion, getDefaultVersion, getLifecycleStatus, applyVersionHeaders } from '../src/versions.js';
+
+const DAY = 86400000;
+const at = (days) => Math.floor((Date.now() + days * DAY) / 1000) * 1000;
+const deprecation = (time) => `@${time / 1000}`;
+const sunset = (time) => new Date(time).toUTCString();
+
+// Sunset dates must stay in the future or the version counts as sunset
+const DEPRECATED = { status: 'deprecated', deprecated_at: at(-10), sunset_at: at(30) };
+
+const PROJECT = { default_version: 'v1', versions: { v1: {}, v2: {} } };
+const request = (path, headers = {}) => new Request(`https://p1.apiblaze.com${path}`, { headers });
+
+test('selects a version from the path prefix and strips it', () => {
+  const { version, request: stripped } = selectVersion(request('/v2/orders?x=1'), PROJECT);
+  assert.strictEqual(version, 'v2');
+  assert.strictEqual(stripped.url, 'https://p1.apiblaze.com/orders?x=1');
+  assert.strictEqual(selectVersion(request('/v2'), PROJECT).request.url, 'https://p1.apiblaze.com/');
+});
+
+test('selects a version from Api-Version or Accept, where a bare number means vN', () => {
+  assert.strictEqual(selectVersion(request('/orders', { 'Api-Version': '2' }), PROJECT).version, 'v2');
+  assert.strictEqual(selectVersion(request('/orders', { Accept: 'application/json; version=2' }), PROJECT).version, 'v2');
+  assert.strictEqual(selectVersion(request('/orders', { Accept: 'application/vnd.acme.v2+json' }), PROJECT).version, 'v2');
+  assert.strictEqual(selectVersion(request('/orders'), PROJECT).version, 'v1');
+  assert.strictEqual(selectVersion(request('/orders', { 'Api-Version': 'v9' }), PROJECT).error.status, 400);
+});
+
+test('single-version projects pass version paths and headers through', () => {
+  const single = { api_version: 'v3' };
+  const { version, request: unchanged } = selectVersion(request('/v1/orders', { 'Api-Version': 'v9' }), single);
+  assert.strictEqual(version, 'v3');
+  assert.strictEqual(unchanged.url, 'https://p1.apiblaze.com/v1/orders');
+  assert.strictEqual(getDefaultVersion({}), 'v1');
+});
+
+test('a deprecated version past its sunset date counts as sunset', () => {
+  assert.strictEqual(getLifecycleStatus(undefined), 'active');
+  assert.strictEqual(getLifecycleStatus({ status: 'deprecated', sunset_at: at(1) }), 'deprecated');
+  assert.strictEqual(getLifecycleStatus({ status: 'deprecated', sunset_at: at(-1) }), 'sunset');
+});
+
+test('marks deprecated versions with Deprecation, Sunset and Link', () => {
+  const response = applyVersionHeaders(new Response('ok', { headers: { Link: '<https://a>; rel="next"' } }), 'v1', { ...DEPRECATED, link: 'https://docs' });
+  assert.strictEqual(response.headers.get('Api-Version'), 'v1');
+  assert.strictEqual(response.headers.get('Deprecation'), deprecation(DEPRECATED.deprecated_at));
+  assert.strictEqual(response.headers.get('Sunset'), sunset(DEPRECATED.sunset_at));
+  assert.strictEqual(response.headers.get('Link'), '<https://a>; rel="next", <https://docs>; rel="deprecation"');
+});
+
+test('keeps an earlier Deprecation and Sunset set by key rotation', () => {
+  const headers = { Deprecation: deprecation(at(-20)), Sunset: sunset(at(7)) };
+  const response = applyVersionHeaders(new Response('ok', { headers }), 'v1', DEPRECATED);
+  assert.strictEqual(response.headers.get('Deprecation'), headers.Deprecation);
+  assert.strictEqual(response.headers.get('Sunset'), headers.Sunset);
+});
+
+test('replaces later or undated values with the version dates', () => {
+  const response = applyVersionHeaders(new Response('ok', { headers: { Deprecation: 'true', Sunset: sunset(at(60)) } }), 'v1', DEPRECATED);
+  assert.strictEqual(response.headers.get('Deprecation'), deprecation(DEPRECATED.deprecated_at));
+  assert.strictEqual(response.headers.get('Sunset'), sunset(DEPRECATED.sunset_at));
+});
+
+test('leaves active versions without deprecation headers', () => {
+  const response = applyVersionHeaders(new Response('ok'), 'v2', { status: 'active' });
+  assert.strictEqual(response.headers.get('Api-Version'), 'v2');
+  assert.strictEqual(response.headers.get('Deprecation'), null);
+});
@@ -1,4 +1,7 @@
 const AWS = require('aws-sdk');
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
 const { v4: uuidv4 } = require('uuid');
 
 // Configure AWS
@@ -17,14 +20,22 @@ const generateResponse = (statusCode, body) => ({
   body: JSON.stringify(body)
 });
 
-const validateInternalApiKey = (headers) => {
+const getBearerToken = (headers) => {
   const authHeader = headers.Authorization || headers.authorization;
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return null;
+  }
+  return authHeader.slice('Bearer '.length).trim();
+};
+
+// Digests have a fixed length, so timingSafeEqual also hides the length of the expected secret
+const validateInternalApiKey = (headers) => {
+  const token = getBearerToken(headers);
+  if (!token || !process.env.INTERNAL_API_KEY) {
     return false;
   }
-  const token = authHeader.replace('Bearer ', '');
-  // In production, validate against a secure token
-  return token === process.env.INTERNAL_API_KEY;
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(token), digest(process.env.INTERNAL_API_KEY));
 };
 
 const validateCognitoToken = async (token) => {
@@ -40,14 +51,817 @@ const validateCognitoToken = async (token) => {
   }
 };
 
+// Caller authentication and tenant authorization
+const ADMIN_ROLES = ['owner', 'admin'];
+
+const accessDenied = (message = 'Forbidden') => {
+  const error = new Error(message);
+  error.code = 'AccessDenied';
+  return error;
+};
+
+/**
+ * Identify the caller. Internal services (worker, stream handlers) send INTERNAL_API_KEY;
+ * customers send a Cognito access token and are mapped to their user record (keyed by the
+ * Cognito sub) for customer_id and user_role. Returns null when the request is not authenticated.
+ */
+const authenticateCaller = async (headers) => {
+  const token = getBearerToken(headers);
+  if (!token) {
+    return null;
+  }
+  if (validateInternalApiKey(headers)) {
+    return { type: 'internal' };
+  }
+
+  const cognitoUser = await validateCognitoToken(token);
+  if (!cognitoUser) {
+    return null;
+  }
+
+  const attributes = {};
+  (cognitoUser.UserAttributes || []).forEach(({ Name, Value }) => {
+    attributes[Name] = Value;
+  });
+
+  // Emails are matched against invitations, so an address the user has not proven is not trusted
+  if (attributes.email_verified !== 'true') {
+    return null;
+  }
+
+  // A user record without customer_id belongs to someone removed from their organization, so the
+  // token attribute only counts for users with no record at all. Users outside any organization
+  // still authenticate, but can only create an organization or accept an invitation
+  const userId = attributes.sub || cognitoUser.Username;
+  const user = await getUser(userId);
+  const customerId = user ? user.customer_id : attributes['custom:customer_id'];
+
+  return {
+    type: 'user',
+    user_id: userId,
+    email: attributes.email,
+    customer_id: customerId || null,
+    user_role: (customerId && user && user.user_role) || 'user'
+  };
+};
+
+const isInternalCaller = (caller) => caller.type === 'internal';
+
+const isAdminCaller = (caller) => isInternalCaller(caller) || ADMIN_ROLES.includes(caller.user_role);
+
+const requireInternal = (caller) => {
+  if (!isInternalCaller(caller)) throw accessDenied('This endpoint is only available to internal services');
+};
+
+const requireAdmin = (caller) => {
+  if (!isAdminCaller(caller)) throw accessDenied('This action needs an admin role');
+};
+
+const requireSameCustomer = (caller, customerId) => {
+  if (!isInternalCaller(caller) && customerId !== caller.customer_id) throw accessDenied();
+};
+
+// Load a project the caller may act on (the default version unless one is named); changes need an admin role.
+// Returns null when it does not exist
+const authorizeProject = async (caller, projectId, apiVersion = null, { write = false } = {}) => {
+  const project = await loadProject(projectId, apiVersion);
+  if (!project) {
+    return null;
+  }
+  requireSameCustomer(caller, project.customer_id);
+  if (write) requireAdmin(caller);
+  return project;
+};
+
+// Keys belong to their project's customer; users without an admin role only reach their own keys
+const authorizeApiKey = async (caller, apiKeyHash, projectId) => {
+  const apiKey = await getApiKey(apiKeyHash, projectId);
+  if (!apiKey || isInternalCaller(caller)) {
+    return apiKey;
+  }
+
+  const project = await loadProject(projectId, apiKey.api_version);
+  if (!project) throw accessDenied();
+  requireSameCustomer(caller, project.customer_id);
+  if (!isAdminCaller(caller) && apiKey.user_id !== caller.user_id) throw accessDenied();
+  return apiKey;
+};
+
+// Users see themselves; admins see everyone in their customer
+const authorizeUser = async (caller, userId, { write = false } = {}) => {
+  const user = await getUser(userId);
+  if (!user || isInternalCaller(caller)) {
+    return user;
+  }
+
+  requireSameCustomer(caller, user.customer_id);
+  if (user.user_id !== caller.user_id && (write || !isAdminCaller(caller))) requireAdmin(caller);
+  return user;
+};
+
+// Only owners hand out the owner role, and nobody but internal services moves users between customers
+const checkUserChanges = (caller, changes, existing) => {
+  if (isInternalCaller(caller)) return;
+
+  if (changes.customer_id !== undefined && changes.customer_id !== caller.customer_id) {
+    throw accessDenied('Users cannot be moved to another customer');
+  }
+  if (changes.user_role !== undefined && (!existing || changes.user_role !== existing.user_role)) {
+    requireAdmin(caller);
+    if (changes.user_role === 'owner' && caller.user_role !== 'owner') {
+      throw accessDenied('Only owners can grant the owner role');
+    }
+  }
+};
+
+// Request body validation
+// Schemas mirror the request bodies in docs/openapi.yaml; keep the two in sync
+const validationFailed = (violations) => {
+  const error = new Error('Request validation failed');
+  error.code = 'ValidationError';
+  error.violations = violations;
+  return error;
+};
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  integer: (value) => Number.isInteger(value),
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  boolean: (value) => typeof value === 'boolean',
+  array: (value) => Array.isArray(value),
+  object: (value) => typeof value === 'object' && value !== null && !Array.isArray(value)
+};
+
+const FORMAT_CHECKS = {
+  uri: (value) => {
+    try {
+      return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (error) {
+      return false;
+    }
+  },
+  email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)
+};
+
+const joinField = (parent, field) => (parent ? `${parent}.${field}` : field);
+
+// Collects { field, message } for every problem instead of stopping at the first one
+const checkValue = (value, schema, field, errors) => {
+  if (value === null && schema.nullable) return;
+  if (!TYPE_CHECKS[schema.type](value)) {
+    errors.push({ field, message: `must be of type ${schema.type}` });
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ field, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+  if (schema.pattern && !schema.pattern.test(value)) {
+    errors.push({ field, message: `must match pattern ${schema.pattern.source}` });
+  }
+  if (schema.format && !FORMAT_CHECKS[schema.format](value)) {
+    errors.push({ field, message: `must be a valid ${schema.format}` });
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ field, message: `must be >= ${schema.minimum}` });
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push({ field, message: `must be <= ${schema.maximum}` });
+  }
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push({ field, message: `must be at least ${schema.minLength} characters` });
+  }
+  if (schema.items) {
+    value.forEach((item, index) => checkValue(item, schema.items, `${field}[${index}]`, errors));
+  }
+  if (schema.properties) {
+    checkObject(value, schema, field, errors);
+  }
+};
+
+// Objects with properties are closed: unknown fields are rejected and readOnly fields can only be set by the server
+const checkObject = (value, schema, parent, errors) => {
+  Object.keys(value).forEach(key => {
+    if ((schema.readOnly || []).includes(key)) {
+      errors.push({ field: joinField(parent, key), message: 'is read-only' });
+    } else if (!schema.properties[key]) {
+      errors.push({ field: joinField(parent, key), message: 'is not an allowed property' });
+    }
+  });
+
+  (schema.required || []).forEach(key => {
+    if (value[key] === undefined || value[key] === null) {
+      errors.push({ field: joinField(parent, key), message: 'is required' });
+    }
+  });
+  if (schema.requiredAnyOf && schema.requiredAnyOf.every(key => value[key] === undefined || value[key] === null)) {
+    errors.push({ field: joinField(parent, schema.requiredAnyOf[0]), message: `${schema.requiredAnyOf.join(' or ')} is required` });
+  }
+  if (schema.minProperties && Object.keys(value).length < schema.minProperties) {
+    errors.push({ field: parent, message: `must have at least ${schema.minProperties} properties` });
+  }
+
+  Object.entries(value).forEach(([key, fieldValue]) => {
+    if (schema.properties[key] && fieldValue !== undefined) {
+      checkValue(fieldValue, schema.properties[key], joinField(parent, key), errors);
+    }
+  });
+};
+
+const validateBody = (body, schema) => {
+  const errors = [];
+  if (!TYPE_CHECKS.object(body)) {
+    errors.push({ field: '', message: 'must be a JSON object' });
+  } else {
+    checkObject(body, schema, '', errors);
+  }
+  if (errors.length > 0) {
+    throw validationFailed(errors);
+  }
+  return body;
+};
+
+// DynamoDB keys, index keys and timestamps are always set by the server
+const SERVER_OWNED_FIELDS = ['PK', 'SK', 'GSI1PK', 'GSI1SK', 'created_at', 'updated_at'];
+
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const SHA256_HEX_PATTERN = /^[0-9a-f]{64}$/;
+// Current API key hash version (SHA-256); kept in sync with the worker's apikeys.js
+const API_KEY_HASH_VERSION = 2;
+const API_VERSION_PATTERN = /^[A-Za-z0-9._-]{1,32}$/;
+const PROJECT_AUTH_TYPES = ['api_key', 'oauth', 'jwt', 'hmac', 'none'];
+const VERSION_STATUSES = ['active', 'deprecated', 'sunset'];
+const USER_ROLES = ['owner', 'admin', 'user'];
+
+// Nested configuration is checked for shape here; the worker owns its finer-grained rules
+const PROJECT_FIELDS = {
+  customer_id: { type: 'string', minLength: 1 },
+  owner_id: { type: 'string', minLength: 1 },
+  target_url: { type: 'string', format: 'uri' },
+  upstream_pool: { type: 'object' },
+  routes: { type: 'array', items: { type: 'object' } },
+  transforms: { type: 'object' },
+  auth_type: { type: 'string', enum: PROJECT_AUTH_TYPES },
+  jwt: { type: 'object' },
+  hmac: { type: 'object' },
+  cors: { type: 'object' },
+  target_auth_type: { type: 'string', enum: ['api_key', 'oauth', 'none'] },
+  target_api_key: { type: 'string' },
+  active: { type: 'boolean' },
+  rate_limits: { type: 'object' },
+  quotas: { type: 'object' },
+  github_repo: { type: 'string' },
+  github_branch: { type: 'string' },
+  openapi_spec: { type: 'object' },
+  openapi_validation: { type: 'object' },
+  request_log: {
+    type: 'object',
+    required: ['enabled'],
+    properties: {
+      enabled: { type: 'boolean' },
+      max_entries: { type: 'integer', minimum: 1, maximum: 1000 }
+    }
+  },
+  mock_mode: { type: 'boolean' },
+  cache: { type: 'object' },
+  lifecycle: {
+    type: 'object',
+    required: ['status'],
+    properties: {
+      status: { type: 'string', enum: VERSION_STATUSES },
+      deprecated_at: { type: 'integer' },
+      sunset_at: { type: 'integer', nullable: true },
+      link: { type: 'string', format: 'uri' }
+    }
+  }
+};
+
+// The default version is moved with PUT /projects/{project_id}/default-version
+const PROJECT_READ_ONLY_FIELDS = [...SERVER_OWNED_FIELDS, 'access_control', 'spec_hash', 'last_deployment', 'is_default'];
+
+const CREATE_PROJECT_SCHEMA = {
+  required: ['project_id'],
+  requiredAnyOf: ['target_url', 'upstream_pool'],
+  readOnly: PROJECT_READ_ONLY_FIELDS,
+  properties: {
+    project_id: { type: 'string', pattern: ID_PATTERN },
+    api_version: { type: 'string', pattern: API_VERSION_PATTERN },
+    ...PROJECT_FIELDS
+  }
+};
+
+// The project ID and version come from the path and cannot change
+const UPDATE_PROJECT_SCHEMA = {
+  minProperties: 1,
+  readOnly: [...PROJECT_READ_ONLY_FIELDS, 'project_id', 'api_version'],
+  properties: PROJECT_FIELDS
+};
+
+// JWT projects verify tokens against their issuer; without one every request would fail at the edge
+const validateJwtConfig = (project) => {
+  if (project.auth_type === 'jwt' && !(typeof project.jwt?.issuer === 'string' && project.jwt.issuer)) {
+    throw validationFailed([{ field: 'jwt.issuer', message: 'must be set when auth_type is jwt' }]);
+  }
+};
+
+// With credentials, "*" would let any site make credentialed reads, so the origins must be listed
+const validateCorsPolicy = (cors) => {
+  if (cors && cors.allow_credentials === true && (cors.allowed_origins || []).includes('*')) {
+    throw validationFailed([{ field: 'cors.allowed_origins', message: 'cannot contain "*" when allow_credentials is true' }]);
+  }
+};
+
+// Response status overrides ({ "404": 200 }) become a Response status at the edge, which must be 200-599
+const isOverrideStatus = (value) => Number.isInteger(value) && value >= 200 && value <= 599;
+
+const checkStatusOverrides = (transforms, field, errors) => {
+  const status = transforms?.response?.status;
+  if (status === undefined) return;
+  if (!TYPE_CHECKS.object(status)) {
+    errors.push({ field: `${field}.response.status`, message: 'must be of type object' });
+    return;
+  }
+  Object.entries(status).forEach(([from, to]) => {
+    if (!/^\d+$/.test(from) || !isOverrideStatus(Number(from))) {
+      errors.push({ field: `${field}.response.status.${from}`, message: 'must be keyed by a status code between 200 and 599' });
+    }
+    if (!isOverrideStatus(to)) {
+      errors.push({ field: `${field}.response.status.${from}`, message: 'must be an integer status code between 200 and 599' });
+    }
+  });
+};
+
+const validateTransforms = (project) => {
+  const errors = [];
+  checkStatusOverrides(project.transforms, 'transforms', errors);
+  (project.routes || []).forEach((route, index) => checkStatusOverrides(route.transforms, `routes[${index}].transforms`, errors));
+  if (errors.length > 0) {
+    throw validationFailed(errors);
+  }
+};
+
+const DEFAULT_VERSION_SCHEMA = {
+  required: ['api_version'],
+  properties: {
+    api_version: { type: 'string', pattern: API_VERSION_PATTERN }
+  }
+};
+
+const CREATE_USER_SCHEMA = {
+  required: ['email'],
+  readOnly: SERVER_OWNED_FIELDS,
+  properties: {
+    user_id: { type: 'string', pattern: ID_PATTERN },
+    email: { type: 'string', format: 'email' },
+    customer_id: { type: 'string', minLength: 1 },
+    user_role: { type: 'string', enum: USER_ROLES },
+    name: { type: 'string' },
+    active: { type: 'boolean' }
+  }
+};
+
+const UPDATE_USER_SCHEMA = {
+  minProperties: 1,
+  readOnly: [...SERVER_OWNED_FIELDS, 'user_id'],
+  properties: {
+    email: { type: 'string', format: 'email' },
+    customer_id: { type: 'string', minLength: 1 },
+    user_role: { type: 'string', enum: USER_ROLES },
+    name: { type: 'string' },
+    active: { type: 'boolean' }
+  }
+};
+
+const GRANT_ACCESS_SCHEMA = {
+  readOnly: [...SERVER_OWNED_FIELDS, 'user_id', 'project_id', 'customer_id'],
+  properties: {
+    has_access: { type: 'boolean' },
+    access_level: { type: 'string', enum: USER_ROLES }
+  }
+};
+
+// Only internal services pick an organization's customer_id (e.g. to register an existing customer);
+// otherwise one is generated
+const CREATE_ORGANIZATION_SCHEMA = {
+  required: ['name'],
+  readOnly: [...SERVER_OWNED_FIELDS, 'created_by', 'audit_retention_days'],
+  properties: {
+    customer_id: { type: 'string', pattern: ID_PATTERN },
+    name: { type: 'string', minLength: 1 }
+  }
+};
+
+const UPDATE_ORGANIZATION_SCHEMA = {
+  minProperties: 1,
+  readOnly: [...SERVER_OWNED_FIELDS, 'customer_id', 'created_by', 'audit_retention_days'],
+  properties: {
+    name: { type: 'string', minLength: 1 }
+  }
+};
+
+const CREATE_INVITATION_SCHEMA = {
+  required: ['email'],
+  properties: {
+    email: { type: 'string', format: 'email' },
+    user_role: { type: 'string', enum: USER_ROLES },
+    expires_in_seconds: { type: 'integer', minimum: 3600, maximum: 2592000 }
+  }
+};
+
+const ACCEPT_INVITATION_SCHEMA = {
+  required: ['token'],
+  properties: {
+    token: { type: 'string', minLength: 1 }
+  }
+};
+
+const MEMBER_ROLE_SCHEMA = {
+  required: ['user_role'],
+  properties: {
+    user_role: { type: 'string', enum: USER_ROLES }
+  }
+};
+
+// Lineage, migration and signing secrets are only ever written by rotation, migration and hmac key creation
+const API_KEY_READ_ONLY_FIELDS = [
+  ...SERVER_OWNED_FIELDS, 'hmac_secret', 'rotated_from', 'rotated_to', 'rotated_at', 'grace_until', 'migrated_from', 'access_control'
+];
+
+const CREATE_API_KEY_SCHEMA = {
+  required: ['project_id'],
+  readOnly: API_KEY_READ_ONLY_FIELDS,
+  properties: {
+    api_key_hash: { type: 'string', pattern: SHA256_HEX_PATTERN },
+    key_id: { type: 'string', pattern: /^[0-9A-Za-z]{12}$/ },
+    hash_version: { type: 'integer', enum: [API_KEY_HASH_VERSION] },
+    project_id: { type: 'string', pattern: ID_PATTERN },
+    api_version: { type: 'string', pattern: API_VERSION_PATTERN },
+    user_id: { type: 'string', minLength: 1 },
+    name: { type: 'string' },
+    type: { type: 'string', enum: ['api_key', 'hmac'] },
+    active: { type: 'boolean' },
+    expires_at: { type: 'integer', nullable: true },
+    scopes: { type: 'object', nullable: true },
+    rate_limits: { type: 'object' },
+    quotas: { type: 'object' }
+  }
+};
+
+const ROTATE_API_KEY_SCHEMA = {
+  properties: {
+    grace_period_seconds: { type: 'integer', minimum: 0, maximum: 7776000 },
+    grace_until: { type: 'integer' },
+    api_key_hash: { type: 'string', pattern: SHA256_HEX_PATTERN },
+    expires_at: { type: 'integer', nullable: true }
+  }
+};
+
+const MIGRATE_HASH_SCHEMA = {
+  required: ['api_key_hash'],
+  properties: {
+    api_key_hash: { type: 'string', pattern: SHA256_HEX_PATTERN }
+  }
+};
+
+// Keys are generated and hashed here; only internal callers (the worker's root CLI) register keys they generated
+const KEY_CREDENTIAL_FIELDS = ['api_key_hash', 'key_id', 'hash_version'];
+
+const checkKeyCredentials = (caller, body) => {
+  if (isInternalCaller(caller)) return;
+  const supplied = KEY_CREDENTIAL_FIELDS.filter(field => body[field] !== undefined);
+  if (supplied.length > 0) {
+    throw validationFailed(supplied.map(field => ({ field, message: 'is set by the server' })));
+  }
+};
+
+const STRING_LIST = { type: 'array', items: { type: 'string' }, nullable: true };
+
+const ACCESS_CONTROL_SCHEMA = {
+  properties: {
+    ip_allow: STRING_LIST,
+    ip_deny: STRING_LIST,
+    country_allow: STRING_LIST,
+    country_deny: STRING_LIST
+  }
+};
+
+const ATTACH_DOMAIN_SCHEMA = {
+  required: ['hostname'],
+  properties: {
+    hostname: { type: 'string' }
+  }
+};
+
+const CONTRACT_DRIFT_SCHEMA = {
+  required: ['operation', 'violations'],
+  properties: {
+    operation: { type: 'string', minLength: 1 },
+    method: { type: 'string' },
+    path: { type: 'string' },
+    observed_at: { type: 'integer' },
+    violations: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['kind', 'status'],
+        properties: {
+          kind: {
+            type: 'string',
+            enum: ['unexpected_status', 'unexpected_content_type', 'invalid_json', 'missing_field', 'wrong_type', 'unexpected_field', 'schema_violation']
+          },
+          status: { type: 'integer' },
+          path: { type: 'string' },
+          message: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+// Listing: query string filters, sorting and opaque cursors
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+// Lists sorted by anything but created_at are read in full and sorted here, up to this many items
+const MAX_SORTED_LIST_SIZE = 1000;
+const LIST_STATUSES = ['active', 'inactive'];
+
+// Per-resource identity (the cursor tie-breaker), name_prefix field, sortable fields and status
+const LIST_RESOURCES = {
+  projects: {
+    id: (item) => `${item.project_id}/${item.api_version}`,
+    nameField: 'project_id',
+    sortFields: ['created_at', 'updated_at', 'project_id'],
+    isActive: (item) => item.active !== false
+  },
+  users: {
+    id: (item) => item.user_id,
+    nameField: 'email',
+    sortFields: ['created_at', 'updated_at', 'email'],
+    isActive: (item) => item.active !== false
+  },
+  api_keys: {
+    id: (item) => `${item.api_key_hash}/${item.project_id}`,
+    nameField: 'name',
+    sortFields: ['created_at', 'updated_at', 'name', 'expires_at'],
+    isActive: (item) => item.active !== false
+  },
+  invitations: {
+    id: (item) => item.invitation_id,
+    nameField: 'email',
+    sortFields: ['created_at', 'expires_at', 'email'],
+    isActive: (item) => getInvitationStatus(item) === 'pending'
+  },
+  grants: {
+    id: (item) => `${item.user_id}/${item.project_id}`,
+    nameField: 'project_id',
+    sortFields: ['created_at', 'updated_at', 'project_id'],
+    isActive: (item) => item.has_access !== false
+  },
+  // Read page by page from DynamoDB (see queryAuditLog); name_prefix matches the action
+  audit: {
+    id: (item) => item.event_id,
+    nameField: 'action',
+    sortFields: ['created_at'],
+    isActive: () => true
+  }
+};
+
+const encodeCursor = (position) => Buffer.from(JSON.stringify(position)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return position && typeof position === 'object' && typeof position.id === 'string' ? position : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Timestamps are epoch milliseconds or ISO 8601 strings
+const parseTimestamp = (value) => (/^\d+$/.test(value) ? Number(value) : Date.parse(value));
+
+/**
+ * Read limit, cursor, sort and the shared filters (status, auth_type, created_after,
+ * created_before, name_prefix) from the query string. Problems are reported like body violations.
+ */
+const parseListOptions = (query, resource) => {
+  const { sortFields } = LIST_RESOURCES[resource];
+  const violations = [];
+  const options = { resource, limit: DEFAULT_PAGE_SIZE, sortField: 'created_at', descending: true };
+
+  if (query.limit !== undefined) {
+    options.limit = Number(query.limit);
+    if (!Number.isInteger(options.limit) || options.limit < 1 || options.limit > MAX_PAGE_SIZE) {
+      violations.push({ field: 'limit', message: `must be an integer between 1 and ${MAX_PAGE_SIZE}` });
+    }
+  }
+
+  if (query.sort !== undefined) {
+    options.descending = query.sort.startsWith('-');
+    options.sortField = query.sort.replace(/^-/, '');
+    if (!sortFields.includes(options.sortField)) {
+      violations.push({ field: 'sort', message: `must be one of: ${sortFields.join(', ')} (prefix with - for descending)` });
+    }
+  }
+
+  if (query.status !== undefined) {
+    if (!LIST_STATUSES.includes(query.status)) {
+      violations.push({ field: 'status', message: `must be one of: ${LIST_STATUSES.join(', ')}` });
+    }
+    options.status = query.status;
+  }
+
+  if (query.auth_type !== undefined) {
+    if (resource !== 'projects') {
+      violations.push({ field: 'auth_type', message: 'is only supported when listing projects' });
+    } else if (!PROJECT_AUTH_TYPES.includes(query.auth_type)) {
+      violations.push({ field: 'auth_type', message: `must be one of: ${PROJECT_AUTH_TYPES.join(', ')}` });
+    }
+    options.authType = query.auth_type;
+  }
+
+  ['created_after', 'created_before'].forEach(field => {
+    if (query[field] === undefined) return;
+    const timestamp = parseTimestamp(query[field]);
+    if (Number.isNaN(timestamp)) {
+      violations.push({ field, message: 'must be epoch milliseconds or an ISO 8601 date' });
+    }
+    options[field === 'created_after' ? 'createdAfter' : 'createdBefore'] = timestamp;
+  });
+
+  if (query.name_prefix !== undefined) {
+    options.namePrefix = query.name_prefix;
+  }
+
+  if (query.cursor !== undefined) {
+    options.cursor = decodeCursor(query.cursor);
+    if (!options.cursor) {
+      violations.push({ field: 'cursor', message: 'is not a valid cursor' });
+    } else if (options.cursor.sort !== `${options.descending ? '-' : ''}${options.sortField}`) {
+      violations.push({ field: 'cursor', message: 'was issued for a different sort order' });
+    }
+  }
+
+  if (violations.length > 0) {
+    throw validationFailed(violations);
+  }
+  return options;
+};
+
+// Missing values sort first. Items leave them undefined but cursors carry them as null, so the two are equal
+const compareValues = (a, b) => {
+  const aMissing = a === undefined || a === null;
+  const bMissing = b === undefined || b === null;
+  if (aMissing || bMissing) return aMissing === bMissing ? 0 : (aMissing ? -1 : 1);
+  if (a === b) return 0;
+  return a < b ? -1 : 1;
+};
+
+// The shared filters from parseListOptions
+const matchesListOptions = (item, options) => {
+  const { nameField, isActive } = LIST_RESOURCES[options.resource];
+  return (options.status === undefined || isActive(item) === (options.status === 'active'))
+    && (options.authType === undefined || item.auth_type === options.authType)
+    && (options.createdAfter === undefined || item.created_at >= options.createdAfter)
+    && (options.createdBefore === undefined || item.created_at < options.createdBefore)
+    && (options.namePrefix === undefined || String(item[nameField] || '').startsWith(options.namePrefix));
+};
+
+/**
+ * Filter, sort and cut one page from a full result set, for orders no index can serve. The
+ * cursor holds the last item's sort value and ID rather than an offset, so pages stay stable
+ * while items are added or removed.
+ */
+const paginate = (items, options) => {
+  const { id } = LIST_RESOURCES[options.resource];
+  const { sortField, descending } = options;
+
+  const order = (a, b) => {
+    const result = compareValues(a.sortValue, b.sortValue) || compareValues(a.id, b.id);
+    return descending ? -result : result;
+  };
+
+  let entries = items
+    .filter(item => matchesListOptions(item, options))
+    .map(item => ({ item, id: id(item), sortValue: item[sortField] }))
+    .sort(order);
+
+  if (options.cursor) {
+    const position = { id: options.cursor.id, sortValue: options.cursor.value };
+    entries = entries.filter(entry => order(entry, position) > 0);
+  }
+
+  const page = entries.slice(0, options.limit);
+  const last = page[page.length - 1];
+  return {
+    items: page.map(entry => entry.item),
+    next_cursor: entries.length > options.limit
+      ? encodeCursor({ sort: `${descending ? '-' : ''}${sortField}`, value: last.sortValue ?? null, id: last.id })
+      : null
+  };
+};
+
+// Follow LastEvaluatedKey until the query is exhausted, or has returned more than maxItems
+const queryAll = async (params, maxItems = Infinity) => {
+  const items = [];
+  let lastEvaluatedKey;
+
+  do {
+    const result = await dynamodb.query({ ...params, ExclusiveStartKey: lastEvaluatedKey }).promise();
+    items.push(...result.Items);
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey && items.length <= maxItems);
+
+  return items;
+};
+
+/*
+ * A list source names one partition of a table or index. partitionQuery reads all of it; pageList
+ * reads one page, through the <partitionKey>-created_at-index for the default created_at order.
+ * tableKeys completes that index's key, which the cursor carries as the ExclusiveStartKey.
+ */
+const partitionQuery = (source) => ({
+  TableName: source.TableName,
+  ...(source.IndexName && { IndexName: source.IndexName }),
+  KeyConditionExpression: `${source.partitionKey} = :partition`,
+  ...(source.FilterExpression && { FilterExpression: source.FilterExpression }),
+  ExpressionAttributeValues: { ...source.values, ':partition': source.partitionValue }
+});
+
+const createdAtIndexKey = (source, item) => {
+  const names = [...new Set([...source.tableKeys, source.partitionKey, 'created_at'])];
+  return Object.fromEntries(names.map(name => [name, item[name]]));
+};
+
+// A cursor's key must be complete and stay inside the partition being listed
+const cursorStartKey = (source, cursor) => {
+  const key = cursor.key && typeof cursor.key === 'object' ? createdAtIndexKey(source, cursor.key) : null;
+  const valid = key && key[source.partitionKey] === source.partitionValue
+    && Object.values(key).every(value => typeof value === 'string' || typeof value === 'number');
+  if (!valid) {
+    throw validationFailed([{ field: 'cursor', message: 'is not a valid cursor' }]);
+  }
+  return key;
+};
+
+/**
+ * One page of a list. Sorted by created_at it is read page by page from DynamoDB, and time bounds
+ * narrow the key range; other orders read the whole partition, up to MAX_SORTED_LIST_SIZE items,
+ * and sort it in memory. filter drops items the caller may not see.
+ */
+const pageList = async (source, options, filter = () => true) => {
+  if (options.sortField !== 'created_at') {
+    const items = await queryAll(partitionQuery(source), MAX_SORTED_LIST_SIZE);
+    if (items.length > MAX_SORTED_LIST_SIZE) {
+      throw validationFailed([{ field: 'sort', message: `only created_at can sort lists of more than ${MAX_SORTED_LIST_SIZE} items` }]);
+    }
+    return paginate(items.filter(filter), options);
+  }
+
+  const query = partitionQuery(source);
+  const params = {
+    ...query,
+    IndexName: `${source.partitionKey}-created_at-index`,
+    KeyConditionExpression: `${query.KeyConditionExpression} AND created_at BETWEEN :lower AND :upper`,
+    ExpressionAttributeValues: {
+      ...query.ExpressionAttributeValues,
+      ':lower': options.createdAfter !== undefined ? options.createdAfter : 0,
+      ':upper': options.createdBefore !== undefined ? options.createdBefore - 1 : Number.MAX_SAFE_INTEGER
+    },
+    ScanIndexForward: !options.descending
+  };
+
+  const items = [];
+  let lastEvaluatedKey = options.cursor ? cursorStartKey(source, options.cursor) : undefined;
+  do {
+    const result = await dynamodb.query({ ...params, ExclusiveStartKey: lastEvaluatedKey }).promise();
+    items.push(...result.Items.filter(item => matchesListOptions(item, options) && filter(item)));
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey && items.length <= options.limit);
+
+  const page = items.slice(0, options.limit);
+  const last = page[page.length - 1];
+  return {
+    items: page,
+    next_cursor: items.length > options.limit || (lastEvaluatedKey && page.length === options.limit)
+      ? encodeCursor({
+        sort: `${options.descending ? '-' : ''}created_at`,
+        value: last.created_at,
+        id: LIST_RESOURCES[options.resource].id(last),
+        key: createdAtIndexKey(source, last)
+      })
+      : null
+  };
+};
+
 // Project management functions
 const createProject = async (projectData) => {
   // Validate required fields
   if (!projectData.project_id) {
     throw new Error('project_id is required');
   }
-  if (!projectData.target_url) {
-    throw new Error('target_url is required');
+  if (!projectData.target_url && !projectData.upstream_pool) {
+    throw new Error('target_url or upstream_pool is required');
   }
   if (!projectData.customer_id) {
     throw new Error('customer_id is required');
@@ -55,7 +869,9 @@ const createProject = async (projectData) => {
 
   const params = {
     TableName: process.env.DYNAMODB_PROJECTS_TABLE,
+    // Client fields go first so the keys and timestamps below always win
     Item: {
+      ...projectData,
       PK: `PROJECT#${projectData.project_id}`,
       SK: `VERSION#${projectData.api_version || 'v1'}`,
       GSI1PK: `CUSTOMER#${projectData.customer_id || 'default'}`,
@@ -69,8 +885,7 @@ const createProject = async (projectData) => {
       target_api_key: projectData.target_api_key,
       active: projectData.active !== false,
       created_at: Date.now(),
-      updated_at: Date.now(),
-      ...projectData
+      updated_at: Date.now()
     }
   };
 
@@ -97,7 +912,7 @@ const updateProject = async (projectId, apiVersion, updates) => {
   const expressionAttributeValues = {};
 
   Object.entries(updates).forEach(([key, value]) => {
-    if (key !== 'project_id' && key !== 'api_version') {
+    if (key !== 'project_id' && key !== 'api_version' && !SERVER_OWNED_FIELDS.includes(key)) {
       updateExpression.push(`#${key} = :${key}`);
       expressionAttributeNames[`#${key}`] = key;
       expressionAttributeValues[`:${key}`] = value;
@@ -137,18 +952,93 @@ const deleteProject = async (projectId, apiVersion = 'v1') => {
   return { success: true };
 };
 
-const listProjects = async (customerId) => {
-  const params = {
-    TableName: process.env.DYNAMODB_PROJECTS_TABLE,
-    IndexName: 'GSI1',
-    KeyConditionExpression: 'GSI1PK = :customer_id',
-    ExpressionAttributeValues: {
-      ':customer_id': `CUSTOMER#${customerId}`
-    }
-  };
+const customerProjectsSource = (customerId) => ({
+  TableName: process.env.DYNAMODB_PROJECTS_TABLE,
+  IndexName: 'GSI1',
+  partitionKey: 'GSI1PK',
+  partitionValue: `CUSTOMER#${customerId}`,
+  tableKeys: ['PK', 'SK']
+});
 
-  const result = await dynamodb.query(params).promise();
-  return result.Items;
+const listProjects = async (customerId) => queryAll(partitionQuery(customerProjectsSource(customerId)));
+
+// API versions
+// Every version is its own item under PROJECT#<project_id>. The default is the version
+// flagged is_default, else v1, else the oldest one
+const listProjectVersions = async (projectId) => queryAll({
+  TableName: process.env.DYNAMODB_PROJECTS_TABLE,
+  KeyConditionExpression: 'PK = :pk AND begins_with(SK, :version)',
+  ExpressionAttributeValues: {
+    ':pk': `PROJECT#${projectId}`,
+    ':version': 'VERSION#'
+  }
+});
+
+const resolveDefaultVersion = (versions) => {
+  return versions.find(version => version.is_default)
+    || versions.find(version => version.api_version === 'v1')
+    || [...versions].sort((a, b) => (a.created_at || 0) - (b.created_at || 0))[0];
+};
+
+// A named version, or the project's default version when none is given
+const loadProject = async (projectId, apiVersion = null) => {
+  if (apiVersion) return getProject(projectId, apiVersion);
+  return resolveDefaultVersion(await listProjectVersions(projectId)) || null;
+};
+
+// Same shape config-change-handler adds to the root PROJECTS entry the worker reads
+const summarizeVersions = (versions) => ({
+  default_version: resolveDefaultVersion(versions)?.api_version,
+  versions: Object.fromEntries(versions.map(version => [version.api_version, {
+    active: version.active,
+    lifecycle: version.lifecycle || { status: 'active' }
+  }]))
+});
+
+const versionConflict = (message) => {
+  const error = new Error(message);
+  error.code = 'VersionConflict';
+  return error;
+};
+
+// Deprecation and sunset dates default to when the status changed
+const withLifecycleDates = (lifecycle, previous = {}) => {
+  const now = Date.now();
+  const dated = { ...lifecycle };
+  if (dated.status !== 'active' && !dated.deprecated_at) {
+    dated.deprecated_at = previous.deprecated_at || now;
+  }
+  if (dated.status === 'sunset' && !dated.sunset_at) {
+    dated.sunset_at = previous.sunset_at && previous.sunset_at <= now ? previous.sunset_at : now;
+  }
+  return dated;
+};
+
+const setDefaultVersion = async (projectId, apiVersion, versions) => {
+  const flag = (version, isDefault) => dynamodb.update({
+    TableName: process.env.DYNAMODB_PROJECTS_TABLE,
+    Key: {
+      PK: `PROJECT#${projectId}`,
+      SK: `VERSION#${version}`
+    },
+    UpdateExpression: 'SET #is_default = :is_default, #updated_at = :updated_at',
+    ExpressionAttributeNames: {
+      '#is_default': 'is_default',
+      '#updated_at': 'updated_at'
+    },
+    ExpressionAttributeValues: {
+      ':is_default': isDefault,
+      ':updated_at': Date.now()
+    },
+    ReturnValues: 'ALL_NEW'
+  }).promise();
+
+  // Flag the new default first so there is never a moment with none
+  const result = await flag(apiVersion, true);
+  await Promise.all(versions
+    .filter(version => version.is_default && version.api_version !== apiVersion)
+    .map(version => flag(version.api_version, false)));
+  return result.Attributes;
 };
 
 // User management functions
@@ -156,13 +1046,13 @@ const createUser = async (userData) => {
   const params = {
     TableName: process.env.DYNAMODB_USERS_TABLE,
     Item: {
+      ...userData,
       user_id: userData.user_id || uuidv4(),
       email: userData.email,
       customer_id: userData.customer_id,
       user_role: userData.user_role || 'user',
       created_at: Date.now(),
-      updated_at: Date.now(),
-      ...userData
+      updated_at: Date.now()
     }
   };
 
@@ -202,7 +1092,7 @@ const updateUser = async (userId, updates) => {
   const expressionAttributeValues = {};
 
   Object.entries(updates).forEach(([key, value]) => {
-    if (key !== 'user_id') {
+    if (key !== 'user_id' && !SERVER_OWNED_FIELDS.includes(key)) {
       updateExpression.push(`#${key} = :${key}`);
       expressionAttributeNames[`#${key}`] = key;
       expressionAttributeValues[`:${key}`] = value;
@@ -228,19 +1118,29 @@ const updateUser = async (userId, updates) => {
   return result.Attributes;
 };
 
+const customerUsersSource = (customerId) => ({
+  TableName: process.env.DYNAMODB_USERS_TABLE,
+  IndexName: 'customer_id-index',
+  partitionKey: 'customer_id',
+  partitionValue: customerId,
+  tableKeys: ['user_id']
+});
+
+const listCustomerUsers = async (customerId) => queryAll(partitionQuery(customerUsersSource(customerId)));
+
 // User project access functions
 const grantUserAccess = async (userId, projectId, accessData) => {
   const params = {
     TableName: process.env.DYNAMODB_USER_PROJECT_ACCESS_TABLE,
     Item: {
+      ...accessData,
       user_id: userId,
       project_id: projectId,
       customer_id: accessData.customer_id,
       has_access: accessData.has_access !== false,
       access_level: accessData.access_level || 'user',
       created_at: Date.now(),
-      updated_at: Date.now(),
-      ...accessData
+      updated_at: Date.now()
     }
   };
 
@@ -261,6 +1161,26 @@ const getUserAccess = async (userId, projectId) => {
   return result.Item;
 };
 
+const userGrantsSource = (userId) => ({
+  TableName: process.env.DYNAMODB_USER_PROJECT_ACCESS_TABLE,
+  partitionKey: 'user_id',
+  partitionValue: userId,
+  tableKeys: ['user_id', 'project_id']
+});
+
+const listUserGrants = async (userId) => queryAll(partitionQuery(userGrantsSource(userId)));
+
+// Grants carry their project's customer, so a project's grants are found through the customer index
+const projectGrantsSource = (customerId, projectId) => ({
+  TableName: process.env.DYNAMODB_USER_PROJECT_ACCESS_TABLE,
+  IndexName: 'customer_id-index',
+  partitionKey: 'customer_id',
+  partitionValue: customerId,
+  FilterExpression: 'project_id = :project_id',
+  values: { ':project_id': projectId },
+  tableKeys: ['user_id', 'project_id']
+});
+
 const revokeUserAccess = async (userId, projectId) => {
   const params = {
     TableName: process.env.DYNAMODB_USER_PROJECT_ACCESS_TABLE,
@@ -274,80 +1194,1240 @@ const revokeUserAccess = async (userId, projectId) => {
   return { success: true };
 };
 
-// API key management functions
-const createApiKey = async (apiKeyData) => {
-  const params = {
-    TableName: process.env.DYNAMODB_API_KEYS_TABLE,
-    Item: {
-      api_key_hash: apiKeyData.api_key_hash,
-      project_id: apiKeyData.project_id,
-      user_id: apiKeyData.user_id,
-      name: apiKeyData.name,
-      active: apiKeyData.active !== false,
-      expires_at: apiKeyData.expires_at,
-      created_at: Date.now(),
-      updated_at: Date.now(),
-      ...apiKeyData
-    }
+// Organization functions
+// An organization is the apiblaze-customers item for a customer_id; its members are the users
+// carrying that customer_id. Invitations are kept in their own table after they are used
+const DEFAULT_INVITATION_TTL_SECONDS = 7 * 86400;
+const INVITATION_TOKEN_PATTERN = /^apiblaze_invite_([0-9a-f]{24})_[0-9a-f]{48}$/;
+
+const organizationConflict = (message) => {
+  const error = new Error(message);
+  error.code = 'OrganizationConflict';
+  return error;
+};
+
+const createOrganization = async (organizationData) => {
+  const params = {
+    TableName: process.env.DYNAMODB_CUSTOMERS_TABLE,
+    Item: {
+      ...organizationData,
+      customer_id: organizationData.customer_id || uuidv4(),
+      name: organizationData.name,
+      created_at: Date.now(),
+      updated_at: Date.now()
+    },
+    ConditionExpression: 'attribute_not_exists(customer_id)'
+  };
+
+  await dynamodb.put(params).promise();
+  return params.Item;
+};
+
+const getOrganization = async (customerId) => {
+  const params = {
+    TableName: process.env.DYNAMODB_CUSTOMERS_TABLE,
+    Key: {
+      customer_id: customerId
+    }
+  };
+
+  const result = await dynamodb.get(params).promise();
+  return result.Item;
+};
+
+const updateOrganization = async (customerId, updates) => {
+  const params = {
+    TableName: process.env.DYNAMODB_CUSTOMERS_TABLE,
+    Key: {
+      customer_id: customerId
+    },
+    UpdateExpression: 'SET #name = :name, #updated_at = :updated_at',
+    ExpressionAttributeNames: {
+      '#name': 'name',
+      '#updated_at': 'updated_at'
+    },
+    ExpressionAttributeValues: {
+      ':name': updates.name,
+      ':updated_at': Date.now()
+    },
+    ReturnValues: 'ALL_NEW'
+  };
+
+  const result = await dynamodb.update(params).promise();
+  return result.Attributes;
+};
+
+// Make a signed-in user a member: their existing record is moved in, otherwise one is created
+const addOrganizationMember = async (caller, customerId, userRole) => {
+  const existing = await getUser(caller.user_id);
+  if (existing) {
+    return updateUser(existing.user_id, { customer_id: customerId, user_role: userRole });
+  }
+  return createUser({ user_id: caller.user_id, email: caller.email, customer_id: customerId, user_role: userRole });
+};
+
+// The record is kept (it owns API keys and audit entries) but leaves the customer index
+const detachOrganizationMember = async (userId) => {
+  const params = {
+    TableName: process.env.DYNAMODB_USERS_TABLE,
+    Key: {
+      user_id: userId
+    },
+    UpdateExpression: 'SET #user_role = :user_role, #updated_at = :updated_at REMOVE #customer_id',
+    ExpressionAttributeNames: {
+      '#user_role': 'user_role',
+      '#updated_at': 'updated_at',
+      '#customer_id': 'customer_id'
+    },
+    ExpressionAttributeValues: {
+      ':user_role': 'user',
+      ':updated_at': Date.now()
+    },
+    ReturnValues: 'ALL_NEW'
+  };
+
+  const result = await dynamodb.update(params).promise();
+  return result.Attributes;
+};
+
+/**
+ * Remove a member: their project grants are revoked and the API keys issued to them deactivated,
+ * so leaving an organization also ends their access to its projects.
+ */
+const removeOrganizationMember = async (user) => {
+  const grants = await listUserGrants(user.user_id);
+  await Promise.all(grants.map(grant => revokeUserAccess(user.user_id, grant.project_id)));
+
+  const apiKeys = (await listUserApiKeys(user.user_id)).filter(apiKey => apiKey.active !== false);
+  await Promise.all(apiKeys.map(apiKey => deactivateApiKey(apiKey.api_key_hash, apiKey.project_id)));
+
+  const detached = await detachOrganizationMember(user.user_id);
+  return { user: detached, revoked_grants: grants.length, deactivated_api_keys: apiKeys.length };
+};
+
+// An organization always keeps at least one owner
+const requireRemainingOwner = async (customerId, member) => {
+  if (member.user_role !== 'owner') return;
+  const owners = (await listCustomerUsers(customerId)).filter(user => user.user_role === 'owner');
+  if (owners.length <= 1) {
+    throw organizationConflict('An organization needs at least one owner; make another member an owner first');
+  }
+};
+
+const hashInvitationToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// apiblaze_invite_<24 hex invitation id>_<48 hex secret>; only the hash is stored
+const generateInvitationToken = () => {
+  const invitationId = crypto.randomBytes(12).toString('hex');
+  const token = `apiblaze_invite_${invitationId}_${crypto.randomBytes(24).toString('hex')}`;
+  return { invitationId, token };
+};
+
+const getInvitationStatus = (invitation, now = Date.now()) => {
+  if (invitation.status === 'pending' && invitation.expires_at <= now) return 'expired';
+  return invitation.status;
+};
+
+// The token hash is never returned; the token itself only once, when the invitation is created
+const presentInvitation = (invitation) => {
+  const { token_hash, ...rest } = invitation;
+  return { ...rest, status: getInvitationStatus(invitation) };
+};
+
+const createInvitation = async (customerId, invitationData, invitedBy) => {
+  const { invitationId, token } = generateInvitationToken();
+  const now = Date.now();
+  const params = {
+    TableName: process.env.DYNAMODB_INVITATIONS_TABLE,
+    Item: {
+      invitation_id: invitationId,
+      customer_id: customerId,
+      email: invitationData.email.toLowerCase(),
+      user_role: invitationData.user_role || 'user',
+      token_hash: hashInvitationToken(token),
+      status: 'pending',
+      invited_by: invitedBy,
+      expires_at: now + (invitationData.expires_in_seconds || DEFAULT_INVITATION_TTL_SECONDS) * 1000,
+      created_at: now,
+      updated_at: now
+    }
+  };
+
+  await dynamodb.put(params).promise();
+  return { invitation: params.Item, token };
+};
+
+const getInvitation = async (invitationId) => {
+  const params = {
+    TableName: process.env.DYNAMODB_INVITATIONS_TABLE,
+    Key: {
+      invitation_id: invitationId
+    }
+  };
+
+  const result = await dynamodb.get(params).promise();
+  return result.Item;
+};
+
+// Returns null unless the token matches a stored invitation
+const findInvitationByToken = async (token) => {
+  const match = INVITATION_TOKEN_PATTERN.exec(token);
+  if (!match) return null;
+
+  const invitation = await getInvitation(match[1]);
+  if (!invitation) return null;
+  const matches = crypto.timingSafeEqual(Buffer.from(hashInvitationToken(token)), Buffer.from(invitation.token_hash));
+  return matches ? invitation : null;
+};
+
+const organizationInvitationsSource = (customerId) => ({
+  TableName: process.env.DYNAMODB_INVITATIONS_TABLE,
+  IndexName: 'customer_id-index',
+  partitionKey: 'customer_id',
+  partitionValue: customerId,
+  tableKeys: ['invitation_id']
+});
+
+// Conditional on the invitation still being pending, so a token is only ever used once
+const closeInvitation = async (invitationId, status, fields = {}) => {
+  const updates = { ...fields, status, updated_at: Date.now() };
+  const params = {
+    TableName: process.env.DYNAMODB_INVITATIONS_TABLE,
+    Key: {
+      invitation_id: invitationId
+    },
+    UpdateExpression: `SET ${Object.keys(updates).map(key => `#${key} = :${key}`).join(', ')}`,
+    ConditionExpression: '#status = :pending',
+    ExpressionAttributeNames: Object.fromEntries(Object.keys(updates).map(key => [`#${key}`, key])),
+    ExpressionAttributeValues: {
+      ...Object.fromEntries(Object.entries(updates).map(([key, value]) => [`:${key}`, value])),
+      ':pending': 'pending'
+    },
+    ReturnValues: 'ALL_NEW'
+  };
+
+  try {
+    const result = await dynamodb.update(params).promise();
+    return result.Attributes;
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      throw organizationConflict('Invitation is no longer pending');
+    }
+    throw error;
+  }
+};
+
+// API key management functions
+// Signing keys (type 'hmac') get a server-generated public key ID and shared secret;
+// the key ID doubles as the record's api_key_hash so the worker can look it up directly
+const createSigningKeyCredentials = () => ({
+  api_key_hash: `hk_${crypto.randomBytes(12).toString('hex')}`,
+  hmac_secret: crypto.randomBytes(32).toString('base64url')
+});
+
+// The shared secret is only returned when the key is created
+const withoutSecrets = (apiKey) => {
+  if (!apiKey) return apiKey;
+  const { hmac_secret, ...rest } = apiKey;
+  return rest;
+};
+
+const SCOPE_FIELDS = ['methods', 'paths', 'operations', 'tags', 'read_only'];
+const HTTP_METHODS = ['GET', 'HEAD', 'OPTIONS', 'POST', 'PUT', 'PATCH', 'DELETE'];
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim() !== '');
+
+// Validate and normalise a key's scopes; operationIds/tags are checked against the project's spec when it has one
+const validateKeyScopes = (scopes, project) => {
+  if (typeof scopes !== 'object' || scopes === null || Array.isArray(scopes)) {
+    throw validationFailed([{ field: 'scopes', message: 'must be of type object' }]);
+  }
+
+  const unknown = Object.keys(scopes).filter(key => !SCOPE_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    throw validationFailed(unknown.map(key => ({ field: `scopes.${key}`, message: 'is not an allowed property' })));
+  }
+
+  const normalized = {};
+
+  if (scopes.methods !== undefined) {
+    if (!isStringList(scopes.methods)) {
+      throw validationFailed([{ field: 'scopes.methods', message: 'must be a list of HTTP methods' }]);
+    }
+    normalized.methods = scopes.methods.map(m => m.toUpperCase());
+    const invalid = normalized.methods.filter(m => !HTTP_METHODS.includes(m));
+    if (invalid.length > 0) {
+      throw validationFailed([{ field: 'scopes.methods', message: `must only contain ${HTTP_METHODS.join(', ')} (invalid: ${invalid.join(', ')})` }]);
+    }
+  }
+
+  if (scopes.paths !== undefined) {
+    if (!isStringList(scopes.paths) || scopes.paths.some(p => !p.startsWith('/'))) {
+      throw validationFailed([{ field: 'scopes.paths', message: 'must be a list of path prefixes or globs starting with /' }]);
+    }
+    normalized.paths = scopes.paths;
+  }
+
+  for (const field of ['operations', 'tags']) {
+    if (scopes[field] === undefined) continue;
+    if (!isStringList(scopes[field])) {
+      throw validationFailed([{ field: `scopes.${field}`, message: 'must be a list of strings' }]);
+    }
+    normalized[field] = scopes[field];
+  }
+
+  if (scopes.read_only !== undefined) {
+    if (typeof scopes.read_only !== 'boolean') {
+      throw validationFailed([{ field: 'scopes.read_only', message: 'must be of type boolean' }]);
+    }
+    normalized.read_only = scopes.read_only;
+
+    const writeMethods = (normalized.methods || []).filter(m => !READ_ONLY_METHODS.includes(m));
+    if (scopes.read_only && writeMethods.length > 0) {
+      throw validationFailed([{ field: 'scopes.methods', message: `must only contain read methods when read_only is set (got ${writeMethods.join(', ')})` }]);
+    }
+  }
+
+  // Operation scopes only work against a spec, so reject names the spec does not declare
+  const spec = project && project.openapi_spec;
+  if (spec && spec.paths && (normalized.operations || normalized.tags)) {
+    const declaredOperations = new Set();
+    const declaredTags = new Set();
+    Object.values(spec.paths).forEach(pathItem => {
+      Object.values(pathItem || {}).forEach(operation => {
+        if (!operation || typeof operation !== 'object') return;
+        if (operation.operationId) declaredOperations.add(operation.operationId);
+        (operation.tags || []).forEach(tag => declaredTags.add(tag));
+      });
+    });
+
+    const unknownOperations = (normalized.operations || []).filter(op => !declaredOperations.has(op));
+    if (unknownOperations.length > 0) {
+      throw validationFailed([{ field: 'scopes.operations', message: `must reference operationIds from the project spec (unknown: ${unknownOperations.join(', ')})` }]);
+    }
+    const unknownTags = (normalized.tags || []).filter(tag => !declaredTags.has(tag));
+    if (unknownTags.length > 0) {
+      throw validationFailed([{ field: 'scopes.tags', message: `must reference tags from the project spec (unknown: ${unknownTags.join(', ')})` }]);
+    }
+  }
+
+  return normalized;
+};
+
+const createApiKey = async (apiKeyData) => {
+  if (apiKeyData.scopes !== undefined && apiKeyData.scopes !== null) {
+    const project = apiKeyData.project_id ? await loadProject(apiKeyData.project_id, apiKeyData.api_version) : null;
+    apiKeyData = { ...apiKeyData, scopes: validateKeyScopes(apiKeyData.scopes, project) };
+  }
+
+  let plaintextKey = null;
+  if (apiKeyData.type === 'hmac') {
+    apiKeyData = { ...apiKeyData, ...createSigningKeyCredentials() };
+  } else if (apiKeyData.api_key_hash) {
+    apiKeyData = { ...apiKeyData, hash_version: API_KEY_HASH_VERSION };
+  } else {
+    const { apiKey, keyId } = generateApiKey();
+    plaintextKey = apiKey;
+    apiKeyData = { ...apiKeyData, api_key_hash: hashApiKey(apiKey), key_id: keyId, hash_version: API_KEY_HASH_VERSION };
+  }
+
+  const params = {
+    TableName: process.env.DYNAMODB_API_KEYS_TABLE,
+    Item: {
+      ...apiKeyData,
+      api_key_hash: apiKeyData.api_key_hash,
+      project_id: apiKeyData.project_id,
+      user_id: apiKeyData.user_id,
+      name: apiKeyData.name,
+      type: apiKeyData.type || 'api_key',
+      active: apiKeyData.active !== false,
+      expires_at: apiKeyData.expires_at,
+      created_at: Date.now(),
+      updated_at: Date.now()
+    }
+  };
+
+  await dynamodb.put(params).promise();
+  return { api_key: plaintextKey, apiKey: params.Item };
+};
+
+const getApiKey = async (apiKeyHash, projectId) => {
+  const params = {
+    TableName: process.env.DYNAMODB_API_KEYS_TABLE,
+    Key: {
+      api_key_hash: apiKeyHash,
+      project_id: projectId
+    }
+  };
+
+  const result = await dynamodb.get(params).promise();
+  return result.Item;
+};
+
+const userApiKeysSource = (userId) => ({
+  TableName: process.env.DYNAMODB_API_KEYS_TABLE,
+  IndexName: 'user_id-index',
+  partitionKey: 'user_id',
+  partitionValue: userId,
+  tableKeys: ['api_key_hash', 'project_id']
+});
+
+const listUserApiKeys = async (userId) => queryAll(partitionQuery(userApiKeysSource(userId)));
+
+const projectApiKeysSource = (projectId) => ({
+  TableName: process.env.DYNAMODB_API_KEYS_TABLE,
+  IndexName: 'project_id-index',
+  partitionKey: 'project_id',
+  partitionValue: projectId,
+  tableKeys: ['api_key_hash', 'project_id']
+});
+
+const deactivateApiKey = async (apiKeyHash, projectId) => {
+  const params = {
+    TableName: process.env.DYNAMODB_API_KEYS_TABLE,
+    Key: {
+      api_key_hash: apiKeyHash,
+      project_id: projectId
+    },
+    UpdateExpression: 'SET #active = :active, #updated_at = :updated_at',
+    ExpressionAttributeNames: {
+      '#active': 'active',
+      '#updated_at': 'updated_at'
+    },
+    ExpressionAttributeValues: {
+      ':active': false,
+      ':updated_at': Date.now()
+    },
+    ReturnValues: 'ALL_NEW'
+  };
+
+  const result = await dynamodb.update(params).promise();
+  return result.Attributes;
+};
+
+// Key rotation functions
+const DEFAULT_ROTATION_GRACE_SECONDS = 7 * 24 * 60 * 60;
+const MAX_ROTATION_GRACE_SECONDS = 90 * 24 * 60 * 60;
+// Settings a successor key inherits from the key it replaces
+const INHERITED_KEY_FIELDS = ['user_id', 'name', 'type', 'scopes', 'rate_limits', 'quotas', 'access_control'];
+
+// Must stay in sync with the key format and hashing in the worker (cloudflare/src/apikeys.js)
+const BASE62 = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+const randomBase62 = (length) => {
+  const limit = 256 - (256 % BASE62.length);
+  let result = '';
+  while (result.length < length) {
+    for (const byte of crypto.randomBytes(length * 2)) {
+      if (byte < limit && result.length < length) {
+        result += BASE62[byte % BASE62.length];
+      }
+    }
+  }
+  return result;
+};
+
+const crc32 = (text) => {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < text.length; i++) {
+    crc ^= text.charCodeAt(i);
+    for (let k = 0; k < 8; k++) {
+      crc = crc & 1 ? 0xEDB88320 ^ (crc >>> 1) : crc >>> 1;
+    }
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+const toBase62 = (value, length) => {
+  let result = '';
+  for (let remaining = value; remaining > 0; remaining = Math.floor(remaining / 62)) {
+    result = BASE62[remaining % 62] + result;
+  }
+  return result.padStart(length, '0');
+};
+
+// apiblaze_<12 char key id>_<32 char secret><6 char CRC32 checksum>
+const generateApiKey = () => {
+  const keyId = randomBase62(12);
+  const secret = randomBase62(32);
+  const checksum = toBase62(crc32(`apiblaze_${keyId}_${secret}`), 6);
+  return { apiKey: `apiblaze_${keyId}_${secret}${checksum}`, keyId };
+};
+
+const hashApiKey = (apiKey) => crypto.createHash('sha256').update(apiKey).digest('hex');
+
+const resolveGraceDeadline = (options, now) => {
+  if (options.grace_until !== undefined) {
+    if (!Number.isInteger(options.grace_until) || options.grace_until < now) {
+      throw validationFailed([{ field: 'grace_until', message: 'must be a future timestamp in milliseconds' }]);
+    }
+    if (options.grace_until - now > MAX_ROTATION_GRACE_SECONDS * 1000) {
+      throw validationFailed([{ field: 'grace_until', message: `must be within ${MAX_ROTATION_GRACE_SECONDS / 86400} days` }]);
+    }
+    return options.grace_until;
+  }
+
+  const seconds = options.grace_period_seconds ?? DEFAULT_ROTATION_GRACE_SECONDS;
+  if (!Number.isInteger(seconds) || seconds < 0 || seconds > MAX_ROTATION_GRACE_SECONDS) {
+    throw validationFailed([{ field: 'grace_period_seconds', message: `must be between 0 and ${MAX_ROTATION_GRACE_SECONDS}` }]);
+  }
+  return now + seconds * 1000;
+};
+
+/**
+ * Issue a successor for a key. The old key stays valid until the grace deadline
+ * (grace_period_seconds: 0 revokes it immediately) and both records link to each other.
+ * The new plaintext key or HMAC secret is only returned here.
+ */
+const rotateApiKey = async (apiKeyHash, projectId, options = {}) => {
+  const current = await getApiKey(apiKeyHash, projectId);
+  if (!current) {
+    return null;
+  }
+  if (!current.active || current.rotated_to) {
+    const error = new Error('API key is inactive or has already been rotated');
+    error.code = 'KeyNotRotatable';
+    throw error;
+  }
+
+  const now = Date.now();
+  const graceUntil = resolveGraceDeadline(options, now);
+
+  const inherited = {};
+  INHERITED_KEY_FIELDS.forEach(field => {
+    if (current[field] !== undefined) inherited[field] = current[field];
+  });
+
+  let plaintextKey = null;
+  let credentials;
+  if (current.type === 'hmac') {
+    credentials = createSigningKeyCredentials();
+  } else if (options.api_key_hash) {
+    credentials = { api_key_hash: options.api_key_hash, hash_version: API_KEY_HASH_VERSION };
+  } else {
+    const { apiKey, keyId } = generateApiKey();
+    plaintextKey = apiKey;
+    credentials = { api_key_hash: hashApiKey(apiKey), key_id: keyId, hash_version: API_KEY_HASH_VERSION };
+  }
+
+  const successor = {
+    ...inherited,
+    ...credentials,
+    project_id: projectId,
+    active: true,
+    ...(options.expires_at && { expires_at: options.expires_at }),
+    rotated_from: apiKeyHash,
+    created_at: now,
+    updated_at: now
+  };
+
+  // Write the successor first; the old key is only touched once its replacement exists
+  await dynamodb.put({
+    TableName: process.env.DYNAMODB_API_KEYS_TABLE,
+    Item: successor,
+    ConditionExpression: 'attribute_not_exists(api_key_hash)'
+  }).promise();
+
+  const immediate = graceUntil <= now;
+  const expiresAt = current.expires_at ? Math.min(current.expires_at, graceUntil) : graceUntil;
+
+  const linkPrevious = dynamodb.update({
+    TableName: process.env.DYNAMODB_API_KEYS_TABLE,
+    Key: {
+      api_key_hash: apiKeyHash,
+      project_id: projectId
+    },
+    UpdateExpression: 'SET #rotated_to = :rotated_to, #rotated_at = :now, #grace_until = :grace_until, #expires_at = :expires_at, #active = :active, #updated_at = :now',
+    ConditionExpression: 'attribute_not_exists(#rotated_to)',
+    ExpressionAttributeNames: {
+      '#rotated_to': 'rotated_to',
+      '#rotated_at': 'rotated_at',
+      '#grace_until': 'grace_until',
+      '#expires_at': 'expires_at',
+      '#active': 'active',
+      '#updated_at': 'updated_at'
+    },
+    ExpressionAttributeValues: {
+      ':rotated_to': successor.api_key_hash,
+      ':now': now,
+      ':grace_until': graceUntil,
+      ':expires_at': expiresAt,
+      ':active': !immediate
+    },
+    ReturnValues: 'ALL_NEW'
+  }).promise();
+
+  let result;
+  try {
+    result = await linkPrevious;
+  } catch (error) {
+    // A concurrent rotation won; drop the orphaned successor so only one replacement exists
+    await dynamodb.delete({
+      TableName: process.env.DYNAMODB_API_KEYS_TABLE,
+      Key: { api_key_hash: successor.api_key_hash, project_id: projectId }
+    }).promise();
+    throw error;
+  }
+
+  return {
+    api_key: plaintextKey,
+    successor,
+    previous: withoutSecrets(result.Attributes)
+  };
+};
+
+/**
+ * Re-key a record stored under a legacy (v1) hash to its v2 digest. Called by the worker
+ * the first time a legacy key is used; repeating the call after it succeeded is a no-op.
+ */
+const migrateApiKeyHash = async (legacyHash, projectId, newHash) => {
+  if (typeof newHash !== 'string' || !SHA256_HEX_PATTERN.test(newHash)) {
+    throw validationFailed([{ field: 'api_key_hash', message: 'must be a hex SHA-256 digest' }]);
+  }
+
+  const migrated = await getApiKey(newHash, projectId);
+  if (migrated && migrated.migrated_from === legacyHash) {
+    return migrated;
+  }
+
+  const legacy = await getApiKey(legacyHash, projectId);
+  if (!legacy) {
+    return null;
+  }
+  if (legacy.type === 'hmac' || (legacy.hash_version || 1) >= API_KEY_HASH_VERSION) {
+    const error = new Error('API key does not use a legacy hash');
+    error.code = 'KeyNotMigratable';
+    throw error;
+  }
+
+  const now = Date.now();
+  const record = {
+    ...legacy,
+    api_key_hash: newHash,
+    hash_version: API_KEY_HASH_VERSION,
+    migrated_from: legacyHash,
+    migrated_at: now,
+    updated_at: now
+  };
+
+  await dynamodb.put({
+    TableName: process.env.DYNAMODB_API_KEYS_TABLE,
+    Item: record,
+    ConditionExpression: 'attribute_not_exists(api_key_hash)'
+  }).promise();
+
+  // Point rotation links at the new hash before the legacy record goes away
+  const relink = async (hash, field) => {
+    try {
+      await dynamodb.update({
+        TableName: process.env.DYNAMODB_API_KEYS_TABLE,
+        Key: { api_key_hash: hash, project_id: projectId },
+        UpdateExpression: 'SET #field = :new_hash',
+        ConditionExpression: '#field = :legacy_hash',
+        ExpressionAttributeNames: { '#field': field },
+        ExpressionAttributeValues: { ':new_hash': newHash, ':legacy_hash': legacyHash }
+      }).promise();
+    } catch (error) {
+      if (error.code !== 'ConditionalCheckFailedException') throw error;
+    }
+  };
+
+  if (legacy.rotated_from) await relink(legacy.rotated_from, 'rotated_to');
+  if (legacy.rotated_to) await relink(legacy.rotated_to, 'rotated_from');
+
+  await dynamodb.delete({
+    TableName: process.env.DYNAMODB_API_KEYS_TABLE,
+    Key: { api_key_hash: legacyHash, project_id: projectId }
+  }).promise();
+
+  return record;
+};
+
+// Follow rotated_from/rotated_to links in both directions, oldest key first
+const getApiKeyLineage = async (apiKeyHash, projectId) => {
+  const start = await getApiKey(apiKeyHash, projectId);
+  if (!start) {
+    return null;
+  }
+
+  const lineage = [start];
+  const seen = new Set([start.api_key_hash]);
+
+  for (let key = start; key.rotated_from && !seen.has(key.rotated_from);) {
+    key = await getApiKey(key.rotated_from, projectId);
+    if (!key) break;
+    seen.add(key.api_key_hash);
+    lineage.unshift(key);
+  }
+
+  for (let key = start; key.rotated_to && !seen.has(key.rotated_to);) {
+    key = await getApiKey(key.rotated_to, projectId);
+    if (!key) break;
+    seen.add(key.api_key_hash);
+    lineage.push(key);
+  }
+
+  return lineage.map(key => {
+    const { api_key_hash, name, active, created_at, rotated_from, rotated_to, rotated_at, grace_until, expires_at } = key;
+    return { api_key_hash, name, active, created_at, rotated_from, rotated_to, rotated_at, grace_until, expires_at };
+  });
+};
+
+// Network access control functions
+const ACCESS_CONTROL_LISTS = ['ip_allow', 'ip_deny', 'country_allow', 'country_deny'];
+
+const isValidCidr = (cidr) => {
+  const [address, prefix, ...rest] = String(cidr).split('/');
+  const version = net.isIP(address);
+  if (!version || rest.length > 0) return false;
+  if (prefix === undefined) return true;
+  return /^\d+$/.test(prefix) && Number(prefix) <= (version === 4 ? 32 : 128);
+};
+
+// Normalise and validate { ip_allow, ip_deny, country_allow, country_deny }; omitted lists are left out
+const normalizeAccessControl = (accessControl) => {
+  if (!accessControl || typeof accessControl !== 'object' || Array.isArray(accessControl)) {
+    throw validationFailed([{ field: '', message: 'must be a JSON object' }]);
+  }
+
+  const unknown = Object.keys(accessControl).filter(key => !ACCESS_CONTROL_LISTS.includes(key));
+  if (unknown.length > 0) {
+    throw validationFailed(unknown.map(key => ({ field: key, message: 'is not an allowed property' })));
+  }
+
+  const normalized = {};
+  for (const list of ACCESS_CONTROL_LISTS) {
+    if (accessControl[list] === undefined || accessControl[list] === null) continue;
+    if (!Array.isArray(accessControl[list])) {
+      throw validationFailed([{ field: list, message: 'must be of type array' }]);
+    }
+
+    if (list.startsWith('ip_')) {
+      const invalid = accessControl[list].filter(cidr => !isValidCidr(cidr));
+      if (invalid.length > 0) {
+        throw validationFailed([{ field: list, message: `must contain valid IP addresses or CIDR ranges (invalid: ${invalid.join(', ')})` }]);
+      }
+      normalized[list] = accessControl[list].map(cidr => String(cidr).trim());
+    } else {
+      const codes = accessControl[list].map(code => String(code).trim().toUpperCase());
+      const invalid = codes.filter(code => !/^[A-Z]{2}$/.test(code));
+      if (invalid.length > 0) {
+        throw validationFailed([{ field: list, message: `must contain ISO 3166-1 alpha-2 country codes (invalid: ${invalid.join(', ')})` }]);
+      }
+      normalized[list] = codes;
+    }
+  }
+
+  return normalized;
+};
+
+const setApiKeyAccessControl = async (apiKeyHash, projectId, accessControl) => {
+  const params = {
+    TableName: process.env.DYNAMODB_API_KEYS_TABLE,
+    Key: {
+      api_key_hash: apiKeyHash,
+      project_id: projectId
+    },
+    UpdateExpression: accessControl ? 'SET #access_control = :access_control, #updated_at = :updated_at' : 'REMOVE #access_control SET #updated_at = :updated_at',
+    ExpressionAttributeNames: {
+      '#access_control': 'access_control',
+      '#updated_at': 'updated_at'
+    },
+    ExpressionAttributeValues: {
+      ':updated_at': Date.now(),
+      ...(accessControl && { ':access_control': accessControl })
+    },
+    ReturnValues: 'ALL_NEW'
+  };
+
+  const result = await dynamodb.update(params).promise();
+  return result.Attributes;
+};
+
+const setProjectAccessControl = async (projectId, apiVersion, accessControl) => {
+  const params = {
+    TableName: process.env.DYNAMODB_PROJECTS_TABLE,
+    Key: {
+      PK: `PROJECT#${projectId}`,
+      SK: `VERSION#${apiVersion}`
+    },
+    UpdateExpression: accessControl ? 'SET #access_control = :access_control, #updated_at = :updated_at' : 'REMOVE #access_control SET #updated_at = :updated_at',
+    ExpressionAttributeNames: {
+      '#access_control': 'access_control',
+      '#updated_at': 'updated_at'
+    },
+    ExpressionAttributeValues: {
+      ':updated_at': Date.now(),
+      ...(accessControl && { ':access_control': accessControl })
+    },
+    ReturnValues: 'ALL_NEW'
+  };
+
+  const result = await dynamodb.update(params).promise();
+  return result.Attributes;
+};
+
+// Custom domain functions
+const DOMAIN_VERIFICATION_PREFIX = '_apiblaze-challenge';
+const HOSTNAME_PATTERN = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+const normalizeHostname = (hostname) => {
+  const normalized = String(hostname || '').trim().toLowerCase().replace(/\.$/, '');
+  if (!HOSTNAME_PATTERN.test(normalized)) {
+    throw validationFailed([{ field: 'hostname', message: 'must be a valid domain name' }]);
+  }
+  if (normalized === 'apiblaze.com' || normalized.endsWith('.apiblaze.com')) {
+    throw validationFailed([{ field: 'hostname', message: 'must be outside apiblaze.com' }]);
+  }
+  return normalized;
+};
+
+const getDomainVerificationRecord = (domain) => ({
+  type: 'TXT',
+  name: `${DOMAIN_VERIFICATION_PREFIX}.${domain.hostname}`,
+  value: `apiblaze-verification=${domain.verification_token}`
+});
+
+const attachCustomDomain = async (projectId, domainData) => {
+  const hostname = normalizeHostname(domainData.hostname);
+
+  const project = await loadProject(projectId);
+  if (!project) {
+    const error = new Error('Project not found');
+    error.code = 'ResourceNotFoundException';
+    throw error;
+  }
+
+  const params = {
+    TableName: process.env.DYNAMODB_CUSTOM_DOMAINS_TABLE,
+    Item: {
+      hostname,
+      project_id: projectId,
+      customer_id: project.customer_id,
+      status: 'pending_verification',
+      verification_token: crypto.randomBytes(24).toString('hex'),
+      created_at: Date.now(),
+      updated_at: Date.now()
+    },
+    // A hostname can only front one project
+    ConditionExpression: 'attribute_not_exists(hostname)'
+  };
+
+  await dynamodb.put(params).promise();
+  return { ...params.Item, verification_record: getDomainVerificationRecord(params.Item) };
+};
+
+const getCustomDomain = async (hostname) => {
+  const params = {
+    TableName: process.env.DYNAMODB_CUSTOM_DOMAINS_TABLE,
+    Key: {
+      hostname: hostname.toLowerCase()
+    }
+  };
+
+  const result = await dynamodb.get(params).promise();
+  return result.Item;
+};
+
+const listProjectDomains = async (projectId) => {
+  const params = {
+    TableName: process.env.DYNAMODB_CUSTOM_DOMAINS_TABLE,
+    IndexName: 'project_id-index',
+    KeyConditionExpression: 'project_id = :project_id',
+    ExpressionAttributeValues: {
+      ':project_id': projectId
+    }
+  };
+
+  const result = await dynamodb.query(params).promise();
+  return result.Items.map(domain => ({ ...domain, verification_record: getDomainVerificationRecord(domain) }));
+};
+
+const verifyCustomDomain = async (domain) => {
+  const record = getDomainVerificationRecord(domain);
+
+  let records = [];
+  try {
+    records = (await dns.resolveTxt(record.name)).map(chunks => chunks.join(''));
+  } catch (error) {
+    console.log('TXT lookup failed:', record.name, error.code);
+  }
+
+  const verified = records.includes(record.value);
+  const now = Date.now();
+
+  const params = {
+    TableName: process.env.DYNAMODB_CUSTOM_DOMAINS_TABLE,
+    Key: {
+      hostname: domain.hostname
+    },
+    UpdateExpression: verified
+      ? 'SET #status = :status, #verified_at = :now, #last_checked_at = :now, #updated_at = :now'
+      : 'SET #last_checked_at = :now, #updated_at = :now',
+    ExpressionAttributeNames: {
+      '#last_checked_at': 'last_checked_at',
+      '#updated_at': 'updated_at',
+      ...(verified && { '#status': 'status', '#verified_at': 'verified_at' })
+    },
+    ExpressionAttributeValues: {
+      ':now': now,
+      ...(verified && { ':status': 'active' })
+    },
+    ReturnValues: 'ALL_NEW'
+  };
+
+  const result = await dynamodb.update(params).promise();
+  return { verified, domain: { ...result.Attributes, verification_record: record } };
+};
+
+const detachCustomDomain = async (hostname, projectId) => {
+  const params = {
+    TableName: process.env.DYNAMODB_CUSTOM_DOMAINS_TABLE,
+    Key: {
+      hostname: hostname.toLowerCase()
+    },
+    ConditionExpression: 'project_id = :project_id',
+    ExpressionAttributeValues: {
+      ':project_id': projectId
+    }
+  };
+
+  await dynamodb.delete(params).promise();
+  return { success: true };
+};
+
+// Contract drift functions
+const recordContractDrift = async (projectId, driftData) => {
+  if (!driftData.operation) {
+    throw new Error('operation is required');
+  }
+  if (!Array.isArray(driftData.violations)) {
+    throw new Error('violations is required');
+  }
+
+  const observedAt = driftData.observed_at || Date.now();
+
+  // One counter item per operation/kind/status/field so repeats aggregate instead of piling up
+  for (const violation of driftData.violations) {
+    const params = {
+      TableName: process.env.DYNAMODB_CONTRACT_DRIFT_TABLE,
+      Key: {
+        project_id: projectId,
+        drift_key: `${driftData.operation}#${violation.kind}#${violation.status}#${violation.path || ''}`
+      },
+      UpdateExpression: 'ADD #count :one SET #operation = :operation, #method = :method, #path = :path, ' +
+        '#kind = :kind, #status = :status, #field = :field, #sample_message = :message, ' +
+        '#first_seen = if_not_exists(#first_seen, :observed_at), #last_seen = :observed_at',
+      ExpressionAttributeNames: {
+        '#count': 'count',
+        '#operation': 'operation',
+        '#method': 'method',
+        '#path': 'path',
+        '#kind': 'kind',
+        '#status': 'status',
+        '#field': 'field',
+        '#sample_message': 'sample_message',
+        '#first_seen': 'first_seen',
+        '#last_seen': 'last_seen'
+      },
+      ExpressionAttributeValues: {
+        ':one': 1,
+        ':operation': driftData.operation,
+        ':method': driftData.method || null,
+        ':path': driftData.path || null,
+        ':kind': violation.kind,
+        ':status': violation.status,
+        ':field': violation.path || '',
+        ':message': violation.message,
+        ':observed_at': observedAt
+      }
+    };
+
+    await dynamodb.update(params).promise();
+  }
+
+  return { success: true, recorded: driftData.violations.length };
+};
+
+const getContractDriftReport = async (projectId) => {
+  const items = [];
+  let lastEvaluatedKey;
+
+  do {
+    const result = await dynamodb.query({
+      TableName: process.env.DYNAMODB_CONTRACT_DRIFT_TABLE,
+      KeyConditionExpression: 'project_id = :project_id',
+      ExpressionAttributeValues: {
+        ':project_id': projectId
+      },
+      ExclusiveStartKey: lastEvaluatedKey
+    }).promise();
+
+    items.push(...result.Items);
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  // Group counters by operation, worst offenders first
+  const operations = {};
+  for (const item of items) {
+    const entry = operations[item.operation] || (operations[item.operation] = {
+      operation: item.operation,
+      method: item.method,
+      path: item.path,
+      total_violations: 0,
+      last_seen: 0,
+      violations: []
+    });
+
+    entry.total_violations += item.count;
+    entry.last_seen = Math.max(entry.last_seen, item.last_seen);
+    entry.violations.push({
+      kind: item.kind,
+      status: item.status,
+      field: item.field,
+      count: item.count,
+      first_seen: item.first_seen,
+      last_seen: item.last_seen,
+      sample_message: item.sample_message
+    });
+  }
+
+  const report = Object.values(operations).sort((a, b) => b.total_violations - a.total_violations);
+  report.forEach(entry => entry.violations.sort((a, b) => b.count - a.count));
+
+  return {
+    project_id: projectId,
+    total_violations: report.reduce((sum, entry) => sum + entry.total_violations, 0),
+    operations: report
   };
+};
 
-  await dynamodb.put(params).promise();
-  return params.Item;
+// Audit log
+// Every admin mutation appends one entry; entries are never updated and expire through
+// DynamoDB TTL after the customer's retention period
+const DEFAULT_AUDIT_RETENTION_DAYS = 365;
+const MAX_AUDIT_RETENTION_DAYS = 3650;
+const MAX_AUDIT_VALUE_LENGTH = 2048;
+const AUDIT_IGNORED_FIELDS = ['PK', 'SK', 'GSI1PK', 'GSI1SK', 'updated_at'];
+const SECRET_FIELD_PATTERN = /secret|password|token|private_key|^api_key$|target_api_key/i;
+const AUDIT_ACTOR_PATTERN = /^[A-Za-z0-9_:.@-]{1,128}$/;
+
+const AUDIT_RETENTION_SCHEMA = {
+  required: ['retention_days'],
+  properties: {
+    customer_id: { type: 'string', minLength: 1 },
+    retention_days: { type: 'integer', minimum: 1, maximum: MAX_AUDIT_RETENTION_DAYS }
+  }
 };
 
-const getApiKey = async (apiKeyHash, projectId) => {
-  const params = {
-    TableName: process.env.DYNAMODB_API_KEYS_TABLE,
-    Key: {
-      api_key_hash: apiKeyHash,
-      project_id: projectId
-    }
+const getHeader = (headers, name) => {
+  const key = Object.keys(headers).find(header => header.toLowerCase() === name.toLowerCase());
+  return key ? headers[key] : undefined;
+};
+
+/**
+ * Who is making a change and from where. Internal callers acting for someone else (the worker
+ * for a CLI owner) name them in X-Apiblaze-Actor, X-Apiblaze-Source and X-Apiblaze-Source-Ip;
+ * customers are identified by their token and connection, so those headers are ignored for them.
+ */
+const resolveAuditActor = (caller, headers, event) => {
+  const connectionIp = event.requestContext?.identity?.sourceIp;
+  if (isInternalCaller(caller)) {
+    const actor = getHeader(headers, 'X-Apiblaze-Actor');
+    const source = getHeader(headers, 'X-Apiblaze-Source');
+    const sourceIp = getHeader(headers, 'X-Apiblaze-Source-Ip');
+    return {
+      actor_id: actor && AUDIT_ACTOR_PATTERN.test(actor) ? actor : 'internal',
+      source: source && AUDIT_ACTOR_PATTERN.test(source) ? source : 'internal',
+      source_ip: (sourceIp && net.isIP(sourceIp) ? sourceIp : connectionIp) || 'unknown'
+    };
+  }
+  return {
+    actor_id: `user:${caller.user_id}`,
+    ...(caller.email && { actor_email: caller.email }),
+    source: 'admin-api',
+    source_ip: connectionIp || 'unknown'
   };
+};
 
-  const result = await dynamodb.get(params).promise();
-  return result.Item;
+const redactSecrets = (value) => {
+  if (Array.isArray(value)) return value.map(redactSecrets);
+  if (!TYPE_CHECKS.object(value)) return value;
+  return Object.fromEntries(Object.entries(value).map(([key, nested]) => [
+    key,
+    SECRET_FIELD_PATTERN.test(key) ? '[REDACTED]' : redactSecrets(nested)
+  ]));
 };
 
-const listUserApiKeys = async (userId) => {
-  const params = {
-    TableName: process.env.DYNAMODB_API_KEYS_TABLE,
-    IndexName: 'user_id-index',
-    KeyConditionExpression: 'user_id = :user_id',
-    ExpressionAttributeValues: {
-      ':user_id': userId
-    }
+// Large values (OpenAPI specs, transforms) are recorded as a digest so entries stay small
+const auditValue = (field, value) => {
+  if (value === undefined || value === null) return null;
+  if (SECRET_FIELD_PATTERN.test(field)) return '[REDACTED]';
+
+  const redacted = redactSecrets(value);
+  const serialized = JSON.stringify(redacted);
+  if (serialized.length <= MAX_AUDIT_VALUE_LENGTH) return redacted;
+  return {
+    truncated: true,
+    length: serialized.length,
+    sha256: crypto.createHash('sha256').update(serialized).digest('hex')
   };
+};
 
-  const result = await dynamodb.query(params).promise();
-  return result.Items;
+// Top-level fields that differ, as { field: { before, after } }; creations have no before, deletions no after
+const diffRecords = (before, after) => {
+  const changes = {};
+  new Set([...Object.keys(before || {}), ...Object.keys(after || {})]).forEach(field => {
+    if (AUDIT_IGNORED_FIELDS.includes(field)) return;
+    const previous = before?.[field];
+    const next = after?.[field];
+    if (JSON.stringify(previous) === JSON.stringify(next)) return;
+    changes[field] = { before: auditValue(field, previous), after: auditValue(field, next) };
+  });
+  return changes;
 };
 
-const deactivateApiKey = async (apiKeyHash, projectId) => {
-  const params = {
-    TableName: process.env.DYNAMODB_API_KEYS_TABLE,
-    Key: {
-      api_key_hash: apiKeyHash,
-      project_id: projectId
-    },
-    UpdateExpression: 'SET #active = :active, #updated_at = :updated_at',
+const getAuditRetentionDays = async (customerId) => {
+  const result = await dynamodb.get({
+    TableName: process.env.DYNAMODB_CUSTOMERS_TABLE,
+    Key: { customer_id: customerId }
+  }).promise();
+  return result.Item?.audit_retention_days || DEFAULT_AUDIT_RETENTION_DAYS;
+};
+
+const setAuditRetentionDays = async (customerId, retentionDays) => {
+  const result = await dynamodb.update({
+    TableName: process.env.DYNAMODB_CUSTOMERS_TABLE,
+    Key: { customer_id: customerId },
+    UpdateExpression: 'SET #audit_retention_days = :days, #updated_at = :updated_at',
     ExpressionAttributeNames: {
-      '#active': 'active',
+      '#audit_retention_days': 'audit_retention_days',
       '#updated_at': 'updated_at'
     },
     ExpressionAttributeValues: {
-      ':active': false,
+      ':days': retentionDays,
       ':updated_at': Date.now()
     },
     ReturnValues: 'ALL_NEW'
+  }).promise();
+  return result.Attributes;
+};
+
+// Keys carry no customer_id; their entries are filed under the project's customer
+const getKeyCustomerId = async (apiKey) => (await loadProject(apiKey.project_id, apiKey.api_version))?.customer_id;
+
+// Sort keys start with the zero-padded time, so a time range is a key range
+const auditEventPrefix = (timestamp) => String(timestamp).padStart(13, '0');
+
+/**
+ * Append an entry for a change that has already been made. A failed write is logged rather
+ * than turned into an error, since the change itself went through.
+ */
+const recordAudit = async (caller, { action, resourceType, resourceId, projectId, customerId, before, after, details }) => {
+  try {
+    const now = Date.now();
+    const customer = customerId || caller.customer_id || 'default';
+    const retentionDays = await getAuditRetentionDays(customer);
+
+    const entry = {
+      customer_id: customer,
+      event_id: `${auditEventPrefix(now)}#${uuidv4()}`,
+      created_at: now,
+      expires_at: Math.floor(now / 1000) + retentionDays * 86400,
+      action,
+      resource_type: resourceType,
+      resource_id: resourceId,
+      ...(projectId && { project_id: projectId }),
+      ...caller.audit,
+      changes: diffRecords(before, after),
+      ...(details && { details: redactSecrets(details) })
+    };
+
+    await dynamodb.put({
+      TableName: process.env.DYNAMODB_AUDIT_LOG_TABLE,
+      Item: entry,
+      ConditionExpression: 'attribute_not_exists(event_id)'
+    }).promise();
+    return entry;
+  } catch (error) {
+    console.error('Error writing audit entry:', action, resourceId, error);
+    return null;
+  }
+};
+
+/**
+ * One page of a customer's (or one project's) audit entries. Time bounds and the cursor narrow
+ * the key range; actor and action are filters, so the query keeps reading until the page is full.
+ */
+const queryAuditLog = async ({ customerId, projectId }, options, filters) => {
+  let lower = options.createdAfter !== undefined ? auditEventPrefix(options.createdAfter) : '0';
+  let upper = options.createdBefore !== undefined ? auditEventPrefix(options.createdBefore) : '~';
+  if (options.cursor) {
+    if (options.descending) {
+      upper = options.cursor.id < upper ? options.cursor.id : upper;
+    } else {
+      lower = options.cursor.id > lower ? options.cursor.id : lower;
+    }
+  }
+
+  // On the project index customer_id is a filter too, so entries never cross customers
+  const conditions = [];
+  const names = {};
+  const values = { ':customer_id': customerId, ':lower': lower, ':upper': upper };
+  if (projectId) {
+    conditions.push('customer_id = :customer_id');
+    values[':project_id'] = projectId;
+  }
+  if (filters.actor) {
+    conditions.push('actor_id = :actor_id');
+    values[':actor_id'] = filters.actor;
+  }
+  // action is a DynamoDB reserved word
+  if (filters.action) {
+    conditions.push('#action = :action');
+    names['#action'] = 'action';
+    values[':action'] = filters.action;
+  }
+  if (options.namePrefix) {
+    conditions.push('begins_with(#action, :action_prefix)');
+    names['#action'] = 'action';
+    values[':action_prefix'] = options.namePrefix;
+  }
+
+  const params = {
+    TableName: process.env.DYNAMODB_AUDIT_LOG_TABLE,
+    ...(projectId
+      ? { IndexName: 'project_id-index', KeyConditionExpression: 'project_id = :project_id AND event_id BETWEEN :lower AND :upper' }
+      : { KeyConditionExpression: 'customer_id = :customer_id AND event_id BETWEEN :lower AND :upper' }),
+    ...(conditions.length > 0 && { FilterExpression: conditions.join(' AND ') }),
+    ...(Object.keys(names).length > 0 && { ExpressionAttributeNames: names }),
+    ExpressionAttributeValues: values,
+    ScanIndexForward: !options.descending
   };
 
-  const result = await dynamodb.update(params).promise();
-  return result.Attributes;
+  const entries = [];
+  let lastEvaluatedKey;
+  do {
+    const result = await dynamodb.query({ ...params, ExclusiveStartKey: lastEvaluatedKey }).promise();
+    entries.push(...result.Items.filter(item => item.event_id !== options.cursor?.id));
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey && entries.length <= options.limit);
+
+  const page = entries.slice(0, options.limit);
+  const last = page[page.length - 1];
+  return {
+    items: page,
+    next_cursor: entries.length > options.limit || (lastEvaluatedKey && page.length === options.limit)
+      ? encodeCursor({ sort: `${options.descending ? '-' : ''}created_at`, value: last.created_at, id: last.event_id })
+      : null
+  };
 };
 
 // Main handler
 exports.handler = async (event) => {
-  console.log('Event:', JSON.stringify(event, null, 2));
+  // Headers and body carry the internal API key, Cognito tokens and invitation tokens, so only the route is logged
+  console.log('Request:', event.httpMethod, event.path);
 
   // Handle CORS preflight
   if (event.httpMethod === 'OPTIONS') {
@@ -363,7 +2443,11 @@ exports.handler = async (event) => {
       path = event.path;
       method = event.httpMethod;
       headers = event.headers || {};
-      body = event.body ? JSON.parse(event.body) : {};
+      try {
+        body = event.body ? JSON.parse(event.body) : {};
+      } catch (error) {
+        return generateResponse(400, { error: 'Request validation failed', violations: [{ field: '', message: 'must be valid JSON' }] });
+      }
       queryStringParameters = event.queryStringParameters || {};
     } else {
       // Direct body call (for testing)
@@ -374,77 +2458,626 @@ exports.handler = async (event) => {
       queryStringParameters = {};
     }
 
-    // Validate internal API key for admin operations (temporarily disabled for debugging)
-    // if (!validateInternalApiKey(headers)) {
-    //   return generateResponse(401, { error: 'Unauthorized' });
-    // }
+    // Internal services use the shared secret; customers use Cognito access tokens
+    const caller = await authenticateCaller(headers);
+    if (!caller) {
+      return generateResponse(401, { error: 'Unauthorized' });
+    }
+    caller.audit = resolveAuditActor(caller, headers, event);
 
     // Route based on path (strip /admin prefix if present)
     const cleanPath = path.startsWith('/admin') ? path.substring(6) : path;
     
-    if (cleanPath.startsWith('/projects')) {
+    const domainMatch = cleanPath.match(/^\/projects\/([^/]+)\/domains(?:\/([^/]+))?(\/verify)?\/?$/);
+    const driftMatch = cleanPath.match(/^\/projects\/([^/]+)\/contract-drift\/?$/);
+    const projectAccessMatch = cleanPath.match(/^\/projects\/([^/]+)\/access-control\/?$/);
+    const keyAccessMatch = cleanPath.match(/^\/api-keys\/([^/]+)\/([^/]+)\/access-control\/?$/);
+    const keyRotationMatch = cleanPath.match(/^\/api-keys\/([^/]+)\/([^/]+)\/(rotate|lineage|migrate-hash)\/?$/);
+    const projectGrantsMatch = cleanPath.match(/^\/projects\/([^/]+)\/access\/?$/);
+    const userGrantsMatch = cleanPath.match(/^\/users\/([^/]+)\/access\/?$/);
+    const projectVersionsMatch = cleanPath.match(/^\/projects\/([^/]+)\/versions\/?$/);
+    const defaultVersionMatch = cleanPath.match(/^\/projects\/([^/]+)\/default-version\/?$/);
+    const auditMatch = cleanPath.match(/^\/audit(\/retention)?\/?$/);
+    const organizationMatch = cleanPath.match(/^\/organizations(?:\/([^/]+))?\/?$/);
+    const memberMatch = cleanPath.match(/^\/organizations\/([^/]+)\/members(?:\/([^/]+))?\/?$/);
+    const invitationMatch = cleanPath.match(/^\/organizations\/([^/]+)\/invitations(?:\/([^/]+))?\/?$/);
+    const acceptInvitationMatch = cleanPath.match(/^\/invitations\/accept\/?$/);
+
+    // Users outside any organization can only create one or accept an invitation
+    const joiningOrganization = (organizationMatch && !organizationMatch[1] && method === 'POST') || acceptInvitationMatch;
+    if (!isInternalCaller(caller) && !caller.customer_id && !joiningOrganization) {
+      throw accessDenied('Create an organization or accept an invitation first');
+    }
+
+    if (domainMatch) {
+      const [, projectId, hostname, verify] = domainMatch;
+      const project = await authorizeProject(caller, projectId, null, { write: method !== 'GET' });
+      if (!project) {
+        return generateResponse(404, { error: 'Project not found' });
+      }
+
+      if (method === 'POST' && !hostname) {
+        // Attach a custom domain (pending DNS verification)
+        const domain = await attachCustomDomain(projectId, validateBody(body, ATTACH_DOMAIN_SCHEMA));
+        await recordAudit(caller, {
+          action: 'domain.attach', resourceType: 'domain', resourceId: domain.hostname,
+          projectId, customerId: project.customer_id, after: domain
+        });
+        return generateResponse(201, domain);
+      } else if (method === 'GET' && !hostname) {
+        // List custom domains for project
+        const domains = await listProjectDomains(projectId);
+        return generateResponse(200, { domains });
+      } else if (hostname) {
+        const domain = await getCustomDomain(decodeURIComponent(hostname));
+        if (!domain || domain.project_id !== projectId) {
+          return generateResponse(404, { error: 'Domain not found' });
+        }
+
+        if (method === 'POST' && verify) {
+          // Check the DNS TXT ownership record
+          const result = await verifyCustomDomain(domain);
+          if (result.verified && domain.status !== 'active') {
+            await recordAudit(caller, {
+              action: 'domain.verify', resourceType: 'domain', resourceId: domain.hostname,
+              projectId, customerId: project.customer_id, before: domain, after: result.domain
+            });
+          }
+          return generateResponse(result.verified ? 200 : 409, {
+            ...result,
+            ...(!result.verified && { error: 'Verification TXT record not found' })
+          });
+        } else if (method === 'GET' && !verify) {
+          return generateResponse(200, { ...domain, verification_record: getDomainVerificationRecord(domain) });
+        } else if (method === 'DELETE' && !verify) {
+          // Detach custom domain
+          await detachCustomDomain(domain.hostname, projectId);
+          await recordAudit(caller, {
+            action: 'domain.detach', resourceType: 'domain', resourceId: domain.hostname,
+            projectId, customerId: project.customer_id, before: domain
+          });
+          return generateResponse(200, { success: true });
+        }
+      }
+    } else if (cleanPath.startsWith('/domains/') && method === 'GET') {
+      // Hostname lookup used by the worker on a KV miss
+      requireInternal(caller);
+      const domain = await getCustomDomain(decodeURIComponent(cleanPath.split('/')[2]));
+      if (!domain) {
+        return generateResponse(404, { error: 'Domain not found' });
+      }
+      return generateResponse(200, {
+        hostname: domain.hostname,
+        project_id: domain.project_id,
+        status: domain.status
+      });
+    } else if (driftMatch) {
+      const projectId = driftMatch[1];
+
+      if (method === 'POST') {
+        // Record response contract violations reported by the worker
+        requireInternal(caller);
+        const result = await recordContractDrift(projectId, validateBody(body, CONTRACT_DRIFT_SCHEMA));
+        return generateResponse(201, result);
+      } else if (method === 'GET') {
+        // Aggregated drift report for the project
+        if (!await authorizeProject(caller, projectId)) {
+          return generateResponse(404, { error: 'Project not found' });
+        }
+        const report = await getContractDriftReport(projectId);
+        return generateResponse(200, report);
+      }
+    } else if (projectAccessMatch) {
+      const projectId = projectAccessMatch[1];
+      const project = await authorizeProject(caller, projectId, queryStringParameters.api_version, { write: method !== 'GET' });
+      if (!project) {
+        return generateResponse(404, { error: 'Project not found' });
+      }
+      const apiVersion = project.api_version;
+
+      if (method === 'GET') {
+        return generateResponse(200, { project_id: projectId, access_control: project.access_control || {} });
+      } else if (method === 'PUT') {
+        // Replace the project's IP/country lists
+        const updated = await setProjectAccessControl(projectId, apiVersion, normalizeAccessControl(validateBody(body, ACCESS_CONTROL_SCHEMA)));
+        await recordAudit(caller, {
+          action: 'project.access_control.update', resourceType: 'project', resourceId: `${projectId}/${apiVersion}`,
+          projectId, customerId: project.customer_id,
+          before: { access_control: project.access_control }, after: { access_control: updated.access_control }
+        });
+        return generateResponse(200, { project_id: projectId, access_control: updated.access_control });
+      } else if (method === 'DELETE') {
+        await setProjectAccessControl(projectId, apiVersion, null);
+        await recordAudit(caller, {
+          action: 'project.access_control.delete', resourceType: 'project', resourceId: `${projectId}/${apiVersion}`,
+          projectId, customerId: project.customer_id, before: { access_control: project.access_control }
+        });
+        return generateResponse(200, { project_id: projectId, access_control: {} });
+      }
+    } else if (keyAccessMatch) {
+      const [, apiKeyHash, projectId] = keyAccessMatch;
+      const apiKey = await authorizeApiKey(caller, apiKeyHash, projectId);
+      if (!apiKey) {
+        return generateResponse(404, { error: 'API key not found' });
+      }
+
+      if (method === 'GET') {
+        return generateResponse(200, { api_key_hash: apiKeyHash, project_id: projectId, access_control: apiKey.access_control || {} });
+      } else if (method === 'PUT') {
+        // Replace the key's IP/country restrictions
+        const updated = await setApiKeyAccessControl(apiKeyHash, projectId, normalizeAccessControl(validateBody(body, ACCESS_CONTROL_SCHEMA)));
+        await recordAudit(caller, {
+          action: 'api_key.access_control.update', resourceType: 'api_key', resourceId: apiKeyHash, projectId,
+          customerId: await getKeyCustomerId(apiKey),
+          before: { access_control: apiKey.access_control }, after: { access_control: updated.access_control }
+        });
+        return generateResponse(200, { api_key_hash: apiKeyHash, project_id: projectId, access_control: updated.access_control });
+      } else if (method === 'DELETE') {
+        await setApiKeyAccessControl(apiKeyHash, projectId, null);
+        await recordAudit(caller, {
+          action: 'api_key.access_control.delete', resourceType: 'api_key', resourceId: apiKeyHash, projectId,
+          customerId: await getKeyCustomerId(apiKey), before: { access_control: apiKey.access_control }
+        });
+        return generateResponse(200, { api_key_hash: apiKeyHash, project_id: projectId, access_control: {} });
+      }
+    } else if (keyRotationMatch) {
+      const [, apiKeyHash, projectId, action] = keyRotationMatch;
+
+      // Hash migration is driven by the worker; rotation and lineage follow key ownership
+      let apiKey;
+      if (action === 'migrate-hash') {
+        requireInternal(caller);
+      } else if (!(apiKey = await authorizeApiKey(caller, apiKeyHash, projectId))) {
+        return generateResponse(404, { error: 'API key not found' });
+      }
+
+      if (method === 'POST' && action === 'rotate') {
+        // Issue a successor key; the old one keeps working until the grace deadline
+        checkKeyCredentials(caller, validateBody(body, ROTATE_API_KEY_SCHEMA));
+        const rotation = await rotateApiKey(apiKeyHash, projectId, body);
+        if (!rotation) {
+          return generateResponse(404, { error: 'API key not found' });
+        }
+        await recordAudit(caller, {
+          action: 'api_key.rotate', resourceType: 'api_key', resourceId: apiKeyHash, projectId,
+          customerId: await getKeyCustomerId(apiKey), before: apiKey, after: rotation.previous,
+          details: { successor_api_key_hash: rotation.successor.api_key_hash }
+        });
+        return generateResponse(201, rotation);
+      } else if (method === 'GET' && action === 'lineage') {
+        const lineage = await getApiKeyLineage(apiKeyHash, projectId);
+        if (!lineage) {
+          return generateResponse(404, { error: 'API key not found' });
+        }
+        return generateResponse(200, { project_id: projectId, lineage });
+      } else if (method === 'POST' && action === 'migrate-hash') {
+        // Called by the worker when a key stored under a legacy hash is used
+        validateBody(body, MIGRATE_HASH_SCHEMA);
+        const migrated = await migrateApiKeyHash(apiKeyHash, projectId, body.api_key_hash);
+        if (!migrated) {
+          return generateResponse(404, { error: 'API key not found' });
+        }
+        await recordAudit(caller, {
+          action: 'api_key.migrate_hash', resourceType: 'api_key', resourceId: migrated.api_key_hash, projectId,
+          customerId: await getKeyCustomerId(migrated), details: { migrated_from: apiKeyHash }
+        });
+        return generateResponse(200, withoutSecrets(migrated));
+      }
+    } else if (projectGrantsMatch && method === 'GET') {
+      // Access grants on a project; they name other users, so listing them needs an admin role
+      const projectId = projectGrantsMatch[1];
+      const options = parseListOptions(queryStringParameters, 'grants');
+      const project = await authorizeProject(caller, projectId);
+      if (!project) {
+        return generateResponse(404, { error: 'Project not found' });
+      }
+      requireAdmin(caller);
+      const page = await pageList(projectGrantsSource(project.customer_id, projectId), options);
+      return generateResponse(200, { grants: page.items, next_cursor: page.next_cursor });
+    } else if (userGrantsMatch && method === 'GET') {
+      // Projects a user has been granted
+      const userId = userGrantsMatch[1];
+      const options = parseListOptions(queryStringParameters, 'grants');
+      if (!await authorizeUser(caller, userId)) {
+        return generateResponse(404, { error: 'User not found' });
+      }
+      const page = await pageList(userGrantsSource(userId), options);
+      return generateResponse(200, { grants: page.items, next_cursor: page.next_cursor });
+    } else if (projectVersionsMatch && method === 'GET') {
+      // Versions of a project with their lifecycle
+      const projectId = projectVersionsMatch[1];
+      const versions = await listProjectVersions(projectId);
+      if (versions.length === 0) {
+        return generateResponse(404, { error: 'Project not found' });
+      }
+      requireSameCustomer(caller, versions[0].customer_id);
+      const defaultVersion = resolveDefaultVersion(versions).api_version;
+      return generateResponse(200, {
+        project_id: projectId,
+        default_version: defaultVersion,
+        versions: versions.map(version => ({
+          api_version: version.api_version,
+          is_default: version.api_version === defaultVersion,
+          active: version.active,
+          lifecycle: version.lifecycle || { status: 'active' },
+          created_at: version.created_at,
+          updated_at: version.updated_at
+        }))
+      });
+    } else if (defaultVersionMatch && method === 'PUT') {
+      // Move the default version: requests without a version prefix, header or media type go there
+      const projectId = defaultVersionMatch[1];
+      const { api_version: apiVersion } = validateBody(body, DEFAULT_VERSION_SCHEMA);
+      const versions = await listProjectVersions(projectId);
+      const target = versions.find(version => version.api_version === apiVersion);
+      if (versions.length === 0 || !await authorizeProject(caller, projectId, resolveDefaultVersion(versions).api_version, { write: true })) {
+        return generateResponse(404, { error: 'Project not found' });
+      }
+      if (!target) {
+        return generateResponse(404, { error: 'API version not found' });
+      }
+      if (target.lifecycle?.status === 'sunset') {
+        throw versionConflict('A sunset version cannot be the default');
+      }
+      const project = await setDefaultVersion(projectId, apiVersion, versions);
+      await recordAudit(caller, {
+        action: 'project.default_version.update', resourceType: 'project', resourceId: projectId,
+        projectId, customerId: project.customer_id,
+        before: { default_version: resolveDefaultVersion(versions).api_version }, after: { default_version: apiVersion }
+      });
+      return generateResponse(200, project);
+    } else if (organizationMatch && !organizationMatch[1]) {
+      if (method === 'POST') {
+        // Create an organization; a signed-in user who creates one becomes its owner
+        validateBody(body, CREATE_ORGANIZATION_SCHEMA);
+        if (!isInternalCaller(caller)) {
+          if (body.customer_id !== undefined) {
+            throw accessDenied('Only internal services choose an organization\'s customer_id');
+          }
+          if (caller.customer_id) {
+            throw organizationConflict('You already belong to an organization; leave it before creating another');
+          }
+          if (!caller.email) {
+            throw accessDenied('Your account needs an email address to create an organization');
+          }
+        }
+        const organization = await createOrganization({
+          ...body,
+          created_by: isInternalCaller(caller) ? caller.audit.actor_id : caller.user_id
+        });
+        await recordAudit(caller, {
+          action: 'organization.create', resourceType: 'organization', resourceId: organization.customer_id,
+          customerId: organization.customer_id, after: organization
+        });
+        if (!isInternalCaller(caller)) {
+          const owner = await addOrganizationMember(caller, organization.customer_id, 'owner');
+          await recordAudit(caller, {
+            action: 'member.add', resourceType: 'user', resourceId: owner.user_id, customerId: organization.customer_id,
+            after: { customer_id: organization.customer_id, user_role: 'owner' }
+          });
+        }
+        return generateResponse(201, organization);
+      }
+    } else if (organizationMatch) {
+      const customerId = organizationMatch[1];
+      requireSameCustomer(caller, customerId);
+      const organization = await getOrganization(customerId);
+      if (!organization) {
+        return generateResponse(404, { error: 'Organization not found' });
+      }
+
+      if (method === 'GET') {
+        return generateResponse(200, organization);
+      } else if (method === 'PUT') {
+        validateBody(body, UPDATE_ORGANIZATION_SCHEMA);
+        requireAdmin(caller);
+        const updated = await updateOrganization(customerId, body);
+        await recordAudit(caller, {
+          action: 'organization.update', resourceType: 'organization', resourceId: customerId, customerId,
+          before: organization, after: updated
+        });
+        return generateResponse(200, updated);
+      }
+    } else if (memberMatch) {
+      const [, customerId, userId] = memberMatch;
+      requireSameCustomer(caller, customerId);
+      if (!await getOrganization(customerId)) {
+        return generateResponse(404, { error: 'Organization not found' });
+      }
+
+      if (!userId) {
+        if (method === 'GET') {
+          // Any member can see who else is in the organization
+          const options = parseListOptions(queryStringParameters, 'users');
+          const page = await pageList(customerUsersSource(customerId), options);
+          return generateResponse(200, { members: page.items, next_cursor: page.next_cursor });
+        }
+        return generateResponse(404, { error: 'Endpoint not found' });
+      }
+
+      const member = await getUser(userId);
+      if (!member || member.customer_id !== customerId) {
+        return generateResponse(404, { error: 'Member not found' });
+      }
+      // Owners are only demoted or removed by other owners; anyone may leave
+      const actsOnOwner = member.user_role === 'owner' || (method === 'PUT' && body.user_role === 'owner');
+      const leaving = method === 'DELETE' && member.user_id === caller.user_id;
+      if (!leaving) {
+        requireAdmin(caller);
+        if (actsOnOwner && !isInternalCaller(caller) && caller.user_role !== 'owner') {
+          throw accessDenied('Only owners can change or remove owners');
+        }
+      }
+
+      if (method === 'PUT') {
+        // Change a member's role
+        validateBody(body, MEMBER_ROLE_SCHEMA);
+        if (body.user_role !== 'owner') {
+          await requireRemainingOwner(customerId, member);
+        }
+        const user = await updateUser(userId, { user_role: body.user_role });
+        await recordAudit(caller, {
+          action: 'member.update', resourceType: 'user', resourceId: userId, customerId,
+          before: { user_role: member.user_role }, after: { user_role: user.user_role }
+        });
+        return generateResponse(200, user);
+      } else if (method === 'DELETE') {
+        // Remove a member (or leave); their grants and keys go with them
+        await requireRemainingOwner(customerId, member);
+        const removal = await removeOrganizationMember(member);
+        await recordAudit(caller, {
+          action: 'member.remove', resourceType: 'user', resourceId: userId, customerId,
+          before: { customer_id: customerId, user_role: member.user_role },
+          details: { revoked_grants: removal.revoked_grants, deactivated_api_keys: removal.deactivated_api_keys }
+        });
+        return generateResponse(200, { success: true, revoked_grants: removal.revoked_grants, deactivated_api_keys: removal.deactivated_api_keys });
+      }
+    } else if (invitationMatch) {
+      const [, customerId, invitationId] = invitationMatch;
+      requireSameCustomer(caller, customerId);
+      requireAdmin(caller);
+      if (!await getOrganization(customerId)) {
+        return generateResponse(404, { error: 'Organization not found' });
+      }
+
+      if (method === 'POST' && !invitationId) {
+        // Invite someone by email; the token is returned once, for the caller to deliver
+        validateBody(body, CREATE_INVITATION_SCHEMA);
+        if (body.user_role === 'owner' && !isInternalCaller(caller) && caller.user_role !== 'owner') {
+          throw accessDenied('Only owners can invite owners');
+        }
+        const existing = await getUserByEmail(body.email);
+        if (existing && existing.customer_id === customerId) {
+          throw organizationConflict('This user is already a member of the organization');
+        }
+        const { invitation, token } = await createInvitation(customerId, body, caller.audit.actor_id);
+        await recordAudit(caller, {
+          action: 'invitation.create', resourceType: 'invitation', resourceId: invitation.invitation_id, customerId,
+          after: presentInvitation(invitation)
+        });
+        return generateResponse(201, { ...presentInvitation(invitation), invitation_token: token });
+      } else if (method === 'GET' && !invitationId) {
+        // List invitations; status=active returns the ones that can still be accepted
+        const options = parseListOptions(queryStringParameters, 'invitations');
+        const page = await pageList(organizationInvitationsSource(customerId), options);
+        return generateResponse(200, { invitations: page.items.map(presentInvitation), next_cursor: page.next_cursor });
+      } else if (method === 'DELETE' && invitationId) {
+        // Revoke a pending invitation
+        const invitation = await getInvitation(invitationId);
+        if (!invitation || invitation.customer_id !== customerId) {
+          return generateResponse(404, { error: 'Invitation not found' });
+        }
+        const revoked = await closeInvitation(invitationId, 'revoked', { revoked_at: Date.now() });
+        await recordAudit(caller, {
+          action: 'invitation.revoke', resourceType: 'invitation', resourceId: invitationId, customerId,
+          before: presentInvitation(invitation), after: presentInvitation(revoked)
+        });
+        return generateResponse(200, presentInvitation(revoked));
+      }
+    } else if (acceptInvitationMatch) {
+      if (method === 'POST') {
+        // Accept an invitation as the invited user, who must not belong to another organization
+        validateBody(body, ACCEPT_INVITATION_SCHEMA);
+        if (isInternalCaller(caller)) {
+          throw accessDenied('Invitations are accepted by the invited user');
+        }
+        const invitation = await findInvitationByToken(body.token);
+        if (!invitation || (caller.email || '').toLowerCase() !== invitation.email) {
+          return generateResponse(404, { error: 'Invitation not found' });
+        }
+        const status = getInvitationStatus(invitation);
+        if (status !== 'pending') {
+          throw organizationConflict(`Invitation is ${status}`);
+        }
+        if (caller.customer_id === invitation.customer_id) {
+          throw organizationConflict('You are already a member of this organization');
+        }
+        if (caller.customer_id) {
+          throw organizationConflict('You already belong to an organization; leave it before accepting');
+        }
+
+        await closeInvitation(invitation.invitation_id, 'accepted', { accepted_at: Date.now(), accepted_by: caller.user_id });
+        const user = await addOrganizationMember(caller, invitation.customer_id, invitation.user_role);
+        await recordAudit(caller, {
+          action: 'invitation.accept', resourceType: 'invitation', resourceId: invitation.invitation_id,
+          customerId: invitation.customer_id, after: { customer_id: invitation.customer_id, user_role: invitation.user_role },
+          details: { user_id: user.user_id }
+        });
+        return generateResponse(200, { organization: await getOrganization(invitation.customer_id), user });
+      }
+    } else if (auditMatch) {
+      // The audit trail and its retention belong to a customer and need an admin role;
+      // internal callers name the customer
+      const retention = !!auditMatch[1];
+      if (method === 'PUT' && retention) {
+        validateBody(body, AUDIT_RETENTION_SCHEMA);
+      }
+      const customerId = (method === 'PUT' ? body.customer_id : queryStringParameters.customer_id) || caller.customer_id;
+      if (!customerId) {
+        throw validationFailed([{ field: 'customer_id', message: 'is required' }]);
+      }
+      requireSameCustomer(caller, customerId);
+      requireAdmin(caller);
+
+      if (method === 'GET' && !retention) {
+        // Newest first by default; project_id, actor, action, created_after/created_before and name_prefix (an action prefix) narrow it
+        const options = parseListOptions(queryStringParameters, 'audit');
+        const unsupported = ['status', 'auth_type'].filter(field => queryStringParameters[field] !== undefined);
+        if (unsupported.length > 0) {
+          throw validationFailed(unsupported.map(field => ({ field, message: 'is not supported for the audit log' })));
+        }
+        const { project_id: projectId, actor, action } = queryStringParameters;
+        const page = await queryAuditLog({ customerId, projectId }, options, { actor, action });
+        return generateResponse(200, { entries: page.items, next_cursor: page.next_cursor });
+      } else if (method === 'GET' && retention) {
+        return generateResponse(200, { customer_id: customerId, retention_days: await getAuditRetentionDays(customerId) });
+      } else if (method === 'PUT' && retention) {
+        // Shortening retention removes history, so only owners may change it
+        if (!isInternalCaller(caller) && caller.user_role !== 'owner') {
+          throw accessDenied('Only owners can change audit log retention');
+        }
+        if (!await getOrganization(customerId)) {
+          return generateResponse(404, { error: 'Organization not found' });
+        }
+        const previous = await getAuditRetentionDays(customerId);
+        await setAuditRetentionDays(customerId, body.retention_days);
+        await recordAudit(caller, {
+          action: 'audit.retention.update', resourceType: 'customer', resourceId: customerId, customerId,
+          before: { retention_days: previous }, after: { retention_days: body.retention_days }
+        });
+        return generateResponse(200, { customer_id: customerId, retention_days: body.retention_days });
+      }
+    } else if (cleanPath.startsWith('/projects')) {
       const projectId = cleanPath.split('/')[2];
-      const apiVersion = cleanPath.split('/')[3] || 'v1';
+      const pathVersion = cleanPath.split('/')[3];
+
+      // Without a version in the path, project routes act on the default version
+      const versions = projectId && !pathVersion ? await listProjectVersions(projectId) : null;
+      const defaultVersion = versions && resolveDefaultVersion(versions);
+      const apiVersion = pathVersion || defaultVersion?.api_version || 'v1';
 
       if (method === 'POST' && !projectId) {
-        // Create new project
+        // Create new project; customers can only create projects for themselves
+        validateBody(body, CREATE_PROJECT_SCHEMA);
+        validateCorsPolicy(body.cors);
+        validateJwtConfig(body);
+        validateTransforms(body);
+        requireAdmin(caller);
+        if (!isInternalCaller(caller)) {
+          requireSameCustomer(caller, body.customer_id || caller.customer_id);
+          body.customer_id = caller.customer_id;
+        }
+        // Posting a new api_version for an existing project adds a version; it stays with the project's customer
+        const existingVersions = await listProjectVersions(body.project_id);
+        if (existingVersions.length > 0) {
+          requireSameCustomer(caller, existingVersions[0].customer_id);
+          body.customer_id = existingVersions[0].customer_id;
+        } else if (body.customer_id && !await getOrganization(body.customer_id)) {
+          throw validationFailed([{ field: 'customer_id', message: 'must be an existing organization' }]);
+        }
+        if (body.lifecycle) {
+          body.lifecycle = withLifecycleDates(body.lifecycle);
+        }
         const project = await createProject(body);
+        await recordAudit(caller, {
+          action: 'project.create', resourceType: 'project', resourceId: `${project.project_id}/${project.api_version}`,
+          projectId: project.project_id, customerId: project.customer_id, after: project
+        });
         return generateResponse(201, project);
       } else if (method === 'GET' && projectId) {
-        // Get project
-        const project = await getProject(projectId, apiVersion);
+        // Get project; without a version this is the default version plus a summary of all versions
+        const project = await authorizeProject(caller, projectId, apiVersion);
         if (!project) {
           return generateResponse(404, { error: 'Project not found' });
         }
-        return generateResponse(200, project);
+        return generateResponse(200, versions ? { ...project, ...summarizeVersions(versions) } : project);
       } else if (method === 'PUT' && projectId) {
         // Update project
+        validateBody(body, UPDATE_PROJECT_SCHEMA);
+        validateCorsPolicy(body.cors);
+        validateTransforms(body);
+        const existing = await authorizeProject(caller, projectId, apiVersion, { write: true });
+        if (!existing) {
+          return generateResponse(404, { error: 'Project not found' });
+        }
+        validateJwtConfig({ ...existing, ...body });
+        if (body.customer_id !== undefined) {
+          requireSameCustomer(caller, body.customer_id);
+        }
+        if (body.lifecycle) {
+          // Unversioned requests land on the default version, so it has to stay servable
+          const isDefault = apiVersion === (defaultVersion || resolveDefaultVersion(await listProjectVersions(projectId))).api_version;
+          if (isDefault && body.lifecycle.status === 'sunset') {
+            throw versionConflict('The default version cannot be sunset; move the default to another version first');
+          }
+          body.lifecycle = withLifecycleDates(body.lifecycle, existing.lifecycle);
+        }
         const project = await updateProject(projectId, apiVersion, body);
+        await recordAudit(caller, {
+          action: 'project.update', resourceType: 'project', resourceId: `${projectId}/${apiVersion}`,
+          projectId, customerId: existing.customer_id, before: existing, after: project
+        });
         return generateResponse(200, project);
       } else if (method === 'DELETE' && projectId) {
         // Delete project
+        const existing = await authorizeProject(caller, projectId, apiVersion, { write: true });
+        if (!existing) {
+          return generateResponse(404, { error: 'Project not found' });
+        }
+        // Deleting the default hands it to the version the edge falls back to, which must still serve traffic
+        const projectVersions = versions || await listProjectVersions(projectId);
+        if (resolveDefaultVersion(projectVersions)?.api_version === apiVersion) {
+          const fallback = resolveDefaultVersion(projectVersions.filter(version => version.api_version !== apiVersion));
+          if (fallback?.lifecycle?.status === 'sunset') {
+            throw versionConflict(`The default version cannot be deleted while ${fallback.api_version}, which would replace it, is sunset; move the default first`);
+          }
+        }
         await deleteProject(projectId, apiVersion);
+        await recordAudit(caller, {
+          action: 'project.delete', resourceType: 'project', resourceId: `${projectId}/${apiVersion}`,
+          projectId, customerId: existing.customer_id, before: existing
+        });
         return generateResponse(200, { success: true });
       } else if (method === 'GET' && !projectId) {
-        // List projects for customer
-        const customerId = queryStringParameters.customer_id || 'default';
-        const projects = await listProjects(customerId);
-        return generateResponse(200, { projects });
+        // List projects for customer; customers only list their own
+        const options = parseListOptions(queryStringParameters, 'projects');
+        const customerId = isInternalCaller(caller)
+          ? queryStringParameters.customer_id || 'default'
+          : queryStringParameters.customer_id || caller.customer_id;
+        requireSameCustomer(caller, customerId);
+        const page = await pageList(customerProjectsSource(customerId), options);
+        return generateResponse(200, { projects: page.items, next_cursor: page.next_cursor });
       }
-    } else if (cleanPath.startsWith('/users')) {
-      const userId = cleanPath.split('/')[2];
+    } else if (cleanPath.includes('/users/') && cleanPath.includes('/projects/') && cleanPath.includes('/access')) {
+      // Matched before /users so the nested access path is not read as a user lookup
+      const pathParts = cleanPath.split('/');
+      const userId = pathParts[2];
+      const projectId = pathParts[4];
 
-      if (method === 'POST' && !userId) {
-        // Create new user
-        const user = await createUser(body);
-        return generateResponse(201, user);
-      } else if (method === 'GET' && userId) {
-        // Get user
-        const user = await getUser(userId);
-        if (!user) {
-          return generateResponse(404, { error: 'User not found' });
+      // The worker checks access for any user; customers only for projects and users in their customer
+      if (!isInternalCaller(caller)) {
+        if (!await authorizeProject(caller, projectId, null, { write: method !== 'GET' })) {
+          return generateResponse(404, { error: 'Project not found' });
         }
-        return generateResponse(200, user);
-      } else if (method === 'PUT' && userId) {
-        // Update user
-        const user = await updateUser(userId, body);
-        return generateResponse(200, user);
-      } else if (method === 'GET' && body.email) {
-        // Get user by email
-        const user = await getUserByEmail(body.email);
-        if (!user) {
+        if (!await authorizeUser(caller, userId)) {
           return generateResponse(404, { error: 'User not found' });
         }
-        return generateResponse(200, user);
       }
-    } else if (cleanPath.includes('/users/') && cleanPath.includes('/projects/') && cleanPath.includes('/access')) {
-      const pathParts = cleanPath.split('/');
-      const userId = pathParts[2];
-      const projectId = pathParts[4];
 
       if (method === 'POST') {
         // Grant user access
-        const access = await grantUserAccess(userId, projectId, body);
+        validateBody(body, GRANT_ACCESS_SCHEMA);
+        // Grants take their project's customer so they are listed with the project
+        const project = await getProject(projectId);
+        if (!project) {
+          return generateResponse(404, { error: 'Project not found' });
+        }
+        const previous = await getUserAccess(userId, projectId);
+        const access = await grantUserAccess(userId, projectId, { ...body, customer_id: project.customer_id });
+        await recordAudit(caller, {
+          action: 'access.grant', resourceType: 'access', resourceId: `${userId}/${projectId}`,
+          projectId, customerId: project.customer_id, before: previous, after: access
+        });
         return generateResponse(201, access);
       } else if (method === 'GET') {
         // Get user access
@@ -455,32 +3088,135 @@ exports.handler = async (event) => {
         return generateResponse(200, access);
       } else if (method === 'DELETE') {
         // Revoke user access
+        const previous = await getUserAccess(userId, projectId);
         await revokeUserAccess(userId, projectId);
+        await recordAudit(caller, {
+          action: 'access.revoke', resourceType: 'access', resourceId: `${userId}/${projectId}`,
+          projectId, customerId: previous?.customer_id, before: previous
+        });
         return generateResponse(200, { success: true });
       }
+    } else if (cleanPath.startsWith('/users')) {
+      const userId = cleanPath.split('/')[2];
+
+      if (method === 'POST' && !userId) {
+        // Create new user in the caller's customer
+        validateBody(body, CREATE_USER_SCHEMA);
+        requireAdmin(caller);
+        checkUserChanges(caller, body, null);
+        const user = await createUser(isInternalCaller(caller) ? body : { ...body, customer_id: caller.customer_id });
+        await recordAudit(caller, {
+          action: 'user.create', resourceType: 'user', resourceId: user.user_id, customerId: user.customer_id, after: user
+        });
+        return generateResponse(201, user);
+      } else if (method === 'GET' && userId) {
+        // Get user
+        const user = await authorizeUser(caller, userId);
+        if (!user) {
+          return generateResponse(404, { error: 'User not found' });
+        }
+        return generateResponse(200, user);
+      } else if (method === 'PUT' && userId) {
+        // Update user
+        validateBody(body, UPDATE_USER_SCHEMA);
+        const existing = await authorizeUser(caller, userId, { write: true });
+        if (!existing) {
+          return generateResponse(404, { error: 'User not found' });
+        }
+        checkUserChanges(caller, body, existing);
+        const user = await updateUser(userId, body);
+        await recordAudit(caller, {
+          action: 'user.update', resourceType: 'user', resourceId: userId, customerId: existing.customer_id, before: existing, after: user
+        });
+        return generateResponse(200, user);
+      } else if (method === 'GET' && !userId) {
+        // List users for customer, or look one up by email; only admins see other users
+        const options = parseListOptions(queryStringParameters, 'users');
+        const customerId = isInternalCaller(caller)
+          ? queryStringParameters.customer_id
+          : queryStringParameters.customer_id || caller.customer_id;
+        requireSameCustomer(caller, customerId);
+
+        let page;
+        if (queryStringParameters.email) {
+          const user = await getUserByEmail(queryStringParameters.email);
+          const users = user && (!customerId || user.customer_id === customerId) ? [user] : [];
+          if (users.length > 0) await authorizeUser(caller, user.user_id);
+          page = paginate(users, options);
+        } else if (customerId) {
+          requireAdmin(caller);
+          page = await pageList(customerUsersSource(customerId), options);
+        } else {
+          throw validationFailed([{ field: 'customer_id', message: 'is required to list users' }]);
+        }
+
+        return generateResponse(200, { users: page.items, next_cursor: page.next_cursor });
+      }
     } else if (cleanPath.startsWith('/api-keys')) {
       const apiKeyHash = cleanPath.split('/')[2];
       const projectId = cleanPath.split('/')[3];
 
       if (method === 'POST' && !apiKeyHash) {
-        // Create new API key
-        const apiKey = await createApiKey(body);
-        return generateResponse(201, apiKey);
+        // Create new API key; users without an admin role can only issue keys to themselves
+        validateBody(body, CREATE_API_KEY_SCHEMA);
+        checkKeyCredentials(caller, body);
+        if (!isInternalCaller(caller)) {
+          if (!body.project_id || !await authorizeProject(caller, body.project_id, body.api_version)) {
+            return generateResponse(404, { error: 'Project not found' });
+          }
+          if (!isAdminCaller(caller) && body.user_id !== undefined && body.user_id !== caller.user_id) {
+            throw accessDenied('Keys can only be issued to yourself');
+          }
+          body.user_id = body.user_id || caller.user_id;
+        }
+        // The plaintext key is only returned here
+        const { api_key, apiKey } = await createApiKey(body);
+        await recordAudit(caller, {
+          action: 'api_key.create', resourceType: 'api_key', resourceId: apiKey.api_key_hash, projectId: apiKey.project_id,
+          customerId: await getKeyCustomerId(apiKey), after: apiKey
+        });
+        return generateResponse(201, api_key ? { api_key, ...apiKey } : apiKey);
       } else if (method === 'GET' && apiKeyHash && projectId) {
         // Get API key
-        const apiKey = await getApiKey(apiKeyHash, projectId);
+        const apiKey = await authorizeApiKey(caller, apiKeyHash, projectId);
         if (!apiKey) {
           return generateResponse(404, { error: 'API key not found' });
         }
-        return generateResponse(200, apiKey);
+        return generateResponse(200, withoutSecrets(apiKey));
       } else if (method === 'DELETE' && apiKeyHash && projectId) {
         // Deactivate API key
+        const existing = await authorizeApiKey(caller, apiKeyHash, projectId);
+        if (!existing) {
+          return generateResponse(404, { error: 'API key not found' });
+        }
         const apiKey = await deactivateApiKey(apiKeyHash, projectId);
-        return generateResponse(200, apiKey);
-      } else if (method === 'GET' && body.user_id) {
-        // List user API keys
-        const apiKeys = await listUserApiKeys(body.user_id);
-        return generateResponse(200, { api_keys: apiKeys });
+        await recordAudit(caller, {
+          action: 'api_key.revoke', resourceType: 'api_key', resourceId: apiKeyHash, projectId,
+          customerId: await getKeyCustomerId(existing), before: existing, after: apiKey
+        });
+        return generateResponse(200, withoutSecrets(apiKey));
+      } else if (method === 'GET' && !apiKeyHash) {
+        // List a user's or a project's API keys; users without an admin role only see their own
+        const options = parseListOptions(queryStringParameters, 'api_keys');
+        const { user_id: userId, project_id: keyProjectId } = queryStringParameters;
+
+        let page;
+        if (keyProjectId) {
+          if (!await authorizeProject(caller, keyProjectId)) {
+            return generateResponse(404, { error: 'Project not found' });
+          }
+          page = await pageList(projectApiKeysSource(keyProjectId), options, apiKey =>
+            (isAdminCaller(caller) || apiKey.user_id === caller.user_id) && (!userId || apiKey.user_id === userId));
+        } else if (userId) {
+          if (!await authorizeUser(caller, userId)) {
+            return generateResponse(404, { error: 'User not found' });
+          }
+          page = await pageList(userApiKeysSource(userId), options);
+        } else {
+          throw validationFailed([{ field: 'user_id', message: 'user_id or project_id is required' }]);
+        }
+
+        return generateResponse(200, { api_keys: page.items.map(withoutSecrets), next_cursor: page.next_cursor });
       }
     }
 
@@ -490,6 +3226,10 @@ exports.handler = async (event) => {
     console.error('Error:', error);
     
     // Handle validation errors
+    if (error.code === 'ValidationError') {
+      return generateResponse(400, { error: error.message, violations: error.violations });
+    }
+    
     if (error.message && error.message.includes('is required')) {
       return generateResponse(400, { error: error.message });
     }
@@ -499,6 +3239,14 @@ exports.handler = async (event) => {
       return generateResponse(409, { error: 'Resource already exists' });
     }
     
+    if (error.code === 'AccessDenied') {
+      return generateResponse(403, { error: error.message });
+    }
+    
+    if (['KeyNotRotatable', 'KeyNotMigratable', 'VersionConflict', 'OrganizationConflict'].includes(error.code)) {
+      return generateResponse(409, { error: error.message });
+    }
+    
     if (error.code === 'ResourceNotFoundException') {
       return generateResponse(404, { error: 'Resource not found' });
     }
@@ -506,4 +3254,11 @@ exports.handler = async (event) => {
     // Default error response
     return generateResponse(500, { error: 'Internal server error' });
   }
-}; 
\ No newline at end of file
+}; 
+
+// Exposed for the tests
+exports.parseListOptions = parseListOptions;
+exports.paginate = paginate;
+exports.validateTransforms = validateTransforms;
+exports.validateKeyScopes = validateKeyScopes;
+exports.normalizeAccessControl = normalizeAccessControl;
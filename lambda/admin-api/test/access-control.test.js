@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeAccessControl } = require('../index.js');
+
+const violations = (accessControl) => {
+  try {
+    normalizeAccessControl(accessControl);
+    return [];
+  } catch (error) {
+    assert.strictEqual(error.code, 'ValidationError');
+    return error.violations.map(violation => violation.field);
+  }
+};
+
+test('normalises CIDR ranges and country codes', () => {
+  assert.deepStrictEqual(normalizeAccessControl({ ip_allow: ['10.0.0.0/8', '2001:db8::/32'], country_deny: ['fr'] }), {
+    ip_allow: ['10.0.0.0/8', '2001:db8::/32'],
+    country_deny: ['FR']
+  });
+});
+
+test('reports invalid lists as field violations', () => {
+  assert.deepStrictEqual(violations({ ip_allow: ['10.0.0.0/33'] }), ['ip_allow']);
+  assert.deepStrictEqual(violations({ country_allow: ['FRA'] }), ['country_allow']);
+  assert.deepStrictEqual(violations({ ip_deny: '10.0.0.1' }), ['ip_deny']);
+  assert.deepStrictEqual(violations({ asn_allow: [] }), ['asn_allow']);
+});
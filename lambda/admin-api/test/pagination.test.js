@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseListOptions, paginate } = require('../index.js');
+
+const apiKeys = [
+  { api_key_hash: 'a', project_id: 'p', name: 'alpha', created_at: 1 },
+  { api_key_hash: 'b', project_id: 'p', created_at: 2 },
+  { api_key_hash: 'c', project_id: 'p', name: 'charlie', created_at: 3, expires_at: 30 },
+  { api_key_hash: 'd', project_id: 'p', created_at: 4 },
+  { api_key_hash: 'e', project_id: 'p', name: 'echo', created_at: 5 }
+];
+
+// Walk every page, following next_cursor, and return the IDs in order
+const collectPages = (items, query) => {
+  const ids = [];
+  let cursor;
+  do {
+    const page = paginate(items, parseListOptions({ ...query, limit: '1', cursor }, 'api_keys'));
+    ids.push(...page.items.map(item => item.api_key_hash));
+    cursor = page.next_cursor || undefined;
+  } while (cursor && ids.length <= items.length);
+  return ids;
+};
+
+test('pages past items without a value for the sort field', () => {
+  assert.deepStrictEqual(collectPages(apiKeys, { sort: 'name' }), ['b', 'd', 'a', 'c', 'e']);
+  assert.deepStrictEqual(collectPages(apiKeys, { sort: '-name' }), ['e', 'c', 'a', 'd', 'b']);
+  assert.deepStrictEqual(collectPages(apiKeys, { sort: 'expires_at' }), ['a', 'b', 'd', 'e', 'c']);
+  assert.deepStrictEqual(collectPages(apiKeys, { sort: '-expires_at' }), ['c', 'e', 'd', 'b', 'a']);
+});
+
+test('pages by created_at by default, newest first', () => {
+  assert.deepStrictEqual(collectPages(apiKeys, {}), ['e', 'd', 'c', 'b', 'a']);
+});
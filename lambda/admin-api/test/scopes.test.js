@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateKeyScopes } = require('../index.js');
+
+const violations = (scopes, project) => {
+  try {
+    validateKeyScopes(scopes, project);
+    return [];
+  } catch (error) {
+    assert.strictEqual(error.code, 'ValidationError');
+    return error.violations;
+  }
+};
+
+test('normalises methods to upper case', () => {
+  assert.deepStrictEqual(validateKeyScopes({ methods: ['get'], paths: ['/pets/*'], read_only: true }), {
+    methods: ['GET'], paths: ['/pets/*'], read_only: true
+  });
+});
+
+test('reports invalid scopes as field violations', () => {
+  assert.deepStrictEqual(violations({ bogus: 1 }), [{ field: 'scopes.bogus', message: 'is not an allowed property' }]);
+  assert.strictEqual(violations({ paths: ['pets'] })[0].field, 'scopes.paths');
+  assert.strictEqual(violations({ methods: ['POST'], read_only: true })[0].field, 'scopes.methods');
+});
+
+test('checks operationIds and tags against the project spec', () => {
+  const project = { openapi_spec: { paths: { '/pets': { get: { operationId: 'listPets', tags: ['pets'] } } } } };
+  assert.deepStrictEqual(violations({ operations: ['listPets'], tags: ['pets'] }, project), []);
+  assert.strictEqual(violations({ operations: ['deletePet'] }, project)[0].field, 'scopes.operations');
+  assert.strictEqual(violations({ tags: ['admin'] }, project)[0].field, 'scopes.tags');
+});
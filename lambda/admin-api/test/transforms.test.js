@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateTransforms } = require('../index.js');
+
+const violations = (project) => {
+  try {
+    validateTransforms(project);
+    return [];
+  } catch (error) {
+    assert.strictEqual(error.code, 'ValidationError');
+    return error.violations.map(violation => violation.field);
+  }
+};
+
+test('accepts integer status overrides between 200 and 599', () => {
+  assert.deepStrictEqual(violations({ transforms: { response: { status: { 201: 200, 404: 204 } } } }), []);
+  assert.deepStrictEqual(violations({ routes: [{ path: '/a' }] }), []);
+  assert.deepStrictEqual(violations({}), []);
+});
+
+test('rejects status overrides the edge could not send', () => {
+  assert.deepStrictEqual(violations({ transforms: { response: { status: { 404: 'ok' } } } }), ['transforms.response.status.404']);
+  assert.deepStrictEqual(violations({ transforms: { response: { status: { 404: 99 } } } }), ['transforms.response.status.404']);
+  assert.deepStrictEqual(violations({ transforms: { response: { status: { 404: 200.5 } } } }), ['transforms.response.status.404']);
+  assert.deepStrictEqual(violations({ transforms: { response: { status: { abc: 200 } } } }), ['transforms.response.status.abc']);
+  assert.deepStrictEqual(violations({ transforms: { response: { status: [200] } } }), ['transforms.response.status']);
+});
+
+test('checks route transforms too', () => {
+  assert.deepStrictEqual(
+    violations({ routes: [{ path: '/a' }, { path: '/b', transforms: { response: { status: { 500: 600 } } } }] }),
+    ['routes[1].transforms.response.status.500']
+  );
+});
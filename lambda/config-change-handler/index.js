@@ -2,6 +2,7 @@ const AWS = require('aws-sdk');
 
 // Configure AWS
 AWS.config.update({ region: process.env.AWS_REGION });
+const dynamodb = new AWS.DynamoDB.DocumentClient();
 
 // Utility functions
 const logEvent = (message, data = {}) => {
@@ -34,15 +35,24 @@ const updateCloudflareKV = async (namespace, key, value) => {
   }
 };
 
-const invalidateCloudflareCache = async (projectId) => {
+const invalidateCloudflareCache = async (projectId, options = {}) => {
   try {
-    // In production, this would invalidate the Cloudflare cache for the project
-    // For now, we'll just log the invalidation
-    logEvent('Cache invalidation requested', { project_id: projectId });
-    
-    // You could also trigger a Cloudflare Worker redeployment here
-    // by calling the Cloudflare API to update the worker
-    
+    // Ask the worker to purge its edge cache; without options the whole project is purged
+    const workerUrl = process.env.APIBLAZE_WORKER_URL || 'https://apiblaze.com';
+    const response = await fetch(`${workerUrl}/projects/${projectId}/cache/purge`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${process.env.INTERNAL_API_KEY}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(options)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to purge cache: ${response.statusText}`);
+    }
+
+    logEvent('Cache invalidated', { project_id: projectId, ...options });
     return true;
   } catch (error) {
     console.error('Error invalidating cache:', error);
@@ -76,6 +86,86 @@ const getKVNamespaceId = async (namespaceName) => {
   }
 };
 
+// Fields the worker reads from a project version
+const buildProjectConfig = (image) => ({
+  project_id: image.project_id,
+  api_version: image.api_version,
+  customer_id: image.customer_id,
+  target_url: image.target_url,
+  upstream_pool: image.upstream_pool,
+  routes: image.routes,
+  transforms: image.transforms,
+  auth_type: image.auth_type,
+  jwt: image.jwt,
+  hmac: image.hmac,
+  cors: image.cors,
+  target_auth_type: image.target_auth_type,
+  target_api_key: image.target_api_key,
+  active: image.active,
+  rate_limits: image.rate_limits,
+  quotas: image.quotas,
+  access_control: image.access_control,
+  github_repo: image.github_repo,
+  github_branch: image.github_branch,
+  openapi_spec: image.openapi_spec,
+  openapi_validation: image.openapi_validation,
+  request_log: image.request_log,
+  mock_mode: image.mock_mode,
+  cache: image.cache,
+  lifecycle: image.lifecycle,
+  last_deployment: image.last_deployment,
+  updated_at: image.updated_at
+});
+
+const listProjectVersions = async (projectId) => {
+  const items = [];
+  let ExclusiveStartKey;
+  do {
+    const result = await dynamodb.query({
+      TableName: process.env.DYNAMODB_PROJECTS_TABLE || 'apiblaze-projects',
+      KeyConditionExpression: 'PK = :pk AND begins_with(SK, :version)',
+      ExpressionAttributeValues: {
+        ':pk': `PROJECT#${projectId}`,
+        ':version': 'VERSION#'
+      },
+      ExclusiveStartKey
+    }).promise();
+    items.push(...result.Items);
+    ExclusiveStartKey = result.LastEvaluatedKey;
+  } while (ExclusiveStartKey);
+  return items;
+};
+
+// Same rule as the admin API: the version flagged is_default, else v1, else the oldest one
+const resolveDefaultVersion = (versions) => {
+  return versions.find(version => version.is_default)
+    || versions.find(version => version.api_version === 'v1')
+    || [...versions].sort((a, b) => (a.created_at || 0) - (b.created_at || 0))[0];
+};
+
+/**
+ * Each version is cached under <project_id>@<version>. The root <project_id> entry is the
+ * default version's config plus default_version and a versions summary, which the worker
+ * uses to pick a version before loading it. Returns the default version, or null when none is left.
+ */
+const syncProjectVersions = async (projectsNamespaceId, projectId) => {
+  const versions = await listProjectVersions(projectId);
+  const defaultVersion = resolveDefaultVersion(versions);
+  if (!defaultVersion) {
+    return null;
+  }
+
+  await updateCloudflareKV(projectsNamespaceId, projectId, {
+    ...buildProjectConfig(defaultVersion),
+    default_version: defaultVersion.api_version,
+    versions: Object.fromEntries(versions.map(version => [version.api_version, {
+      active: version.active,
+      lifecycle: version.lifecycle || { status: 'active' }
+    }]))
+  });
+  return defaultVersion;
+};
+
 const handleProjectUpdate = async (newImage, oldImage) => {
   const projectId = newImage.project_id;
   const apiVersion = newImage.api_version;
@@ -92,25 +182,18 @@ const handleProjectUpdate = async (newImage, oldImage) => {
     const apiKeysNamespaceId = await getKVNamespaceId('API_KEYS');
     const userAccessNamespaceId = await getKVNamespaceId('USER_ACCESS');
 
-    // Update PROJECTS cache
-    const projectConfig = {
-      project_id: projectId,
-      api_version: apiVersion,
-      customer_id: newImage.customer_id,
-      target_url: newImage.target_url,
-      auth_type: newImage.auth_type,
-      target_auth_type: newImage.target_auth_type,
-      target_api_key: newImage.target_api_key,
-      active: newImage.active,
-      github_repo: newImage.github_repo,
-      github_branch: newImage.github_branch,
-      openapi_spec: newImage.openapi_spec,
-      last_deployment: newImage.last_deployment,
-      updated_at: newImage.updated_at
-    };
-
-    await updateCloudflareKV(projectsNamespaceId, projectId, projectConfig);
-    logEvent('Updated PROJECTS cache', { project_id: projectId });
+    // Update PROJECTS cache: this version, then the root entry, which may have a new default or lifecycle
+    await updateCloudflareKV(projectsNamespaceId, `${projectId}@${apiVersion}`, buildProjectConfig(newImage));
+    const defaultVersion = await syncProjectVersions(projectsNamespaceId, projectId);
+    const isDefault = defaultVersion?.api_version === apiVersion;
+    logEvent('Updated PROJECTS cache', { project_id: projectId, api_version: apiVersion, default_version: defaultVersion?.api_version });
+
+    // Register (or unregister) the project with the worker's cron health prober, which reads the root entry
+    if (isDefault) {
+      const pools = [newImage.upstream_pool, ...(newImage.routes || []).map(route => route.upstream_pool)];
+      const hasHealthChecks = pools.some(pool => pool && pool.health_check);
+      await updateCloudflareKV(projectsNamespaceId, `health_checks:${projectId}`, hasHealthChecks ? { project_id: projectId } : null);
+    }
 
     // If auth type changed, we might need to update related caches
     if (oldImage && oldImage.auth_type !== newImage.auth_type) {
@@ -128,8 +211,11 @@ const handleProjectUpdate = async (newImage, oldImage) => {
       }
     }
 
-    // If target URL changed, invalidate cache
-    if (oldImage && oldImage.target_url !== newImage.target_url) {
+    // If target URL or cache settings changed, invalidate cache
+    if (oldImage && JSON.stringify(oldImage.cache) !== JSON.stringify(newImage.cache)) {
+      logEvent('Cache settings changed', { project_id: projectId });
+      await invalidateCloudflareCache(projectId);
+    } else if (oldImage && oldImage.target_url !== newImage.target_url) {
       logEvent('Target URL changed', { 
         project_id: projectId, 
         old_url: oldImage.target_url, 
@@ -139,14 +225,16 @@ const handleProjectUpdate = async (newImage, oldImage) => {
       await invalidateCloudflareCache(projectId);
     }
 
-    // If project was deactivated, clear caches
+    // If the default version was deactivated, clear caches for the whole project
     if (oldImage && oldImage.active && !newImage.active) {
-      logEvent('Project deactivated', { project_id: projectId });
+      logEvent('Project deactivated', { project_id: projectId, api_version: apiVersion });
       
-      // Clear all caches for this project
-      await updateCloudflareKV(projectsNamespaceId, projectId, null);
-      await updateCloudflareKV(apiKeysNamespaceId, `*:${projectId}`, null);
-      await updateCloudflareKV(userAccessNamespaceId, `*:${projectId}`, null);
+      await updateCloudflareKV(projectsNamespaceId, `${projectId}@${apiVersion}`, null);
+      if (isDefault) {
+        await updateCloudflareKV(projectsNamespaceId, projectId, null);
+        await updateCloudflareKV(apiKeysNamespaceId, `*:${projectId}`, null);
+        await updateCloudflareKV(userAccessNamespaceId, `*:${projectId}`, null);
+      }
     }
 
     logEvent('Project update processed successfully', { project_id: projectId });
@@ -157,6 +245,36 @@ const handleProjectUpdate = async (newImage, oldImage) => {
   }
 };
 
+// Removing one version of a project with others left only drops that version
+const handleProjectVersionDeletion = async (oldImage) => {
+  const projectId = oldImage.project_id;
+  const apiVersion = oldImage.api_version;
+
+  logEvent('Processing project version deletion', { project_id: projectId, api_version: apiVersion });
+
+  try {
+    const projectsNamespaceId = await getKVNamespaceId('PROJECTS');
+    await updateCloudflareKV(projectsNamespaceId, `${projectId}@${apiVersion}`, null);
+
+    const defaultVersion = await syncProjectVersions(projectsNamespaceId, projectId);
+    if (!defaultVersion) {
+      await handleProjectDeletion(oldImage);
+      return;
+    }
+
+    // Cached responses for the removed version are keyed separately and expire on their own
+    logEvent('Project version deletion processed successfully', {
+      project_id: projectId,
+      api_version: apiVersion,
+      default_version: defaultVersion.api_version
+    });
+
+  } catch (error) {
+    console.error('Error handling project version deletion:', error);
+    throw error;
+  }
+};
+
 const handleProjectDeletion = async (oldImage) => {
   const projectId = oldImage.project_id;
   
@@ -171,6 +289,7 @@ const handleProjectDeletion = async (oldImage) => {
 
     // Clear all caches for this project
     await updateCloudflareKV(projectsNamespaceId, projectId, null);
+    await updateCloudflareKV(projectsNamespaceId, `health_checks:${projectId}`, null);
     
     // Clear API keys cache (this would need to be done for all keys in production)
     await updateCloudflareKV(apiKeysNamespaceId, `*:${projectId}`, null);
@@ -243,8 +362,20 @@ const handleApiKeyUpdate = async (newImage, oldImage) => {
       project_id: projectId,
       user_id: newImage.user_id,
       name: newImage.name,
+      type: newImage.type,
+      key_id: newImage.key_id,
+      hash_version: newImage.hash_version,
+      hmac_secret: newImage.hmac_secret,
+      scopes: newImage.scopes,
+      rotated_from: newImage.rotated_from,
+      rotated_to: newImage.rotated_to,
+      rotated_at: newImage.rotated_at,
+      grace_until: newImage.grace_until,
       active: newImage.active,
       expires_at: newImage.expires_at,
+      rate_limits: newImage.rate_limits,
+      quotas: newImage.quotas,
+      access_control: newImage.access_control,
       updated_at: newImage.updated_at
     };
 
@@ -261,6 +392,62 @@ const handleApiKeyUpdate = async (newImage, oldImage) => {
   }
 };
 
+// Revoked keys and legacy hashes replaced by a migration stop resolving at the edge
+const handleApiKeyDeletion = async (oldImage) => {
+  const apiKeyHash = oldImage.api_key_hash;
+  const projectId = oldImage.project_id;
+  
+  logEvent('Processing API key deletion', { 
+    api_key_hash: apiKeyHash, 
+    project_id: projectId 
+  });
+
+  try {
+    const apiKeysNamespaceId = await getKVNamespaceId('API_KEYS');
+    await updateCloudflareKV(apiKeysNamespaceId, `${apiKeyHash}:${projectId}`, null);
+    
+    logEvent('API key deletion processed successfully', { 
+      api_key_hash: apiKeyHash, 
+      project_id: projectId 
+    });
+
+  } catch (error) {
+    console.error('Error handling API key deletion:', error);
+    throw error;
+  }
+};
+
+const handleCustomDomainUpdate = async (newImage, oldImage) => {
+  const hostname = (newImage || oldImage).hostname;
+  
+  logEvent('Processing custom domain update', { 
+    hostname, 
+    project_id: (newImage || oldImage).project_id 
+  });
+
+  try {
+    const projectsNamespaceId = await getKVNamespaceId('PROJECTS');
+
+    // Only verified domains route traffic; anything else clears the mapping
+    if (newImage && newImage.status === 'active') {
+      await updateCloudflareKV(projectsNamespaceId, `domain:${hostname}`, {
+        hostname,
+        project_id: newImage.project_id,
+        status: newImage.status,
+        updated_at: newImage.updated_at
+      });
+    } else {
+      await updateCloudflareKV(projectsNamespaceId, `domain:${hostname}`, null);
+    }
+
+    logEvent('Custom domain update processed successfully', { hostname });
+
+  } catch (error) {
+    console.error('Error handling custom domain update:', error);
+    throw error;
+  }
+};
+
 // Main handler
 exports.handler = async (event) => {
   logEvent('DynamoDB Stream event received', { 
@@ -289,7 +476,7 @@ exports.handler = async (event) => {
       switch (tableName) {
         case 'apiblaze-projects':
           if (eventName === 'REMOVE') {
-            await handleProjectDeletion(oldImage);
+            await handleProjectVersionDeletion(oldImage);
           } else {
             await handleProjectUpdate(newImage, oldImage);
           }
@@ -302,11 +489,17 @@ exports.handler = async (event) => {
           break;
           
         case 'apiblaze-api-keys':
-          if (eventName !== 'REMOVE') {
+          if (eventName === 'REMOVE') {
+            await handleApiKeyDeletion(oldImage);
+          } else {
             await handleApiKeyUpdate(newImage, oldImage);
           }
           break;
           
+        case 'apiblaze-custom-domains':
+          await handleCustomDomainUpdate(newImage, oldImage);
+          break;
+          
         default:
           logEvent('Unhandled table', { table_name: tableName });
       }
@@ -17,6 +17,8 @@ NC='\033[0m' # No Color
 # Configuration
 BASE_URL="https://apiblaze.com"
 API_GATEWAY_URL="https://334n5q3ww8.execute-api.us-east-1.amazonaws.com/prod/admin"
+# The admin API requires the internal key (or a Cognito access token)
+AUTH_HEADER="Authorization: Bearer ${INTERNAL_API_KEY}"
 
 # Helper functions
 print_header() {
@@ -377,7 +379,7 @@ demo_project_management() {
     print_step "1" "Seeing all your projects" "Listing all the API proxies you've created"
     print_command "curl -X GET \"$API_GATEWAY_URL/projects?customer_id=default\""
     
-    local list_response=$(curl -s -X GET "$API_GATEWAY_URL/projects?customer_id=default")
+    local list_response=$(curl -s -H "$AUTH_HEADER" -X GET "$API_GATEWAY_URL/projects?customer_id=default")
     print_response "$list_response"
     
     if echo "$list_response" | grep -q "project_id"; then
@@ -389,7 +391,7 @@ demo_project_management() {
         print_step "2" "Getting project details" "Looking at the details of a specific project"
         print_command "curl -X GET \"$API_GATEWAY_URL/projects/$NO_AUTH_PROJECT_ID\""
         
-        local get_response=$(curl -s -X GET "$API_GATEWAY_URL/projects/$NO_AUTH_PROJECT_ID")
+        local get_response=$(curl -s -H "$AUTH_HEADER" -X GET "$API_GATEWAY_URL/projects/$NO_AUTH_PROJECT_ID")
         print_response "$get_response"
         
         if echo "$get_response" | grep -q "$NO_AUTH_PROJECT_ID"; then
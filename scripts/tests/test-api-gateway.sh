@@ -14,13 +14,15 @@ NC='\033[0m' # No Color
 
 # Configuration
 API_GATEWAY_URL="https://334n5q3ww8.execute-api.us-east-1.amazonaws.com/prod/admin"
+# The admin API requires the internal key (or a Cognito access token)
+AUTH_HEADER="Authorization: Bearer ${INTERNAL_API_KEY:?Set INTERNAL_API_KEY to the admin API internal key}"
 
 echo -e "${BLUE}🧪 APIBLAZE API Gateway Test Suite${NC}"
 echo "=========================================="
 
 # Test 1: List Projects (GET /admin/projects)
 echo -e "\n${YELLOW}Test 1: List Projects (GET /admin/projects)${NC}"
-response=$(curl -s -X GET "$API_GATEWAY_URL/projects")
+response=$(curl -s -H "$AUTH_HEADER" -X GET "$API_GATEWAY_URL/projects")
 if echo "$response" | grep -q '"projects"'; then
     echo -e "${GREEN}✅ List projects successful${NC}"
     PROJECT_COUNT=$(echo "$response" | jq '.projects | length')
@@ -33,7 +35,7 @@ fi
 
 # Test 2: List Projects with Customer Filter
 echo -e "\n${YELLOW}Test 2: List Projects with Customer Filter${NC}"
-response=$(curl -s -X GET "$API_GATEWAY_URL/projects?customer_id=default")
+response=$(curl -s -H "$AUTH_HEADER" -X GET "$API_GATEWAY_URL/projects?customer_id=default")
 if echo "$response" | grep -q '"projects"'; then
     echo -e "${GREEN}✅ List projects with customer filter successful${NC}"
     FILTERED_COUNT=$(echo "$response" | jq '.projects | length')
@@ -51,10 +53,9 @@ PROJECT_DATA='{
   "target_url": "https://httpbin.org/json",
   "auth_type": "api_key",
   "customer_id": "default",
-  "active": true,
-  "created_at": 1234567890
+  "active": true
 }'
-response=$(curl -s -X POST "$API_GATEWAY_URL/projects" \
+response=$(curl -s -H "$AUTH_HEADER" -X POST "$API_GATEWAY_URL/projects" \
     -H "Content-Type: application/json" \
     --data "$PROJECT_DATA")
 if echo "$response" | grep -q '"project_id":"test-project-123"'; then
@@ -68,7 +69,7 @@ fi
 
 # Test 4: Get Individual Project (GET /admin/projects/{project_id})
 echo -e "\n${YELLOW}Test 4: Get Individual Project${NC}"
-response=$(curl -s -X GET "$API_GATEWAY_URL/projects/test-project-123")
+response=$(curl -s -H "$AUTH_HEADER" -X GET "$API_GATEWAY_URL/projects/test-project-123")
 if echo "$response" | grep -q '"project_id":"test-project-123"'; then
     echo -e "${GREEN}✅ Get individual project successful${NC}"
     TARGET_URL=$(echo "$response" | jq -r '.target_url')
@@ -83,7 +84,7 @@ fi
 
 # Test 5: Get Non-existent Project
 echo -e "\n${YELLOW}Test 5: Get Non-existent Project${NC}"
-response=$(curl -s -X GET "$API_GATEWAY_URL/projects/non-existent-project")
+response=$(curl -s -H "$AUTH_HEADER" -X GET "$API_GATEWAY_URL/projects/non-existent-project")
 if echo "$response" | grep -q '"error"'; then
     echo -e "${GREEN}✅ Non-existent project handled correctly${NC}"
 else
@@ -95,9 +96,9 @@ fi
 # Test 6: Get a Real Project from the List
 echo -e "\n${YELLOW}Test 6: Get a Real Project from the List${NC}"
 # Get the first project ID from the list
-FIRST_PROJECT_ID=$(curl -s -X GET "$API_GATEWAY_URL/projects" | jq -r '.projects[0].project_id')
+FIRST_PROJECT_ID=$(curl -s -H "$AUTH_HEADER" -X GET "$API_GATEWAY_URL/projects" | jq -r '.projects[0].project_id')
 if [ "$FIRST_PROJECT_ID" != "null" ] && [ "$FIRST_PROJECT_ID" != "" ]; then
-    response=$(curl -s -X GET "$API_GATEWAY_URL/projects/$FIRST_PROJECT_ID")
+    response=$(curl -s -H "$AUTH_HEADER" -X GET "$API_GATEWAY_URL/projects/$FIRST_PROJECT_ID")
     if echo "$response" | grep -q '"project_id"'; then
         echo -e "${GREEN}✅ Get real project successful${NC}"
         echo "   Project ID: $FIRST_PROJECT_ID"
@@ -114,10 +115,10 @@ fi
 
 # Test 7: Invalid Project Data
 echo -e "\n${YELLOW}Test 7: Invalid Project Data${NC}"
-response=$(curl -s -X POST "$API_GATEWAY_URL/projects" \
+response=$(curl -s -H "$AUTH_HEADER" -X POST "$API_GATEWAY_URL/projects" \
     -H "Content-Type: application/json" \
     --data '{"invalid": "data"}')
-if echo "$response" | grep -q '"error"'; then
+if echo "$response" | grep -q '"violations"'; then
     echo -e "${GREEN}✅ Invalid project data handled correctly${NC}"
 else
     echo -e "${RED}❌ Invalid project data handling failed${NC}"
@@ -15,6 +15,8 @@ NC='\033[0m' # No Color
 # Configuration
 WORKER_URL="https://apiblaze.com"
 API_GATEWAY_URL="https://334n5q3ww8.execute-api.us-east-1.amazonaws.com/prod/admin"
+# The admin API requires the internal key (or a Cognito access token)
+AUTH_HEADER="Authorization: Bearer ${INTERNAL_API_KEY:?Set INTERNAL_API_KEY to the admin API internal key}"
 
 echo -e "${BLUE}🧪 APIBLAZE Integration Test Suite${NC}"
 echo "=========================================="
@@ -42,7 +44,7 @@ fi
 # Step 2: Verify project exists in API Gateway list
 echo "   Step 2: Verifying project in API Gateway list..."
 sleep 2  # Give DynamoDB time to update
-response=$(curl -s -X GET "$API_GATEWAY_URL/projects")
+response=$(curl -s -H "$AUTH_HEADER" -X GET "$API_GATEWAY_URL/projects")
 
 if echo "$response" | grep -q "$PROJECT_ID"; then
     echo -e "   ${GREEN}✅ Project found in API Gateway list${NC}"
@@ -54,7 +56,7 @@ fi
 
 # Step 3: Retrieve individual project via API Gateway
 echo "   Step 3: Retrieving individual project via API Gateway..."
-response=$(curl -s -X GET "$API_GATEWAY_URL/projects/$PROJECT_ID")
+response=$(curl -s -H "$AUTH_HEADER" -X GET "$API_GATEWAY_URL/projects/$PROJECT_ID")
 
 if echo "$response" | grep -q '"project_id":"'"$PROJECT_ID"'"'; then
     echo -e "   ${GREEN}✅ Individual project retrieval successful${NC}"
@@ -108,7 +110,7 @@ echo -e "\n${YELLOW}Test 3: Data Consistency${NC}"
 
 # Verify all projects are in the list
 sleep 2
-response=$(curl -s -X GET "$API_GATEWAY_URL/projects")
+response=$(curl -s -H "$AUTH_HEADER" -X GET "$API_GATEWAY_URL/projects")
 PROJECT_COUNT=$(echo "$response" | jq '.projects | length')
 echo "   Total projects in database: $PROJECT_COUNT"
 
@@ -126,7 +128,7 @@ fi
 echo -e "\n${YELLOW}Test 4: Customer Filtering${NC}"
 
 # Test customer filter
-response=$(curl -s -X GET "$API_GATEWAY_URL/projects?customer_id=default")
+response=$(curl -s -H "$AUTH_HEADER" -X GET "$API_GATEWAY_URL/projects?customer_id=default")
 FILTERED_COUNT=$(echo "$response" | jq '.projects | length')
 echo "   Projects for customer 'default': $FILTERED_COUNT"
 
@@ -141,7 +143,7 @@ fi
 echo -e "\n${YELLOW}Test 5: Error Handling${NC}"
 
 # Test invalid project ID
-response=$(curl -s -X GET "$API_GATEWAY_URL/projects/invalid-project-id")
+response=$(curl -s -H "$AUTH_HEADER" -X GET "$API_GATEWAY_URL/projects/invalid-project-id")
 if echo "$response" | grep -q '"error"'; then
     echo -e "   ${GREEN}✅ Invalid project ID handled correctly${NC}"
 else
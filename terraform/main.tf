@@ -78,6 +78,11 @@ resource "aws_dynamodb_table" "projects" {
     type = "S"
   }
 
+  attribute {
+    name = "created_at"
+    type = "N"
+  }
+
   global_secondary_index {
     name     = "GSI1"
     hash_key = "GSI1PK"
@@ -85,6 +90,14 @@ resource "aws_dynamodb_table" "projects" {
     projection_type = "ALL"
   }
 
+  # Lists page through the *-created_at-index indexes in their default newest-first order
+  global_secondary_index {
+    name            = "GSI1PK-created_at-index"
+    hash_key        = "GSI1PK"
+    range_key       = "created_at"
+    projection_type = "ALL"
+  }
+
   # Enable DynamoDB Streams for automatic redeployment
   stream_enabled   = true
   stream_view_type = "NEW_AND_OLD_IMAGES"
@@ -105,11 +118,34 @@ resource "aws_dynamodb_table" "users" {
     type = "S"
   }
 
+  attribute {
+    name = "customer_id"
+    type = "S"
+  }
+
+  attribute {
+    name = "created_at"
+    type = "N"
+  }
+
   global_secondary_index {
     name     = "email-index"
     hash_key = "email"
     projection_type = "ALL"
   }
+
+  global_secondary_index {
+    name     = "customer_id-index"
+    hash_key = "customer_id"
+    projection_type = "ALL"
+  }
+
+  global_secondary_index {
+    name            = "customer_id-created_at-index"
+    hash_key        = "customer_id"
+    range_key       = "created_at"
+    projection_type = "ALL"
+  }
 }
 
 resource "aws_dynamodb_table" "user_project_access" {
@@ -133,13 +169,33 @@ resource "aws_dynamodb_table" "user_project_access" {
     type = "S"
   }
 
+  attribute {
+    name = "created_at"
+    type = "N"
+  }
+
   global_secondary_index {
     name     = "customer_id-index"
     hash_key = "customer_id"
     projection_type = "ALL"
   }
+
+  global_secondary_index {
+    name            = "user_id-created_at-index"
+    hash_key        = "user_id"
+    range_key       = "created_at"
+    projection_type = "ALL"
+  }
+
+  global_secondary_index {
+    name            = "customer_id-created_at-index"
+    hash_key        = "customer_id"
+    range_key       = "created_at"
+    projection_type = "ALL"
+  }
 }
 
+# One item per organization; users join one through apiblaze-users.customer_id
 resource "aws_dynamodb_table" "customers" {
   name           = "apiblaze-customers"
   billing_mode   = "PAY_PER_REQUEST"
@@ -151,11 +207,64 @@ resource "aws_dynamodb_table" "customers" {
   }
 }
 
+# Projects created through the root CLI endpoint belong to the "default" organization
+resource "aws_dynamodb_table_item" "default_organization" {
+  table_name = aws_dynamodb_table.customers.name
+  hash_key   = aws_dynamodb_table.customers.hash_key
+
+  item = jsonencode({
+    customer_id = { S = "default" }
+    name        = { S = "APIBLAZE CLI" }
+    created_by  = { S = "terraform" }
+  })
+
+  lifecycle {
+    ignore_changes = [item]
+  }
+}
+
+# DynamoDB table for organization invitations (accepted, revoked and expired ones are kept)
+resource "aws_dynamodb_table" "organization_invitations" {
+  name           = "apiblaze-organization-invitations"
+  billing_mode   = "PAY_PER_REQUEST"
+  hash_key       = "invitation_id"
+
+  attribute {
+    name = "invitation_id"
+    type = "S"
+  }
+
+  attribute {
+    name = "customer_id"
+    type = "S"
+  }
+
+  attribute {
+    name = "created_at"
+    type = "N"
+  }
+
+  global_secondary_index {
+    name            = "customer_id-index"
+    hash_key        = "customer_id"
+    projection_type = "ALL"
+  }
+
+  global_secondary_index {
+    name            = "customer_id-created_at-index"
+    hash_key        = "customer_id"
+    range_key       = "created_at"
+    projection_type = "ALL"
+  }
+}
+
 resource "aws_dynamodb_table" "api_keys" {
   name           = "apiblaze-api-keys"
   billing_mode   = "PAY_PER_REQUEST"
   hash_key       = "api_key_hash"
   range_key      = "project_id"
+  stream_enabled   = true
+  stream_view_type = "NEW_AND_OLD_IMAGES"
 
   attribute {
     name = "api_key_hash"
@@ -172,11 +281,114 @@ resource "aws_dynamodb_table" "api_keys" {
     type = "S"
   }
 
+  attribute {
+    name = "created_at"
+    type = "N"
+  }
+
   global_secondary_index {
     name     = "user_id-index"
     hash_key = "user_id"
     projection_type = "ALL"
   }
+
+  global_secondary_index {
+    name     = "project_id-index"
+    hash_key = "project_id"
+    projection_type = "ALL"
+  }
+
+  global_secondary_index {
+    name            = "user_id-created_at-index"
+    hash_key        = "user_id"
+    range_key       = "created_at"
+    projection_type = "ALL"
+  }
+
+  global_secondary_index {
+    name            = "project_id-created_at-index"
+    hash_key        = "project_id"
+    range_key       = "created_at"
+    projection_type = "ALL"
+  }
+}
+
+# DynamoDB table for customer hostnames mapped to projects
+resource "aws_dynamodb_table" "custom_domains" {
+  name           = "apiblaze-custom-domains"
+  billing_mode   = "PAY_PER_REQUEST"
+  hash_key       = "hostname"
+  stream_enabled   = true
+  stream_view_type = "NEW_AND_OLD_IMAGES"
+
+  attribute {
+    name = "hostname"
+    type = "S"
+  }
+
+  attribute {
+    name = "project_id"
+    type = "S"
+  }
+
+  global_secondary_index {
+    name     = "project_id-index"
+    hash_key = "project_id"
+    projection_type = "ALL"
+  }
+}
+
+# DynamoDB table for aggregated response contract drift (one counter per operation/violation)
+resource "aws_dynamodb_table" "contract_drift" {
+  name           = "apiblaze-contract-drift"
+  billing_mode   = "PAY_PER_REQUEST"
+  hash_key       = "project_id"
+  range_key      = "drift_key"
+
+  attribute {
+    name = "project_id"
+    type = "S"
+  }
+
+  attribute {
+    name = "drift_key"
+    type = "S"
+  }
+}
+
+# DynamoDB table for the admin audit log (append-only; entries expire per customer retention)
+resource "aws_dynamodb_table" "audit_log" {
+  name           = "apiblaze-audit-log"
+  billing_mode   = "PAY_PER_REQUEST"
+  hash_key       = "customer_id"
+  range_key      = "event_id"
+
+  attribute {
+    name = "customer_id"
+    type = "S"
+  }
+
+  attribute {
+    name = "event_id"
+    type = "S"
+  }
+
+  attribute {
+    name = "project_id"
+    type = "S"
+  }
+
+  global_secondary_index {
+    name            = "project_id-index"
+    hash_key        = "project_id"
+    range_key       = "event_id"
+    projection_type = "ALL"
+  }
+
+  ttl {
+    attribute_name = "expires_at"
+    enabled        = true
+  }
 }
 
 # DynamoDB table for customer OAuth provider configurations
@@ -218,6 +430,11 @@ resource "aws_cognito_user_pool" "main" {
   # Auto-verified attributes
   auto_verified_attributes = ["email"]
 
+  # An email change only takes effect once the new address is verified; the admin API trusts verified emails
+  user_attribute_update_settings {
+    attributes_require_verification_before_update = ["email"]
+  }
+
   # Password policy
   password_policy {
     minimum_length    = 8
@@ -374,6 +591,11 @@ resource "aws_lambda_function" "admin_api" {
       USER_POOL_ID = aws_cognito_user_pool.main.id
       REGION       = "us-east-1"
       INTERNAL_API_KEY = var.internal_api_key
+      DYNAMODB_CONTRACT_DRIFT_TABLE = aws_dynamodb_table.contract_drift.name
+      DYNAMODB_CUSTOM_DOMAINS_TABLE = aws_dynamodb_table.custom_domains.name
+      DYNAMODB_AUDIT_LOG_TABLE = aws_dynamodb_table.audit_log.name
+      DYNAMODB_CUSTOMERS_TABLE = aws_dynamodb_table.customers.name
+      DYNAMODB_INVITATIONS_TABLE = aws_dynamodb_table.organization_invitations.name
     }
   }
 }
@@ -453,10 +675,32 @@ resource "aws_iam_role_policy" "lambda_dynamodb" {
         Resource = [
           aws_dynamodb_table.projects.arn,
           "${aws_dynamodb_table.projects.arn}/index/GSI1",
+          "${aws_dynamodb_table.projects.arn}/index/GSI1PK-created_at-index",
           aws_dynamodb_table.users.arn,
+          "${aws_dynamodb_table.users.arn}/index/*",
           aws_dynamodb_table.user_project_access.arn,
+          "${aws_dynamodb_table.user_project_access.arn}/index/*",
           aws_dynamodb_table.customers.arn,
-          aws_dynamodb_table.api_keys.arn
+          aws_dynamodb_table.organization_invitations.arn,
+          "${aws_dynamodb_table.organization_invitations.arn}/index/*",
+          aws_dynamodb_table.api_keys.arn,
+          "${aws_dynamodb_table.api_keys.arn}/index/*",
+          aws_dynamodb_table.contract_drift.arn,
+          aws_dynamodb_table.custom_domains.arn,
+          "${aws_dynamodb_table.custom_domains.arn}/index/project_id-index"
+        ]
+      },
+      {
+        # No update or delete: audit entries are only removed by TTL expiry
+        Effect = "Allow"
+        Action = [
+          "dynamodb:GetItem",
+          "dynamodb:PutItem",
+          "dynamodb:Query"
+        ]
+        Resource = [
+          aws_dynamodb_table.audit_log.arn,
+          "${aws_dynamodb_table.audit_log.arn}/index/project_id-index"
         ]
       }
     ]
@@ -600,6 +844,7 @@ output "dynamodb_tables" {
     users           = aws_dynamodb_table.users.name
     user_project_access = aws_dynamodb_table.user_project_access.name
     customers       = aws_dynamodb_table.customers.name
+    organization_invitations = aws_dynamodb_table.organization_invitations.name
     api_keys        = aws_dynamodb_table.api_keys.name
   }
 }
@@ -713,6 +958,9 @@ resource "aws_lambda_function" "config_change_handler" {
       REGION = "us-east-1"
       CLOUDFLARE_API_TOKEN = var.cloudflare_api_token
       CLOUDFLARE_ACCOUNT_ID = var.cloudflare_account_id
+      INTERNAL_API_KEY = var.internal_api_key
+      APIBLAZE_WORKER_URL = "https://apiblaze.com"
+      DYNAMODB_PROJECTS_TABLE = aws_dynamodb_table.projects.name
     }
   }
 }
@@ -726,6 +974,21 @@ resource "aws_lambda_function" "config_change_handler" {
 #   batch_size        = 1
 # }
 
+resource "aws_lambda_event_source_mapping" "custom_domains_stream" {
+  event_source_arn  = aws_dynamodb_table.custom_domains.stream_arn
+  function_name     = aws_lambda_function.config_change_handler.function_name
+  starting_position = "LATEST"
+  batch_size        = 1
+}
+
+# Rotations, revocations and migrations made in the admin API reach the API_KEYS KV cache through this stream
+resource "aws_lambda_event_source_mapping" "api_keys_stream" {
+  event_source_arn  = aws_dynamodb_table.api_keys.stream_arn
+  function_name     = aws_lambda_function.config_change_handler.function_name
+  starting_position = "LATEST"
+  batch_size        = 1
+}
+
 # IAM policy for DynamoDB Stream access
 resource "aws_iam_role_policy" "lambda_dynamodb_stream" {
   name = "lambda_dynamodb_stream_policy"
@@ -742,7 +1005,11 @@ resource "aws_iam_role_policy" "lambda_dynamodb_stream" {
           "dynamodb:DescribeStream",
           "dynamodb:ListStreams"
         ]
-        Resource = "arn:aws:dynamodb:us-east-1:240232487139:table/apiblaze-projects/stream/*"  # Already exists
+        Resource = [
+          "arn:aws:dynamodb:us-east-1:240232487139:table/apiblaze-projects/stream/*",  # Already exists
+          "${aws_dynamodb_table.custom_domains.arn}/stream/*",
+          "${aws_dynamodb_table.api_keys.arn}/stream/*"
+        ]
       }
     ]
   })